@@ -0,0 +1,72 @@
+// Puts the English counties quiz on another page (a Moodle or Google Sites page, say).
+//
+//   <div data-county-quiz data-mode="locate" data-region="south-west" data-length="10"></div>
+//   <script src="https://englishcounties.web.app/embed.js"></script>
+//
+// Options (as data attributes or passed to `CountyQuiz.embed`): mode (locate, name, clues,
+// places), region, length (a number or "all"), title and accent (a hex colour).
+// Each element gets `element.countyQuiz`, with on(type, handler), startTest({length, region})
+// and reset(). Events are also dispatched on the element as `countyquiz:<type>`. The places
+// quiz has no tests: startTest there gets an `error` event back instead of a test.
+(() => {
+    const SOURCE = "english-counties";
+    const OPTIONS = ["mode", "region", "length", "title", "accent"];
+    const script = document.currentScript;
+    const appUrl = new URL(script?.dataset.app ?? "./", script?.src ?? window.location.href);
+
+    const embed = (target, options = {}) => {
+        const url = new URL(appUrl);
+        url.searchParams.set("embed", "1");
+        url.searchParams.set("origin", window.location.origin);
+        for (const name of OPTIONS) {
+            if (options[name] != null && options[name] !== "") {
+                url.searchParams.set(name, options[name]);
+            }
+        }
+        const iframe = document.createElement("iframe");
+        iframe.src = url.href;
+        iframe.title = options.title || "English counties quiz";
+        iframe.allow = "clipboard-write";
+        iframe.style.cssText = "display:block;width:100%;height:100%;min-height:560px;border:0";
+        target.replaceChildren(iframe);
+
+        const handlers = {};
+        // Commands sent before the quiz has loaded wait for its `ready` event.
+        let pending = [];
+        const send = (type, payload = {}) => {
+            const message = {...payload, source: SOURCE, type};
+            if (pending) {
+                pending.push(message);
+            } else {
+                iframe.contentWindow.postMessage(message, appUrl.origin);
+            }
+        };
+
+        window.addEventListener("message", (event) => {
+            if (event.source !== iframe.contentWindow || event.origin !== appUrl.origin) return;
+            const {data} = event;
+            if (data?.source !== SOURCE) return;
+            if (data.type === "ready" && pending) {
+                const queued = pending;
+                pending = null;
+                queued.forEach((message) => iframe.contentWindow.postMessage(message, appUrl.origin));
+            }
+            (handlers[data.type] ?? []).forEach((handler) => handler(data));
+            target.dispatchEvent(new CustomEvent(`countyquiz:${data.type}`, {detail: data, bubbles: true}));
+        });
+
+        return {
+            iframe,
+            on: (type, handler) => {
+                handlers[type] = [...(handlers[type] ?? []), handler];
+            },
+            startTest: (config = {}) => send("startTest", config),
+            reset: () => send("reset"),
+        };
+    };
+
+    window.CountyQuiz = {embed};
+    document.querySelectorAll("[data-county-quiz]").forEach((target) => {
+        target.countyQuiz = embed(target, target.dataset);
+    });
+})();
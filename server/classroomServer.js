@@ -0,0 +1,227 @@
+import {randomUUID} from "node:crypto";
+import {existsSync} from "node:fs";
+import {readFile, stat} from "node:fs/promises";
+import {createServer} from "node:http";
+import {networkInterfaces} from "node:os";
+import path from "node:path";
+import {fileURLToPath} from "node:url";
+import {acceptWebSocket} from "./websocket.js";
+import {
+    addPlayer,
+    askQuestion,
+    CLASSROOM_ERRORS,
+    CLASSROOM_PATH,
+    CLASSROOM_PORT,
+    cleanPlayerName,
+    createClassroomSession,
+    createJoinCode,
+    endSession,
+    hostView,
+    MAX_PLAYERS,
+    normalizeJoinCode,
+    playerView,
+    recordAnswer,
+    revealAnswer,
+    setPlayerConnected,
+} from "../src/classroom.js";
+
+// A session stays open this long after the host's connection drops, so a reloaded or
+// briefly offline host screen can pick it up again.
+const HOST_GRACE_MS = 5 * 60 * 1000;
+const MAX_ID_LENGTH = 100;
+
+const MIME_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".ico": "image/x-icon",
+    ".json": "application/json",
+    ".webmanifest": "application/manifest+json",
+};
+
+const isId = (value) => typeof value === "string" && value.length > 0 && value.length <= MAX_ID_LENGTH;
+
+// Serves the built app from `staticDir`, falling back to index.html for app routes.
+const serveStatic = async (staticDir, request, response) => {
+    const {pathname} = new URL(request.url, "http://localhost");
+    let filePath = path.join(staticDir, decodeURIComponent(pathname));
+    if (filePath !== staticDir && !filePath.startsWith(staticDir + path.sep)) {
+        response.writeHead(403).end();
+        return;
+    }
+    const info = await stat(filePath).catch(() => null);
+    if (!info?.isFile()) {
+        filePath = path.join(staticDir, "index.html");
+    }
+    try {
+        const body = await readFile(filePath);
+        response.writeHead(200, {"Content-Type": MIME_TYPES[path.extname(filePath)] ?? "application/octet-stream"});
+        response.end(body);
+    } catch {
+        response.writeHead(404).end();
+    }
+};
+
+// The classroom session server: WebSocket connections on CLASSROOM_PATH, and the built app
+// on everything else when `staticDir` is given.
+export const createClassroomServer = ({staticDir = null, now = Date.now, random = Math.random} = {}) => {
+    const rooms = new Map();
+
+    const sendHost = (room) => room.host?.send({type: "state", state: hostView(room.session)});
+    const sendPlayer = (room, playerId) => {
+        room.players.get(playerId)?.send({type: "state", state: playerView(room.session, playerId)});
+    };
+    const update = (room, session) => {
+        room.session = session;
+        sendHost(room);
+        for (const playerId of room.players.keys()) {
+            sendPlayer(room, playerId);
+        }
+    };
+    const closeRoom = (room) => {
+        clearTimeout(room.closeTimer);
+        rooms.delete(room.session.code);
+        update(room, endSession(room.session));
+    };
+
+    const hostRoom = (connection, message) => {
+        let room = rooms.get(message.code);
+        if (!room || room.hostToken !== message.hostToken) {
+            const code = createJoinCode(random, (taken) => rooms.has(taken));
+            const packId = isId(message.packId) ? message.packId : null;
+            room = {session: createClassroomSession({code, packId}), hostToken: randomUUID(), host: null, players: new Map()};
+            rooms.set(code, room);
+        }
+        clearTimeout(room.closeTimer);
+        // Take over before closing the old connection, so its leave() doesn't start the grace timer.
+        const previous = room.host;
+        room.host = connection;
+        if (previous && previous !== connection) {
+            previous.close();
+        }
+        connection.send({type: "hosted", code: room.session.code, hostToken: room.hostToken});
+        sendHost(room);
+        return {
+            handle: ({type, itemId}) => {
+                if (type === "ask" && isId(itemId)) {
+                    update(room, askQuestion(revealAnswer(room.session), itemId, now()));
+                } else if (type === "reveal") {
+                    update(room, revealAnswer(room.session));
+                } else if (type === "end") {
+                    closeRoom(room);
+                }
+            },
+            leave: () => {
+                if (room.host !== connection) return;
+                room.host = null;
+                if (!rooms.has(room.session.code)) return;
+                room.closeTimer = setTimeout(() => closeRoom(room), HOST_GRACE_MS);
+                room.closeTimer.unref?.();
+            },
+        };
+    };
+
+    const joinRoom = (connection, message) => {
+        const room = rooms.get(normalizeJoinCode(message.code));
+        const name = cleanPlayerName(message.name);
+        const isReturning = room?.session.players.some((player) => player.id === message.playerId);
+        let error = null;
+        if (!room) {
+            error = CLASSROOM_ERRORS.noSession;
+        } else if (!name) {
+            error = CLASSROOM_ERRORS.name;
+        } else if (!isReturning && room.session.players.length >= MAX_PLAYERS) {
+            error = CLASSROOM_ERRORS.full;
+        }
+        if (error) {
+            connection.send({type: "error", message: error});
+            return null;
+        }
+        const playerId = isReturning ? message.playerId : randomUUID();
+        const previous = room.players.get(playerId);
+        room.players.set(playerId, connection);
+        previous?.close();
+        connection.send({type: "joined", code: room.session.code, playerId});
+        update(room, addPlayer(room.session, {id: playerId, name}));
+        return {
+            handle: ({type, guess}) => {
+                if (type !== "answer" || !isId(guess)) return;
+                room.session = recordAnswer(room.session, playerId, guess, now());
+                sendHost(room);
+                sendPlayer(room, playerId);
+            },
+            leave: () => {
+                if (room.players.get(playerId) !== connection) return;
+                room.players.delete(playerId);
+                update(room, setPlayerConnected(room.session, playerId, false));
+            },
+        };
+    };
+
+    const handleConnection = (connection) => {
+        let role = null;
+        connection.on("message", (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch {
+                return;
+            }
+            if (typeof message?.type !== "string") return;
+            if (role) {
+                role.handle(message);
+            } else if (message.type === "host") {
+                role = hostRoom(connection, message);
+            } else if (message.type === "join") {
+                role = joinRoom(connection, message);
+            }
+        });
+        connection.on("close", () => role?.leave());
+    };
+
+    const server = createServer((request, response) => {
+        if (staticDir) {
+            serveStatic(staticDir, request, response).catch(() => {
+                response.writeHead(400).end();
+            });
+            return;
+        }
+        response.writeHead(404, {"Content-Type": "text/plain; charset=utf-8"});
+        response.end("This is the classroom session server. Run `npm run build` first to serve the app from here too.\n");
+    });
+    server.on("upgrade", (request, socket) => {
+        if (new URL(request.url, "http://localhost").pathname !== CLASSROOM_PATH) {
+            socket.destroy();
+            return;
+        }
+        const connection = acceptWebSocket(request, socket);
+        if (connection) {
+            handleConnection(connection);
+        }
+    });
+    return server;
+};
+
+const lanAddresses = () => Object.values(networkInterfaces())
+    .flat()
+    .filter((address) => address?.family === "IPv4" && !address.internal)
+    .map(({address}) => address);
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT) || CLASSROOM_PORT;
+    const distDir = fileURLToPath(new URL("../dist", import.meta.url));
+    const staticDir = existsSync(distDir) ? distDir : null;
+    createClassroomServer({staticDir}).listen(port, () => {
+        console.log(`Classroom server listening on port ${port}.`);
+        if (!staticDir) {
+            console.log("No build found, so only sessions are served. Run `npm run build` to serve the app too.");
+            return;
+        }
+        console.log("Open the app on the class's devices at:");
+        for (const address of ["localhost", ...lanAddresses()]) {
+            console.log(`  http://${address}:${port}/`);
+        }
+    });
+}
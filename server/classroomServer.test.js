@@ -0,0 +1,149 @@
+import {after, before, describe, it, mock} from "node:test";
+import assert from "node:assert/strict";
+import {randomBytes} from "node:crypto";
+import {request} from "node:http";
+import {once} from "node:events";
+import {createClassroomServer} from "./classroomServer.js";
+import {CLASSROOM_ERRORS, CLASSROOM_PATH} from "../src/classroom.js";
+
+// A bare-bones client: masked text frames out, unmasked (and short) text frames in; others are skipped.
+const connect = async (port) => {
+    const upgrade = request({
+        port,
+        path: CLASSROOM_PATH,
+        headers: {Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Key": randomBytes(16).toString("base64"), "Sec-WebSocket-Version": "13"},
+    });
+    upgrade.end();
+    const [, socket] = await once(upgrade, "upgrade");
+    const inbox = [];
+    const waiting = [];
+    let pending = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        while (pending.length >= 2) {
+            let length = pending[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                length = pending.readUInt16BE(2);
+                offset = 4;
+            }
+            if (pending.length < offset + length) return;
+            const isText = (pending[0] & 0x0f) === 1;
+            const payload = pending.subarray(offset, offset + length);
+            pending = pending.subarray(offset + length);
+            if (!isText) continue;
+            const message = JSON.parse(payload.toString("utf8"));
+            const waiter = waiting.findIndex(({type}) => type === message.type);
+            if (waiter === -1) {
+                inbox.push(message);
+            } else {
+                waiting.splice(waiter, 1)[0].resolve(message);
+            }
+        }
+    });
+    return {
+        send: (message) => {
+            const payload = Buffer.from(JSON.stringify(message));
+            const mask = randomBytes(4);
+            const masked = payload.map((byte, index) => byte ^ mask[index % 4]);
+            socket.write(Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, masked]));
+        },
+        // The next message of `type`, skipping others received before it.
+        next: (type) => {
+            const index = inbox.findIndex((message) => message.type === type);
+            if (index !== -1) return Promise.resolve(inbox.splice(index, 1)[0]);
+            return new Promise((resolve) => waiting.push({type, resolve}));
+        },
+        drain: () => inbox.splice(0),
+        close: () => socket.destroy(),
+    };
+};
+
+describe("classroom server", () => {
+    let server;
+    let port;
+    let time = 0;
+
+    before(async () => {
+        server = createClassroomServer({now: () => time});
+        server.listen(0);
+        await once(server, "listening");
+        port = server.address().port;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it("runs a question from the host to the class and back", async () => {
+        const host = await connect(port);
+        host.send({type: "host", packId: "english-counties"});
+        const {code} = await host.next("hosted");
+        assert.match(code, /^[A-Z]{4}$/);
+
+        const ana = await connect(port);
+        ana.send({type: "join", code: code.toLowerCase(), name: "  Ana  "});
+        const {playerId} = await ana.next("joined");
+        assert.ok(playerId);
+
+        const stranger = await connect(port);
+        stranger.send({type: "join", code: code === "ZZZZ" ? "YYYY" : "ZZZZ", name: "Ben"});
+        assert.equal((await stranger.next("error")).message, CLASSROOM_ERRORS.noSession);
+
+        host.drain();
+        ana.drain();
+        time = 1000;
+        host.send({type: "ask", itemId: "Kent"});
+        const asked = await ana.next("state");
+        assert.deepEqual(asked.state.question, {number: 1, itemId: "Kent", isRevealed: false, guess: null});
+
+        host.drain();
+        time = 3500;
+        ana.send({type: "answer", guess: "Kent"});
+        assert.equal((await host.next("state")).state.question.answeredCount, 1);
+
+        host.send({type: "reveal"});
+        const {state} = await host.next("state");
+        assert.deepEqual(state.distribution, {choices: [{itemId: "Kent", count: 1, isCorrect: true}], unanswered: 0});
+        assert.deepEqual(
+            state.leaderboard.map(({name, correct, timeMs, rank}) => ({name, correct, timeMs, rank})),
+            [{name: "Ana", correct: 1, timeMs: 2500, rank: 1}],
+        );
+
+        ana.close();
+        const away = await host.next("state");
+        assert.equal(away.state.leaderboard[0].connected, false);
+
+        const back = await connect(port);
+        back.send({type: "join", code, name: "Ana", playerId});
+        assert.equal((await back.next("joined")).playerId, playerId);
+        assert.equal((await back.next("state")).state.score.correct, 1);
+
+        host.send({type: "end"});
+        assert.equal((await back.next("state")).state.isEnded, true);
+        [host, back, stranger].forEach((client) => client.close());
+    });
+
+    it("keeps the session when the host's new connection overlaps the old one", async () => {
+        mock.timers.enable({apis: ["setTimeout"]});
+        try {
+            const host = await connect(port);
+            host.send({type: "host", packId: "english-counties"});
+            const {code, hostToken} = await host.next("hosted");
+
+            const again = await connect(port);
+            again.send({type: "host", code, hostToken});
+            assert.equal((await again.next("hosted")).code, code);
+
+            mock.timers.tick(5 * 60 * 1000);
+            const ana = await connect(port);
+            ana.send({type: "join", code, name: "Ana"});
+            const reply = await Promise.race([ana.next("joined"), ana.next("error")]);
+            assert.equal(reply.type, "joined");
+            [host, again, ana].forEach((client) => client.close());
+        } finally {
+            mock.timers.reset();
+        }
+    });
+});
@@ -0,0 +1,152 @@
+import {createHash} from "node:crypto";
+import {EventEmitter} from "node:events";
+
+// Just enough of RFC 6455 for the classroom server: unfragmented text messages, ping/pong
+// and close. It saves a dependency for a server meant to be run from a checkout.
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 16 * 1024;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa,
+};
+
+const CLOSE_CODES = {
+    normal: 1000,
+    protocolError: 1002,
+    unsupported: 1003,
+    tooBig: 1009,
+};
+
+const encodeFrame = (opcode, payload) => {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+// Reads one frame from the front of `buffer`, or returns null if it hasn't all arrived yet.
+const decodeFrame = (buffer) => {
+    if (buffer.length < 2) return null;
+    const isFinal = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const isMasked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        length = longLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(longLength);
+        offset = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) return {tooBig: true};
+    const maskLength = isMasked ? 4 : 0;
+    if (buffer.length < offset + maskLength + length) return null;
+    const mask = isMasked ? buffer.subarray(offset, offset + 4) : null;
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + length));
+    if (mask) {
+        for (let index = 0; index < payload.length; index += 1) {
+            payload[index] ^= mask[index % 4];
+        }
+    }
+    return {isFinal, opcode, isMasked, payload, size: offset + maskLength + length};
+};
+
+// Completes the upgrade for an HTTP `upgrade` event and returns the connection, or null
+// (having refused it) if the request isn't a WebSocket handshake. Connections emit
+// "message" with each text message and "close" once.
+export const acceptWebSocket = (request, socket) => {
+    const key = request.headers["sec-websocket-key"];
+    if (request.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return null;
+    }
+    const accept = createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+    socket.write([
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${accept}`,
+        "",
+        "",
+    ].join("\r\n"));
+    socket.setNoDelay(true);
+
+    const connection = new EventEmitter();
+    let pending = Buffer.alloc(0);
+    let isClosed = false;
+
+    const finish = () => {
+        if (isClosed) return;
+        isClosed = true;
+        connection.emit("close");
+    };
+
+    const close = (code = CLOSE_CODES.normal) => {
+        if (!isClosed && socket.writable) {
+            const payload = Buffer.alloc(2);
+            payload.writeUInt16BE(code, 0);
+            socket.end(encodeFrame(OPCODES.close, payload));
+        }
+        finish();
+    };
+
+    connection.send = (message) => {
+        if (isClosed || !socket.writable) return;
+        socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+    };
+    connection.close = close;
+
+    socket.on("data", (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        for (;;) {
+            const frame = decodeFrame(pending);
+            if (!frame) return;
+            if (frame.tooBig) {
+                close(CLOSE_CODES.tooBig);
+                return;
+            }
+            pending = pending.subarray(frame.size);
+            // Browsers always mask; the app never sends fragmented or binary messages.
+            if (!frame.isMasked || !frame.isFinal || frame.opcode === OPCODES.continuation) {
+                close(CLOSE_CODES.protocolError);
+                return;
+            }
+            if (frame.opcode === OPCODES.text) {
+                connection.emit("message", frame.payload.toString("utf8"));
+            } else if (frame.opcode === OPCODES.ping) {
+                socket.write(encodeFrame(OPCODES.pong, frame.payload));
+            } else if (frame.opcode === OPCODES.close) {
+                close();
+                return;
+            } else if (frame.opcode !== OPCODES.pong) {
+                close(CLOSE_CODES.unsupported);
+                return;
+            }
+        }
+    });
+    socket.on("close", finish);
+    socket.on("error", finish);
+    return connection;
+};
@@ -1,109 +1,137 @@
-import {useCallback, useEffect, useMemo, useRef, useState} from "react";
+import {useCallback, useEffect, useMemo, useRef, useState, useSyncExternalStore} from "react";
 import "./App.css";
-import {COUNTIES} from "./counties";
-import mapSvg from "./assets/counties.svg?raw";
+import {loadMapPack, MAP_PACKS} from "./mapPacks";
+import {boundsOf, describeMiss, getMapGeometry, itemInDirection} from "./mapGeometry";
+import {useMapZoom} from "./useMapZoom";
+import {findCrowdedTap, MAP_ZOOM_STEP, mountMapSvg} from "./mapSvg";
+import {buildHints, HINT_COST, hintCredit} from "./hints";
+import {buildTestOrder, describeTestScope, TEST_SCOPES} from "./testConfig";
+import {appendTestRecord, detectPersonalBests, formatDuration} from "./testRecords";
+import MiniMap from "./MiniMap";
+import RevealCard from "./RevealCard";
+import TestHistory from "./TestHistory";
+import TestSetupModal from "./TestSetupModal";
+import BlitzModal from "./BlitzModal";
+import PassAndPlayModal from "./PassAndPlayModal";
+import Jigsaw from "./Jigsaw";
+import Classroom from "./Classroom";
+import Worksheet from "./Worksheet";
+import ProfilesModal from "./ProfilesModal";
+import ProgressTransfer from "./ProgressTransfer";
+import {createProfile, profileBadge, removeProfile, updateProfile} from "./profiles";
+import {buildPairDrill, topConfusedPairs} from "./confusions";
+import {accuracyOf, HEATMAP_GRADIENT, heatmapColor} from "./heatmap";
+import {
+    buildDailyQueue,
+    createDailyRecord,
+    DAILY_LENGTH,
+    dailyKey,
+    dailyMarks,
+    dailyScore,
+    dailyStreak,
+    formatDailyShare,
+} from "./daily";
+import {addBlitzRun, BLITZ_PENALTY_MS, blitzTimeLeft, formatCountdown} from "./blitz";
+import {formatDue, medianResponseMs} from "./scheduler";
+import {
+    answersFor,
+    buildPassAndPlayOrder,
+    cleanPlayers,
+    passAndPlayScores,
+    playerForTurn,
+    turnNumber,
+    turnTimeLeft,
+} from "./passAndPlay";
+import {createQuizEngine, ensureStats, recordAnswers, SESSION_KINDS} from "./quizEngine";
+import {
+    EMBED_COMMANDS,
+    EMBED_ERRORS,
+    EMBED_EVENTS,
+    embedMessage,
+    embedRegion,
+    embedTestConfig,
+    readEmbedCommand,
+    readEmbedOptions,
+} from "./embed";
+import {buildProgressExport, IMPORT_MODES, mergeProgress} from "./progressTransfer";
+import {appStorage, BACKENDS, SAVE_ERRORS} from "./storage";
+import {
+    clearProfileData,
+    createScopedStorage,
+    loadBlitzBoards,
+    loadDailyRecords,
+    loadMapPackId,
+    loadProfiles,
+    loadSettings,
+    loadStats,
+    loadTestHistory,
+    persistBlitzBoards,
+    persistDailyRecords,
+    persistMapPackId,
+    persistProfiles,
+    persistSettings,
+    persistStats,
+    persistTestHistory,
+} from "./savedData";
 
-const STORAGE_KEY = "county-quiz-stats-v1";
-const COUNTY_SET = new Set(COUNTIES);
-const TOTAL_COUNTIES = COUNTIES.length;
-
-const defaultStats = {seen: 0, correct: 0, wrong: 0};
-
-const ensureStats = (stats, county) => {
-    return stats[county] ?? {...defaultStats};
+const QUIZ_MODES = {
+    locate: "locate",
+    name: "name",
+    clues: "clues",
+    places: "places",
+    jigsaw: "jigsaw",
+    classroom: "classroom",
 };
 
-const loadStats = () => {
-    if (typeof window === "undefined") {
-        return {};
-    }
-    try {
-        const raw = window.localStorage.getItem(STORAGE_KEY);
-        if (!raw) return {};
-        const parsed = JSON.parse(raw);
-        return (parsed && typeof parsed === "object") ? parsed : {};
-    } catch {
-        return {};
-    }
-};
+// The places quiz asks about towns and cities rather than the items themselves, so it keeps
+// its own progress under this deck.
+const PLACES_DECK = "places";
 
-const persistStats = (stats) => {
-    if (typeof window === "undefined") return;
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stats));
-};
+const CLOCK_TICK_MS = 250;
 
-const weightForCounty = (stats, county, previous) => {
-    const entry = ensureStats(stats, county);
-    const attempts = entry.correct + entry.wrong;
-    const seen = entry.seen;
-    if (attempts === 0) {
-        return 6.5;
+const ARROW_KEYS = {ArrowUp: "up", ArrowDown: "down", ArrowLeft: "left", ArrowRight: "right"};
+const MAP_HELP_ID = "map-keyboard-help";
+
+const describeStorageProblem = ({backend, saveError}) => {
+    if (saveError === SAVE_ERRORS.quota) {
+        return "Storage is full, so your latest progress isn't being saved. Export a backup from Stats → Backup.";
     }
-    const missRate = entry.wrong / attempts;
-    const freshnessBoost = 1 / (seen + 1);
-    let weight = 1 + missRate * 4 + freshnessBoost;
-    if (seen === 0) {
-        weight += 0.4;
+    if (saveError) {
+        return "Your progress couldn't be saved. Export a backup from Stats → Backup to keep it safe.";
     }
-    if (previous && county === previous) {
-        weight *= 0.6;
+    if (backend === BACKENDS.memory) {
+        return "This browser isn't letting the quiz save anything (private browsing?). Progress will be lost when you close this tab.";
     }
-    return weight;
+    return null;
 };
 
-const pickNextCounty = (stats, previous) => {
-    const weighted = COUNTIES.map((county) => ({
-        county,
-        weight: weightForCounty(stats, county, previous),
-    }));
-    const totalWeight = weighted.reduce((sum, item) => sum + item.weight, 0);
-    let threshold = Math.random() * totalWeight;
-    for (const {county, weight} of weighted) {
-        threshold -= weight;
-        if (threshold <= 0) {
-            return county;
-        }
-    }
-    return weighted[weighted.length - 1].county;
-};
+const findPracticeArea = (pack, areaId) => pack.practiceAreas.find((area) => area.id === areaId) ?? null;
 
-const applyNextCounty = (stats, nextCounty) => {
-    const nextEntry = ensureStats(stats, nextCounty);
-    const statsWithSeen = {
-        ...stats,
-        [nextCounty]: {
-            ...nextEntry,
-            seen: nextEntry.seen + 1,
-        },
-    };
-    persistStats(statsWithSeen);
-    return {stats: statsWithSeen, currentCounty: nextCounty};
-};
+const countiesForArea = (pack, areaId) => findPracticeArea(pack, areaId)?.counties ?? pack.itemIds;
 
-const advanceCounty = (stats, previousCounty) => {
-    const nextCounty = pickNextCounty(stats, previousCounty);
-    return applyNextCounty(stats, nextCounty);
+const placesForArea = (pack, areaId) => {
+    const counties = new Set(countiesForArea(pack, areaId));
+    return pack.places.filter(({itemId}) => counties.has(itemId)).map(({id}) => id);
 };
 
-const shuffle = (values) => {
-    const copy = [...values];
-    for (let index = copy.length - 1; index > 0; index -= 1) {
-        const swapIndex = Math.floor(Math.random() * (index + 1));
-        const holder = copy[index];
-        copy[index] = copy[swapIndex];
-        copy[swapIndex] = holder;
-    }
-    return copy;
-};
+const formatResponseTime = (ms) => (ms == null ? "–" : `${(ms / 1000).toFixed(1)}s`);
 
-const formatDuration = (ms) => {
-    const totalSeconds = Math.max(0, Math.round(ms / 1000));
-    const minutes = Math.floor(totalSeconds / 60);
-    const seconds = totalSeconds % 60;
-    if (minutes === 0) {
-        return `${seconds}s`;
-    }
-    return `${minutes}m ${seconds.toString().padStart(2, "0")}s`;
+const buildDailyResult = (pack, record, records) => {
+    const correct = dailyScore(record);
+    const total = record.counties.length;
+    const streak = dailyStreak(records, record.date);
+    return {
+        id: `daily-${record.date}`,
+        correct,
+        total,
+        wrong: total - correct,
+        percent: total === 0 ? 0 : Math.round((correct / total) * 100),
+        durationMs: record.durationMs,
+        misses: record.counties.filter((county) => record.marks[county] !== true),
+        personalBests: [],
+        areaName: null,
+        daily: {date: record.date, streak, share: formatDailyShare(pack, record, streak)},
+    };
 };
 
 const TEST_MESSAGES = [
@@ -178,39 +206,165 @@ const TEST_MESSAGES = [
 const pickTestMessage = (percent) => {
     for (const bucket of TEST_MESSAGES) {
         if (percent >= bucket.threshold) {
-            const rotations = shuffle(bucket.messages);
-            return rotations[0];
+            return bucket.messages[Math.floor(Math.random() * bucket.messages.length)];
         }
     }
     return "Great effort!";
 };
 
 
-const createInitialState = () => {
-    const baseStats = loadStats();
-    return advanceCounty(baseStats, null);
+const SVG_NS = "http://www.w3.org/2000/svg";
+const HINT_ARROW_ID = "map-hint-arrow";
+const HINT_ARROW_MAX_LENGTH = 90;
+
+const createSvgElement = (tag, attributes) => {
+    const node = document.createElementNS(SVG_NS, tag);
+    for (const [key, value] of Object.entries(attributes)) {
+        node.setAttribute(key, String(value));
+    }
+    return node;
 };
 
-function App() {
-    const [state, setState] = useState(() => createInitialState());
-    const {stats, currentCounty} = state;
+const ensureHintArrowMarker = (svg) => {
+    if (svg.querySelector(`#${HINT_ARROW_ID}`)) return;
+    const defs = svg.querySelector("defs") ?? svg.insertBefore(createSvgElement("defs", {}), svg.firstChild);
+    const marker = createSvgElement("marker", {
+        id: HINT_ARROW_ID,
+        viewBox: "0 0 10 10",
+        refX: 5,
+        refY: 5,
+        markerWidth: 4,
+        markerHeight: 4,
+        orient: "auto-start-reverse",
+    });
+    marker.appendChild(createSvgElement("path", {d: "M 0 0 L 10 5 L 0 10 z"}));
+    defs.appendChild(marker);
+};
+
+// Points from the wrong guess towards the target without giving away exactly where it is.
+const drawDirectionHint = (container, from, to) => {
+    const svg = container?.querySelector("svg");
+    if (!svg || !from || !to) return;
+    ensureHintArrowMarker(svg);
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    if (distance === 0) return;
+    const length = Math.min(distance * 0.45, HINT_ARROW_MAX_LENGTH);
+    const group = createSvgElement("g", {class: "map-hint"});
+    group.appendChild(createSvgElement("circle", {class: "map-hint__pulse", cx: from.x, cy: from.y, r: 10}));
+    group.appendChild(createSvgElement("line", {
+        class: "map-hint__arrow",
+        x1: from.x,
+        y1: from.y,
+        x2: from.x + ((to.x - from.x) / distance) * length,
+        y2: from.y + ((to.y - from.y) / distance) * length,
+        "marker-end": `url(#${HINT_ARROW_ID})`,
+    }));
+    svg.appendChild(group);
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const formatList = (items) => new Intl.ListFormat("en-GB", {type: "conjunction"}).format(items);
+
+// The prompt for the text-first mode: where the item is and what it borders, so it can be
+// answered without seeing the map.
+const describeClues = (pack, itemId) => {
+    const {labels, nameOf} = pack;
+    const region = pack.regions.find(({id}) => id === pack.itemRegion[itemId]);
+    const neighbours = (getMapGeometry(pack).neighbours[itemId] ?? [])
+        .map(nameOf)
+        .sort((a, b) => a.localeCompare(b));
+    const clues = neighbours.length > 0
+        ? [`borders ${formatList(neighbours)}`]
+        : [`has no land border with another ${labels.item}`];
+    if (region) {
+        clues.unshift(`is in the ${region.name} region`);
+    }
+    return `Which ${labels.item} ${clues.join(" and ")}?`;
+};
+
+const describePlaceQuestion = (pack, placeId) => {
+    const place = pack.placeOf(placeId);
+    if (!place) return "";
+    return place.isTown
+        ? `Which ${pack.labels.item} is ${place.name} the ${pack.labels.town} of?`
+        : `Where is ${place.name}?`;
+};
+
+const HINT_ITEM_CLASSES = {region: "is-hint-region", neighbour: "is-hint-neighbour"};
+
+function Quiz({pack, onPackChange, profile, profiles, onProfileChange, onManageProfiles, deck, initialMode, onDeckChange, embed = null}) {
+    const isPlacesDeck = deck === PLACES_DECK;
+    const [scope] = useState(() => ({pack, profileId: profile.id, deck}));
+    // An embedding page picks the area and the test; the rest of the saved settings still apply.
+    const [settings, setSettings] = useState(() => {
+        const saved = loadSettings(scope);
+        return embed ? {...saved, areaId: embedRegion(pack, embed), testConfig: embedTestConfig(pack, embed)} : saved;
+    });
+    const poolForArea = useCallback(
+        (areaId) => (isPlacesDeck ? placesForArea(pack, areaId) : countiesForArea(pack, areaId)),
+        [isPlacesDeck, pack],
+    );
+    const [engine] = useState(() => createQuizEngine(isPlacesDeck
+        ? {items: pack.places.map(({id}) => id), answerOf: (placeId) => pack.placeOf(placeId).itemId, storage: createScopedStorage(scope)}
+        : {items: pack.itemIds, storage: createScopedStorage(scope)}));
+    const [quiz, setQuiz] = useState(() => engine.init({pool: poolForArea(settings.areaId)}));
+    const {stats, confusions, current: currentQuestion, session, revealed: isRevealed} = quiz;
+    // What is asked and what is clicked on the map differ in the places quiz: there the
+    // question is a town and `currentCounty` is the item it's in.
+    const currentCounty = isPlacesDeck ? pack.placeOf(currentQuestion)?.itemId ?? null : currentQuestion;
+    // Bumped every time a question is asked, so it also changes when the same one comes up twice in a row.
+    const currentAskCount = ensureStats(stats, currentQuestion).seen;
     const [feedback, setFeedback] = useState("");
     const [feedbackType, setFeedbackType] = useState(null);
     const [selectedCountyName, setSelectedCountyName] = useState("");
     const svgRef = useRef(null);
-    const [isRevealed, setIsRevealed] = useState(false);
+    const mapZoom = useMapZoom(svgRef, pack.viewBox);
     const revealedRef = useRef(null);
+    const persistedQuizRef = useRef(null);
     const [isStatsOpen, setIsStatsOpen] = useState(false);
     const statsHistoryFlag = useRef(false);
     const isStatsOpenRef = useRef(false);
-    const [isTestMode, setIsTestMode] = useState(false);
-    const [testQueue, setTestQueue] = useState([]);
-    const [testCorrect, setTestCorrect] = useState(0);
-    const [testStartTime, setTestStartTime] = useState(null);
     const [testResult, setTestResult] = useState(null);
-    const testCorrectRef = useRef(0);
-    const testMissesRef = useRef(new Set());
+    const [isTestSetupOpen, setIsTestSetupOpen] = useState(false);
+    const [isWorksheetOpen, setIsWorksheetOpen] = useState(false);
+    const [focusedMiss, setFocusedMiss] = useState(null);
+    const [testHistory, setTestHistory] = useState(() => loadTestHistory(scope));
+    const [statsTab, setStatsTab] = useState("items");
+    const [dailyRecords, setDailyRecords] = useState(() => loadDailyRecords(scope));
+    const [shareStatus, setShareStatus] = useState("");
+    const [isHeatmapOpen, setIsHeatmapOpen] = useState(false);
+    const [heatmapCounty, setHeatmapCounty] = useState(null);
     const actionButtonRef = useRef(null);
+    const isTestMode = session?.kind === SESSION_KINDS.test;
+    const isDrilling = session?.kind === SESSION_KINDS.drill;
+    const isBlitz = session?.kind === SESSION_KINDS.blitz;
+    const isPassAndPlay = session?.kind === SESSION_KINDS.passAndPlay;
+    // Settings that would change what's being asked are locked while a test, blitz or game runs.
+    const isLocked = isTestMode || isBlitz || isPassAndPlay;
+    const [blitzBoards, setBlitzBoards] = useState(() => loadBlitzBoards(scope));
+    const [blitzModal, setBlitzModal] = useState(null);
+    const [passAndPlayModal, setPassAndPlayModal] = useState(null);
+    const [clock, setClock] = useState(() => Date.now());
+    const testConfig = isTestMode ? session.config : null;
+    const activeArea = findPracticeArea(pack, settings.areaId);
+    const activeCounties = activeArea?.counties ?? pack.itemIds;
+    const {labels, nameOf} = pack;
+    const [quizMode, setQuizMode] = useState(initialMode);
+    const [typedAnswer, setTypedAnswer] = useState("");
+    const answerInputRef = useRef(null);
+    const isNameMode = quizMode === QUIZ_MODES.name;
+    const isTypedMode = quizMode === QUIZ_MODES.name || quizMode === QUIZ_MODES.clues;
+    const {hintsUsed} = quiz;
+    const hints = useMemo(() => {
+        if (!currentCounty) return [];
+        const all = buildHints(pack, currentCounty);
+        // The town is the question itself in the places quiz.
+        return isPlacesDeck ? all.filter(({step}) => step !== "town") : all;
+    }, [currentCounty, isPlacesDeck, pack]);
+    const shownHints = useMemo(() => (isRevealed ? [] : hints.slice(0, hintsUsed)), [hints, hintsUsed, isRevealed]);
+    const canHint = !isTypedMode && !isBlitz && !isPassAndPlay && !isRevealed && hintsUsed < hints.length;
+    const [isRevealCardHidden, setIsRevealCardHidden] = useState(false);
 
     useEffect(() => {
         if (typeof window === "undefined" || typeof document === "undefined") return undefined;
@@ -239,30 +393,87 @@ function App() {
     }, []);
 
     useEffect(() => {
-        testCorrectRef.current = testCorrect;
-    }, [testCorrect]);
+        mountMapSvg(svgRef.current, pack, MAP_HELP_ID);
+    }, [pack]);
 
     useEffect(() => {
-        const container = svgRef.current;
-        if (!container) return;
-        if (container.childElementCount === 0) {
-            container.innerHTML = mapSvg;
-        }
-    }, []);
+        engine.persist(persistedQuizRef.current, quiz);
+        persistedQuizRef.current = quiz;
+    }, [engine, quiz]);
+
+    useEffect(() => {
+        persistTestHistory(scope, testHistory);
+    }, [scope, testHistory]);
+
+    useEffect(() => {
+        persistDailyRecords(scope, dailyRecords);
+    }, [dailyRecords, scope]);
+
+    useEffect(() => {
+        persistBlitzBoards(scope, blitzBoards);
+    }, [blitzBoards, scope]);
 
-    const testQueueLength = testQueue.length;
-    const completedTestCount = TOTAL_COUNTIES - testQueueLength;
-    const rawTestProgress = (isTestMode && TOTAL_COUNTIES > 0)
-        ? Math.round((completedTestCount / TOTAL_COUNTIES) * 100)
+    const testQueueLength = isTestMode ? session.queue.length : 0;
+    const testQuestionTotal = isTestMode ? session.questionTotal : 0;
+    const completedTestCount = testQuestionTotal - testQueueLength;
+    const rawTestProgress = (isTestMode && testQuestionTotal > 0)
+        ? Math.round((completedTestCount / testQuestionTotal) * 100)
         : 0;
     const testProgressPercent = Math.min(100, Math.max(0, rawTestProgress));
-    const testButtonLabel = isTestMode ? "Cancel" : "Test me";
+    const drillTotal = isDrilling ? session.total : 0;
+    const drillLabel = isDrilling ? session.label : "";
+    const drillPosition = isDrilling ? drillTotal - session.queue.length + 1 : 0;
+    const drillProgressPercent = isDrilling && drillTotal > 0
+        ? Math.round(((drillPosition - 1) / drillTotal) * 100)
+        : 0;
+    const blitzTimeLeftMs = isBlitz ? blitzTimeLeft(session, clock) : 0;
+    const blitzPercent = isBlitz ? (blitzTimeLeftMs / session.durationMs) * 100 : 0;
+    const currentTurn = isPassAndPlay ? turnNumber(session) : 0;
+    const turnPlayer = isPassAndPlay ? playerForTurn(session) : null;
+    const turnScores = useMemo(() => {
+        if (!isPassAndPlay) return [];
+        const scores = passAndPlayScores(session.players, session.turns);
+        return session.players.map(({id}) => scores.find((score) => score.id === id));
+    }, [isPassAndPlay, session]);
+    const turnTimeLeftMs = isPassAndPlay ? turnTimeLeft(session, quiz.questionStartedAt, clock) : null;
+    let turnPercent = 0;
+    if (isPassAndPlay) {
+        turnPercent = turnTimeLeftMs == null
+            ? (currentTurn / session.total) * 100
+            : (turnTimeLeftMs / session.turnMs) * 100;
+    }
+    let testButtonLabel = "Test me";
+    if (isTestMode) {
+        testButtonLabel = "Cancel";
+    } else if (isDrilling) {
+        testButtonLabel = "End drill";
+    } else if (isBlitz) {
+        testButtonLabel = "Stop";
+    } else if (isPassAndPlay) {
+        testButtonLabel = "End game";
+    }
+    let actionButtonLabel = isBlitz ? "Skip" : "Show";
+    if (isRevealed) {
+        actionButtonLabel = "Next";
+    }
+    if (isRevealed && isPassAndPlay) {
+        actionButtonLabel = currentTurn + 1 < session.total
+            ? `Pass to ${playerForTurn(session, currentTurn + 1).name}`
+            : "See results";
+    }
     const testMessage = useMemo(() => {
         if (!testResult) return "";
+        if (testResult.personalBests.length > 0) {
+            return testResult.personalBests.join(" ");
+        }
         return pickTestMessage(testResult.percent);
     }, [testResult]);
     const testScoreLabel = testResult ? `${testResult.correct} / ${testResult.total}` : "";
-    const testDurationLabel = testResult ? formatDuration(testResult.durationMs) : "";
+    let testDurationLabel = "";
+    if (testResult) {
+        testDurationLabel = testResult.durationMs == null ? "Not finished" : formatDuration(testResult.durationMs);
+    }
+    const isDailyDone = Boolean(dailyRecords[dailyKey()]);
 
     const feedbackNode = feedback
         ? (
@@ -271,20 +482,64 @@ function App() {
             </p>
         )
         : null;
-    const headerMessageContent = isRevealed
-        ? (selectedCountyName
-            ? <span className="app__header-label">{selectedCountyName}</span>
+    const questionText = useMemo(() => {
+        if (isPlacesDeck) {
+            return describePlaceQuestion(pack, currentQuestion);
+        }
+        if (quizMode === QUIZ_MODES.clues) {
+            return currentCounty ? describeClues(pack, currentCounty) : "";
+        }
+        return quizMode === QUIZ_MODES.name ? `Which ${labels.item} is this?` : `Where is ${nameOf(currentCounty)}?`;
+    }, [currentCounty, currentQuestion, isPlacesDeck, labels, nameOf, pack, quizMode]);
+    // Read out by screen readers; answer feedback is announced by the header message.
+    let announcement = isRevealed ? `The answer is ${nameOf(currentCounty)}.` : questionText;
+    if (isHeatmapOpen || !currentCounty) {
+        announcement = "";
+    }
+    const revealedLabel = selectedCountyName || (isTypedMode && !feedback ? nameOf(currentCounty) : "");
+    const heatmapEntry = heatmapCounty ? ensureStats(stats, heatmapCounty) : null;
+    const heatmapDetail = heatmapEntry
+        ? (
+            <div className="heatmap-detail">
+                <span className="app__header-label">{nameOf(heatmapCounty)}</span>
+                <span className="heatmap-detail__figures">
+                    {`${heatmapEntry.correct}/${heatmapEntry.correct + heatmapEntry.wrong} correct · seen ${heatmapEntry.seen} ${heatmapEntry.seen === 1 ? "time" : "times"}`}
+                    {heatmapEntry.hints > 0 && ` · ${heatmapEntry.hints} ${heatmapEntry.hints === 1 ? "hint" : "hints"}`}
+                </span>
+                {heatmapEntry.recent?.length > 0 && (
+                    <span className="heatmap-detail__recent" aria-label="Recent results, oldest first">
+                        {heatmapEntry.recent.map((result, index) => (
+                            <span
+                                key={`${result.at}-${index}`}
+                                className={`heatmap-detail__result heatmap-detail__result--${result.correct ? "correct" : "wrong"}`}
+                                title={new Date(result.at).toLocaleString()}
+                            >
+                                {result.correct ? "✓" : "✗"}
+                            </span>
+                        ))}
+                    </span>
+                )}
+            </div>
+        )
+        : <p className="app__feedback">{`Tap a ${labels.item} to see how you've done.`}</p>;
+    let headerMessageContent = isRevealed
+        ? (revealedLabel
+            ? <span className="app__header-label">{revealedLabel}</span>
             : feedbackNode)
         : feedbackNode;
+    if (isHeatmapOpen) {
+        headerMessageContent = heatmapDetail;
+    }
 
     const clearHighlights = useCallback(() => {
         const container = svgRef.current;
         if (!container) return;
         container
-            .querySelectorAll(".is-selected, .is-last-clicked, .is-revealed")
+            .querySelectorAll(".is-selected, .is-last-clicked, .is-revealed, .is-prompted")
             .forEach((node) =>
-                node.classList.remove("is-selected", "is-last-clicked", "is-revealed"),
+                node.classList.remove("is-selected", "is-last-clicked", "is-revealed", "is-prompted"),
             );
+        container.querySelectorAll(".map-hint").forEach((node) => node.remove());
         const revealed = revealedRef.current;
         if (revealed?.node?.isConnected) {
             if (revealed.originalStyle != null) {
@@ -304,98 +559,145 @@ function App() {
         node.focus();
     }, []);
 
-    const finishTest = useCallback((finalCorrect, options = {}) => {
-        const {skipAdvance = false} = options;
-        const durationMs = testStartTime ? Date.now() - testStartTime : 0;
+    const postToHost = useCallback((type, payload) => {
+        // Never "*": answers and results only go to a host page we know.
+        if (!embed?.parentOrigin || window.parent === window) return;
+        window.parent.postMessage(embedMessage(type, payload), embed.parentOrigin);
+    }, [embed]);
+
+    useEffect(() => {
+        postToHost(EMBED_EVENTS.ready, {packId: pack.id});
+    }, [pack.id, postToHost]);
+
+    const finishTest = useCallback((result) => {
         clearHighlights();
-        setIsTestMode(false);
-        setTestQueue([]);
-        setTestStartTime(null);
-        const missCount = testMissesRef.current.size;
-        const cappedCorrect = Math.min(finalCorrect, TOTAL_COUNTIES - missCount);
-        testCorrectRef.current = cappedCorrect;
-        setTestCorrect(cappedCorrect);
-        const percent = TOTAL_COUNTIES === 0 ? 0 : Math.round((cappedCorrect / TOTAL_COUNTIES) * 100);
-        setTestResult({
-            correct: cappedCorrect,
-            total: TOTAL_COUNTIES,
-            percent,
-            durationMs,
-            wrong: TOTAL_COUNTIES - cappedCorrect,
-        });
-        testMissesRef.current = new Set();
-        setIsRevealed(false);
-        setFeedback("");
-        setFeedbackType(null);
+        setFocusedMiss(null);
         setSelectedCountyName("");
-        if (!skipAdvance) {
-            setState((prev) => advanceCounty(prev.stats, prev.currentCounty));
-        }
-    }, [clearHighlights, testStartTime]);
-
-    const handleCorrect = useCallback(
-        (county) => {
-            setState((prev) => {
-                const countyStats = ensureStats(prev.stats, county);
-                const updatedStats = {
-                    ...prev.stats,
-                    [county]: {
-                        ...countyStats,
-                        correct: countyStats.correct + 1,
-                    },
-                };
-                persistStats(updatedStats);
-                return {stats: updatedStats, currentCounty: prev.currentCounty};
-            });
-            if (isTestMode) {
-                const alreadyMissed = testMissesRef.current.has(county);
-                if (!alreadyMissed) {
-                    const nextCorrect = testCorrectRef.current + 1;
-                    testCorrectRef.current = nextCorrect;
-                    setTestCorrect(nextCorrect);
-                }
-                if (testQueueLength <= 1) {
-                    finishTest(testCorrectRef.current);
-                    return;
-                }
+        const dailyRecord = result.config?.daily ? dailyRecords[result.config.daily] : null;
+        if (dailyRecord) {
+            const finished = {
+                ...dailyRecord,
+                marks: dailyMarks(result.questions),
+                finishedAt: result.finishedAt,
+                durationMs: result.abandoned ? null : result.durationMs,
+            };
+            const nextRecords = {...dailyRecords, [finished.date]: finished};
+            setDailyRecords(nextRecords);
+            const shown = {...buildDailyResult(pack, finished, nextRecords), hintsUsed: result.hintsUsed};
+            setTestResult(shown);
+            postToHost(EMBED_EVENTS.testFinished, {result: shown});
+            return;
+        }
+        const record = {
+            id: result.id,
+            finishedAt: result.finishedAt,
+            correct: result.correct,
+            score: result.score,
+            hintsUsed: result.hintsUsed,
+            total: result.total,
+            percent: result.percent,
+            durationMs: result.durationMs,
+            config: result.config,
+            misses: result.misses,
+            questions: result.questions,
+        };
+        const personalBests = detectPersonalBests(testHistory, record);
+        setTestHistory((prev) => appendTestRecord(prev, {...record, personalBests}));
+        const shown = {
+            ...record,
+            wrong: result.wrong,
+            areaName: result.config ? describeTestScope(pack, result.config) : null,
+            personalBests,
+        };
+        setTestResult(shown);
+        postToHost(EMBED_EVENTS.testFinished, {result: shown});
+    }, [clearHighlights, dailyRecords, pack, postToHost, testHistory]);
+
+    const finishBlitz = useCallback((result) => {
+        clearHighlights();
+        setSelectedCountyName("");
+        const {boards, rank} = addBlitzRun(blitzBoards, result);
+        setBlitzBoards(boards);
+        setBlitzModal({result, rank});
+    }, [blitzBoards, clearHighlights]);
+
+    // Players who picked a profile get their turns added to its stats; nobody else's change.
+    const finishPassAndPlay = useCallback((result) => {
+        clearHighlights();
+        setSelectedCountyName("");
+        for (const player of result.players) {
+            if (!player.profileId) continue;
+            const answers = answersFor(result.turns, player.id);
+            if (player.profileId === profile.id) {
+                setQuiz((prev) => engine.reduce(prev, {
+                    type: "restore",
+                    stats: recordAnswers(prev.stats, answers),
+                    confusions: prev.confusions,
+                }));
+            } else {
+                const playerScope = {...scope, profileId: player.profileId};
+                persistStats(playerScope, recordAnswers(loadStats(playerScope), answers));
             }
-            setFeedback("Correct!");
-            setFeedbackType("success");
-            setIsRevealed(true);
-        },
-        [finishTest, isTestMode, testQueueLength],
-    );
+        }
+        setPassAndPlayModal({result});
+    }, [clearHighlights, engine, profile.id, scope]);
 
-    const handleIncorrect = useCallback(
-        (county, guess) => {
-            setState((prev) => {
-                const countyStats = ensureStats(prev.stats, county);
-                const updatedStats = {
-                    ...prev.stats,
-                    [county]: {
-                        ...countyStats,
-                        wrong: countyStats.wrong + 1,
-                    },
-                };
-                persistStats(updatedStats);
-                return {stats: updatedStats, currentCounty: prev.currentCounty};
+    const dispatch = useCallback((action) => {
+        const next = engine.reduce(quiz, action);
+        setQuiz(next);
+        if (action.type === "answer" && next !== quiz) {
+            postToHost(EMBED_EVENTS.questionAnswered, {
+                itemId: quiz.current,
+                guess: action.guess,
+                correct: next.lastEvent?.type === "correct",
+                inTest: quiz.session?.kind === SESSION_KINDS.test,
             });
-            if (isTestMode) {
-                const misses = testMissesRef.current;
-                if (county && !misses.has(county)) {
-                    misses.add(county);
-                }
-                if (testQueueLength <= 1) {
-                    finishTest(testCorrectRef.current);
-                    return;
-                }
+        }
+        const key = quiz.session?.config?.daily;
+        if (key && next.session && next.session.questions !== quiz.session.questions) {
+            setDailyRecords((prev) => ({...prev, [key]: {...prev[key], marks: dailyMarks(next.session.questions)}}));
+        }
+        if (next.lastEvent?.type === "finished" && next.lastEvent !== quiz.lastEvent) {
+            const {result} = next.lastEvent;
+            if (result.kind === SESSION_KINDS.blitz) {
+                finishBlitz(result);
+            } else if (result.kind === SESSION_KINDS.passAndPlay) {
+                finishPassAndPlay(result);
+            } else {
+                finishTest(result);
             }
-            setFeedback(`That was ${guess}. Try again.`);
-            setFeedbackType("error");
-            setIsRevealed(false);
-        },
-        [finishTest, isTestMode, testQueueLength],
-    );
+        }
+        return next;
+    }, [engine, finishBlitz, finishPassAndPlay, finishTest, postToHost, quiz]);
+
+    const showAnswerFeedback = useCallback((event) => {
+        if (event?.type === "correct") {
+            setFeedback(hintsUsed > 0
+                ? `Correct! With ${hintsUsed} ${hintsUsed === 1 ? "hint" : "hints"}, that's ${Math.round(hintCredit(hintsUsed) * 100)}% credit.`
+                : "Correct!");
+            setFeedbackType("success");
+            return;
+        }
+        if (event?.type !== "incorrect") return;
+        const {guess} = event;
+        const county = currentCounty;
+        const isKnownGuess = pack.itemSet.has(guess);
+        const guessLabel = isKnownGuess ? nameOf(guess) : guess;
+        const penaltyNote = isBlitz ? ` −${BLITZ_PENALTY_MS / 1000}s` : "";
+        if (isNameMode) {
+            setFeedback(`It isn't ${guessLabel}. Try again.${penaltyNote}`);
+        } else {
+            const geometry = isKnownGuess ? getMapGeometry(pack) : null;
+            const miss = geometry ? describeMiss(geometry, county, guess, labels) : null;
+            setFeedback(miss
+                ? `That was ${guessLabel}. ${miss.text}${penaltyNote}`
+                : `That was ${guessLabel}. Try again.${penaltyNote}`);
+            if (miss && settings.directionHints) {
+                drawDirectionHint(svgRef.current, geometry.centroids[guess], geometry.centroids[county]);
+            }
+        }
+        setFeedbackType("error");
+    }, [currentCounty, hintsUsed, isBlitz, isNameMode, labels, nameOf, pack, settings.directionHints]);
 
     const getCountyPath = useCallback((county) => {
         if (!county) return null;
@@ -406,64 +708,228 @@ function App() {
             : (value) => value.replace(/["\\]/g, "\\$&");
         const node = container.querySelector(`[id="${escape(county)}"]`);
         if (!node) {
-            console.warn(`[map] County path not found for id: ${county}`);
+            console.warn(`[map] Map item not found for id: ${county}`);
         }
         return node;
     }, []);
 
-    const startTestMode = useCallback(() => {
-        const order = shuffle(COUNTIES);
+    const startTestMode = useCallback((config, presetOrder = null) => {
+        const order = presetOrder ?? buildTestOrder(pack, stats, config, engine.shuffle);
         if (order.length === 0) return;
         clearHighlights();
         if (isStatsOpenRef.current) {
             statsHistoryFlag.current = false;
             setIsStatsOpen(false);
         }
-        setIsTestMode(true);
-        setTestQueue(order);
-        testCorrectRef.current = 0;
-        setTestCorrect(0);
-        testMissesRef.current = new Set();
-        setTestStartTime(Date.now());
+        setIsTestSetupOpen(false);
+        setIsHeatmapOpen(false);
         setTestResult(null);
         setSelectedCountyName("");
         setFeedback("");
         setFeedbackType(null);
-        setIsRevealed(false);
-        setState((prev) => applyNextCounty(prev.stats, order[0]));
-    }, [clearHighlights]);
+        dispatch({type: "start", mode: SESSION_KINDS.test, queue: order, config});
+    }, [clearHighlights, dispatch, engine, pack, stats]);
+
+    const openTestSetup = useCallback(() => {
+        setIsTestSetupOpen(true);
+    }, []);
+    const createProgressExport = useCallback(() => {
+        return buildProgressExport({pack, profile, stats, confusions, testHistory, dailyRecords, blitzBoards});
+    }, [blitzBoards, confusions, dailyRecords, pack, profile, stats, testHistory]);
+
+    const importProgress = useCallback((progress, mode) => {
+        const next = mode === IMPORT_MODES.merge
+            ? mergeProgress({stats, confusions, testHistory, daily: dailyRecords, blitz: blitzBoards}, progress)
+            : progress;
+        dispatch({type: "restore", stats: next.stats, confusions: next.confusions});
+        setTestHistory(next.testHistory);
+        setDailyRecords(next.daily);
+        setBlitzBoards(next.blitz);
+    }, [blitzBoards, confusions, dailyRecords, dispatch, stats, testHistory]);
+
+    const handleTestSetupStart = useCallback((config) => {
+        const nextSettings = {...settings, testConfig: config};
+        setSettings(nextSettings);
+        persistSettings(scope, nextSettings);
+        startTestMode(config);
+    }, [scope, settings, startTestMode]);
+
+    const startDaily = useCallback(() => {
+        const key = dailyKey();
+        const existing = dailyRecords[key];
+        if (existing) {
+            setTestResult(buildDailyResult(pack, existing, dailyRecords));
+            return;
+        }
+        const order = buildDailyQueue(pack, key);
+        setDailyRecords((prev) => ({...prev, [key]: createDailyRecord(key, order, Date.now())}));
+        startTestMode({length: DAILY_LENGTH, scope: TEST_SCOPES.all, retryMisses: false, daily: key}, order);
+    }, [dailyRecords, pack, startTestMode]);
+
+    const copyDailyShare = useCallback(async (text) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setShareStatus("Copied!");
+        } catch {
+            setShareStatus("Couldn't copy. Select the text above instead.");
+        }
+    }, []);
 
     const cancelTestMode = useCallback(() => {
         clearHighlights();
-        setIsTestMode(false);
-        setTestQueue([]);
-        testCorrectRef.current = 0;
-        testMissesRef.current = new Set();
-        setTestCorrect(0);
-        setTestStartTime(null);
         setTestResult(null);
         setSelectedCountyName("");
         setFeedback("");
         setFeedbackType(null);
-        setIsRevealed(false);
-        setState((prev) => advanceCounty(prev.stats, prev.currentCounty));
-    }, [clearHighlights]);
+        dispatch({type: "cancel", finish: Boolean(testConfig?.daily)});
+    }, [clearHighlights, dispatch, testConfig]);
+
+    const startDrill = useCallback((queue, label) => {
+        if (queue.length === 0) return;
+        clearHighlights();
+        if (isStatsOpenRef.current) {
+            statsHistoryFlag.current = false;
+            setIsStatsOpen(false);
+        }
+        setIsHeatmapOpen(false);
+        setSelectedCountyName("");
+        setFeedback("");
+        setFeedbackType(null);
+        dispatch({type: "start", mode: SESSION_KINDS.drill, queue, label});
+    }, [clearHighlights, dispatch]);
+
+    const startPairDrill = useCallback((pairs) => {
+        startDrill(buildPairDrill(pairs), "Pair drill");
+    }, [startDrill]);
+
+    // Ends a drill or a blitz early, without a result.
+    const endSession = useCallback(() => {
+        clearHighlights();
+        setSelectedCountyName("");
+        setFeedback("");
+        setFeedbackType(null);
+        dispatch({type: "cancel"});
+    }, [clearHighlights, dispatch]);
 
     const handleTestButton = useCallback(() => {
         if (isTestMode) {
             cancelTestMode();
+        } else if (isDrilling || isBlitz) {
+            endSession();
+        } else if (isPassAndPlay) {
+            clearHighlights();
+            setFeedback("");
+            setFeedbackType(null);
+            dispatch({type: "cancel", finish: true});
+        } else if (embed) {
+            startTestMode(embedTestConfig(pack, embed));
         } else {
-            startTestMode();
+            openTestSetup();
+        }
+    }, [
+        cancelTestMode,
+        clearHighlights,
+        dispatch,
+        embed,
+        endSession,
+        isBlitz,
+        isDrilling,
+        isPassAndPlay,
+        isTestMode,
+        openTestSetup,
+        pack,
+        startTestMode,
+    ]);
+
+    const startBlitz = useCallback((durationMs) => {
+        const nextSettings = {...settings, blitzDurationMs: durationMs};
+        setSettings(nextSettings);
+        persistSettings(scope, nextSettings);
+        clearHighlights();
+        setBlitzModal(null);
+        setIsHeatmapOpen(false);
+        setTestResult(null);
+        setSelectedCountyName("");
+        setFeedback("");
+        setFeedbackType(null);
+        // The leaderboard compares like with like: every blitz is the whole map, found by clicking.
+        setQuizMode(QUIZ_MODES.locate);
+        setTypedAnswer("");
+        setClock(Date.now());
+        dispatch({
+            type: "start",
+            mode: SESSION_KINDS.blitz,
+            queue: engine.shuffle(pack.itemIds),
+            durationMs,
+            penaltyMs: BLITZ_PENALTY_MS,
+        });
+    }, [clearHighlights, dispatch, engine, pack, scope, settings]);
+
+    useEffect(() => {
+        if (!isBlitz) return undefined;
+        const timer = setInterval(() => setClock(Date.now()), CLOCK_TICK_MS);
+        return () => clearInterval(timer);
+    }, [isBlitz]);
+
+    useEffect(() => {
+        if (isBlitz && blitzTimeLeftMs === 0) {
+            dispatch({type: "tick"});
         }
-    }, [cancelTestMode, isTestMode, startTestMode]);
+    }, [blitzTimeLeftMs, dispatch, isBlitz]);
+
+    const startPassAndPlay = useCallback((config) => {
+        const players = cleanPlayers(config.players, profiles.map(({id}) => id));
+        const queue = buildPassAndPlayOrder(pack, config, players.length, engine.shuffle);
+        if (queue.length === 0) return;
+        const nextSettings = {...settings, passAndPlay: config};
+        setSettings(nextSettings);
+        persistSettings(scope, nextSettings);
+        clearHighlights();
+        setPassAndPlayModal(null);
+        setIsHeatmapOpen(false);
+        setTestResult(null);
+        setSelectedCountyName("");
+        setFeedback("");
+        setFeedbackType(null);
+        setTypedAnswer("");
+        setClock(Date.now());
+        dispatch({type: "start", mode: SESSION_KINDS.passAndPlay, queue, players, turnMs: config.turnMs});
+    }, [clearHighlights, dispatch, engine, pack, profiles, scope, settings]);
+
+    // Back to practice, as if the page had just loaded.
+    const resetQuiz = useCallback(() => {
+        clearHighlights();
+        setTestResult(null);
+        setIsTestSetupOpen(false);
+        setSelectedCountyName("");
+        setFeedback("");
+        setFeedbackType(null);
+        setTypedAnswer("");
+        dispatch({type: "start", pool: poolForArea(settings.areaId)});
+    }, [clearHighlights, dispatch, poolForArea, settings.areaId]);
+
+    useEffect(() => {
+        if (!embed) return undefined;
+        const handleMessage = (event) => {
+            const command = readEmbedCommand(event, embed, window.parent);
+            if (command?.type === EMBED_COMMANDS.startTest) {
+                // The places quiz has no tests; say so rather than leave the host page waiting.
+                if (isPlacesDeck) {
+                    postToHost(EMBED_EVENTS.error, {command: command.type, message: EMBED_ERRORS.noTests});
+                } else {
+                    startTestMode(embedTestConfig(pack, {...embed, ...command}));
+                }
+            } else if (command?.type === EMBED_COMMANDS.reset) {
+                resetQuiz();
+            }
+        };
+        window.addEventListener("message", handleMessage);
+        return () => window.removeEventListener("message", handleMessage);
+    }, [embed, isPlacesDeck, pack, postToHost, resetQuiz, startTestMode]);
 
     const closeTestResult = useCallback(() => {
         setTestResult(null);
-        testCorrectRef.current = 0;
-        setTestCorrect(0);
-        setTestQueue([]);
-        setTestStartTime(null);
-        testMissesRef.current = new Set();
+        setShareStatus("");
         setSelectedCountyName("");
     }, []);
 
@@ -519,14 +985,53 @@ function App() {
         };
     }, [isStatsOpen]);
 
+    const openHeatmap = useCallback(() => {
+        closeStats();
+        setHeatmapCounty(null);
+        setIsHeatmapOpen(true);
+    }, [closeStats]);
 
-    const handleMapClick = useCallback(
-    (event) => {
-        const path = event.target.closest("path");
-        if (!path) return;
+    const closeHeatmap = useCallback(() => {
+        setIsHeatmapOpen(false);
+        setHeatmapCounty(null);
+        dispatch({type: "resume"});
+    }, [dispatch]);
+
+    useEffect(() => {
+        const container = svgRef.current;
+        if (!isHeatmapOpen || !container) return undefined;
+        const nodes = [...container.querySelectorAll(".map-item")];
+        for (const node of nodes) {
+            const accuracy = accuracyOf(stats[node.id]);
+            node.classList.toggle("is-heat-unseen", accuracy == null);
+            node.classList.toggle("is-heat-selected", node.id === heatmapCounty);
+            if (accuracy == null) {
+                node.style.removeProperty("--heat-fill");
+            } else {
+                node.style.setProperty("--heat-fill", heatmapColor(accuracy));
+            }
+        }
+        return () => {
+            for (const node of nodes) {
+                node.classList.remove("is-heat-unseen", "is-heat-selected");
+                node.style.removeProperty("--heat-fill");
+            }
+        };
+    }, [heatmapCounty, isHeatmapOpen, stats]);
+
+
+    // `pointerEvent` is the click that chose the item, or null when it was chosen from the keyboard.
+    const chooseMapItem = useCallback((path, pointerEvent) => {
         const guess = path.id;
-        if (!COUNTY_SET.has(guess)) return;
-        focusActionButton();
+        if (!pack.itemSet.has(guess)) return;
+        if (isHeatmapOpen) {
+            setHeatmapCounty(guess);
+            return;
+        }
+        if (isTypedMode && !isRevealed) return;
+        if (pointerEvent) {
+            focusActionButton();
+        }
         if (isRevealed) {
             const container = svgRef.current;
             if (container) {
@@ -537,76 +1042,197 @@ function App() {
             if (guess === currentCounty) {
                 setSelectedCountyName("");
             } else {
-                setSelectedCountyName(guess);
+                setSelectedCountyName(nameOf(guess));
             }
             path.classList.add("is-last-clicked");
             return;
         }
+        const crowded = currentCounty && pointerEvent ? findCrowdedTap(pack, mapZoom, pointerEvent) : null;
+        if (crowded) {
+            mapZoom.zoomInAround(crowded.point, crowded.factor);
+            setFeedback(`That spot is close to more than one ${labels.item}, so the map zoomed in. Tap again.`);
+            setFeedbackType(null);
+            return;
+        }
         clearHighlights();
         path.classList.add("is-last-clicked");
         if (!currentCounty) return;
+        setSelectedCountyName("");
         if (guess === currentCounty) {
-            setSelectedCountyName("");
             path.classList.remove("is-last-clicked");
             path.classList.add("is-selected");
-            handleCorrect(currentCounty);
-        } else {
-            setSelectedCountyName("");
-            handleIncorrect(currentCounty, guess);
         }
-    },
-    [clearHighlights, currentCounty, focusActionButton, handleCorrect, handleIncorrect, isRevealed],
+        // Moving around with the arrow keys takes far longer than a tap, so only taps are timed.
+        const next = dispatch({type: "answer", guess, timed: Boolean(pointerEvent)});
+        if (!pointerEvent && next.lastEvent?.type === "correct") {
+            focusActionButton();
+        }
+        showAnswerFeedback(next.lastEvent);
+    }, [
+        clearHighlights,
+        currentCounty,
+        dispatch,
+        focusActionButton,
+        isHeatmapOpen,
+        isRevealed,
+        isTypedMode,
+        labels,
+        mapZoom,
+        nameOf,
+        pack,
+        showAnswerFeedback,
+    ]);
+
+    const handleMapClick = useCallback((event) => {
+        const path = event.target.closest(".map-item");
+        if (path) {
+            chooseMapItem(path, event);
+        }
+    }, [chooseMapItem]);
+
+    const handleMapKeyDown = useCallback((event) => {
+        const path = event.target.closest(".map-item");
+        if (!path) return;
+        if (event.key === "Enter" || event.key === " ") {
+            event.preventDefault();
+            chooseMapItem(path, null);
+            return;
+        }
+        const direction = ARROW_KEYS[event.key];
+        if (!direction) return;
+        event.preventDefault();
+        const geometry = getMapGeometry(pack);
+        const target = getCountyPath(itemInDirection(geometry, path.id, direction));
+        if (!target) return;
+        target.focus({preventScroll: true});
+        mapZoom.keepInView(geometry.bounds[target.id]);
+    }, [chooseMapItem, getCountyPath, mapZoom, pack]);
+
+    const handleMapFocus = useCallback((event) => {
+        const path = event.target.closest(".map-item");
+        if (!path || path.getAttribute("tabindex") === "0") return;
+        svgRef.current?.querySelectorAll(".map-item[tabindex='0']").forEach((node) => {
+            node.setAttribute("tabindex", "-1");
+        });
+        path.setAttribute("tabindex", "0");
+    }, []);
+
+    const handleAnswerSubmit = useCallback(
+        (event) => {
+            event.preventDefault();
+            if (!currentCounty || isRevealed) return;
+            const answer = typedAnswer.trim();
+            if (!answer) return;
+            const guess = pack.matchName(answer);
+            setTypedAnswer("");
+            if (guess === currentCounty) {
+                focusActionButton();
+            }
+            const next = dispatch({type: "answer", guess: guess ?? `“${answer}”`});
+            showAnswerFeedback(next.lastEvent);
+        },
+        [currentCounty, dispatch, focusActionButton, isRevealed, pack, showAnswerFeedback, typedAnswer],
     );
 
-    useEffect(() => {
+    const handleQuizModeChange = useCallback((event) => {
+        const mode = event.target.value;
+        if (mode === QUIZ_MODES.jigsaw || mode === QUIZ_MODES.classroom || (mode === QUIZ_MODES.places) !== isPlacesDeck) {
+            onDeckChange(mode === QUIZ_MODES.places ? PLACES_DECK : null, mode);
+            return;
+        }
         clearHighlights();
-        setIsRevealed(false);
+        setQuizMode(mode);
+        setTypedAnswer("");
         setFeedback("");
         setFeedbackType(null);
         setSelectedCountyName("");
-    }, [clearHighlights, currentCounty]);
+        dispatch({type: "start", pool: poolForArea(settings.areaId)});
+    }, [clearHighlights, dispatch, isPlacesDeck, onDeckChange, poolForArea, settings.areaId]);
 
-    const handleShowOrNext = useCallback(() => {
-        if (!currentCounty) return;
-        if (isRevealed) {
-            clearHighlights();
-            if (isTestMode) {
-                if (testQueueLength <= 1) {
-                    finishTest(testCorrectRef.current);
-                } else {
-                    const remaining = testQueue.slice(1);
-                    const nextCounty = remaining[0];
-                    setTestQueue(remaining);
-                    setState((prev) => applyNextCounty(prev.stats, nextCounty));
-                    setIsRevealed(false);
-                    setFeedback("");
-                    setFeedbackType(null);
-                    setSelectedCountyName("");
-                }
-                return;
-            }
-            setState((prev) => advanceCounty(prev.stats, prev.currentCounty));
-            setIsRevealed(false);
-            setFeedback("");
-            setFeedbackType(null);
-            setSelectedCountyName("");
-            return;
+    const handleAreaChange = useCallback((event) => {
+        const areaId = event.target.value || null;
+        const nextSettings = {
+            ...settings,
+            areaId,
+            testConfig: {...settings.testConfig, scope: areaId ?? TEST_SCOPES.all},
+        };
+        setSettings(nextSettings);
+        persistSettings(scope, nextSettings);
+        clearHighlights();
+        setTypedAnswer("");
+        setFeedback("");
+        setFeedbackType(null);
+        setSelectedCountyName("");
+        dispatch({type: "start", pool: poolForArea(areaId)});
+    }, [clearHighlights, dispatch, poolForArea, scope, settings]);
+
+    const toggleDirectionHints = useCallback((event) => {
+        const nextSettings = {...settings, directionHints: event.target.checked};
+        setSettings(nextSettings);
+        persistSettings(scope, nextSettings);
+        if (!nextSettings.directionHints) {
+            svgRef.current?.querySelectorAll(".map-hint").forEach((node) => node.remove());
         }
-        setState((prev) => {
-            const currentStats = ensureStats(prev.stats, currentCounty);
-            const updatedStats = {
-                ...prev.stats,
-                [currentCounty]: {
-                    ...currentStats,
-                    wrong: currentStats.wrong + 1,
-                },
-            };
-            persistStats(updatedStats);
-            return {stats: updatedStats, currentCounty: prev.currentCounty};
+    }, [scope, settings]);
+
+    useEffect(() => {
+        const container = svgRef.current;
+        if (!container) return;
+        const activeSet = new Set(activeCounties);
+        container.querySelectorAll(".map-item").forEach((node) => {
+            node.classList.toggle("is-dimmed", !activeSet.has(node.id));
         });
+    }, [activeCounties]);
+
+    const {focusOn, releaseFocus} = mapZoom;
+
+    useEffect(() => {
         clearHighlights();
+        releaseFocus();
         setFeedback("");
         setFeedbackType(null);
+        setSelectedCountyName("");
+        setTypedAnswer("");
+        setIsRevealCardHidden(false);
+    }, [clearHighlights, currentQuestion, currentAskCount, releaseFocus]);
+
+    useEffect(() => {
+        if (!isTypedMode || isRevealed) return;
+        const target = isNameMode ? getCountyPath(currentCounty) : null;
+        if (target) {
+            target.classList.add("is-prompted");
+        }
+        answerInputRef.current?.focus();
+    }, [currentAskCount, currentCounty, getCountyPath, isNameMode, isRevealed, isTypedMode]);
+
+    const handleHint = useCallback(() => {
+        const hint = hints[hintsUsed];
+        if (!hint || isRevealed) return;
+        dispatch({type: "hint", step: hint.step});
+    }, [dispatch, hints, hintsUsed, isRevealed]);
+
+    useEffect(() => {
+        const container = svgRef.current;
+        const svg = container?.querySelector("svg");
+        if (!svg || shownHints.length === 0) return undefined;
+        for (const hint of shownHints) {
+            for (const itemId of hint.items ?? []) {
+                getCountyPath(itemId)?.classList.add(HINT_ITEM_CLASSES[hint.step]);
+            }
+            if (hint.area) {
+                svg.appendChild(createSvgElement("circle", {class: "map-hint-area", ...hint.area}));
+            }
+        }
+        return () => {
+            container.querySelectorAll(".is-hint-region, .is-hint-neighbour").forEach((node) => {
+                node.classList.remove("is-hint-region", "is-hint-neighbour");
+            });
+            container.querySelectorAll(".map-hint-area").forEach((node) => node.remove());
+        };
+    }, [getCountyPath, shownHints]);
+
+    // Paints the answer on the map and zooms to its region.
+    const highlightAnswer = useCallback(() => {
         const target = getCountyPath(currentCounty);
         if (target) {
             const originalStyle = target.getAttribute("style") ?? "";
@@ -624,38 +1250,110 @@ function App() {
                 }, {});
             styleMap.fill = "#e91e63";
             styleMap.stroke = "#880e4f";
-            styleMap["stroke-width"] = "1.6";
+            styleMap["stroke-width"] = "calc(1.6px / var(--map-zoom, 1))";
             const nextStyle = Object.entries(styleMap)
                 .map(([key, value]) => `${key}:${value}`)
                 .join(";");
             target.setAttribute("style", nextStyle);
             target.classList.add("is-revealed");
             console.debug(`[map] Revealed ${currentCounty}`);
+        }
+        const region = pack.regions.find(({id}) => id === pack.itemRegion[currentCounty]);
+        const bounds = boundsOf(getMapGeometry(pack), region?.counties ?? [currentCounty]);
+        if (bounds) {
+            focusOn(bounds);
+        }
+    }, [currentCounty, focusOn, getCountyPath, pack]);
+
+    const handleShowOrNext = useCallback(() => {
+        if (!currentCounty) return;
+        if (isRevealed) {
+            clearHighlights();
+            setFeedback("");
+            setFeedbackType(null);
             setSelectedCountyName("");
-            setIsRevealed(true);
+            const next = dispatch({type: "next"});
+            if (next.lastEvent?.type === "drillComplete") {
+                setFeedback(`${next.lastEvent.label} complete!`);
+                setFeedbackType("success");
+            }
+            return;
         }
-    }, [clearHighlights, currentCounty, finishTest, getCountyPath, isRevealed, isTestMode, testQueue, testQueueLength]);
+        dispatch({type: "reveal"});
+        clearHighlights();
+        setFeedback("");
+        setFeedbackType(null);
+        setSelectedCountyName("");
+        highlightAnswer();
+    }, [clearHighlights, currentCounty, dispatch, highlightAnswer, isRevealed]);
 
+    useEffect(() => {
+        if (!isPassAndPlay || !session.turnMs) return undefined;
+        const timer = setInterval(() => setClock(Date.now()), CLOCK_TICK_MS);
+        return () => clearInterval(timer);
+    }, [isPassAndPlay, session]);
+
+    useEffect(() => {
+        if (!isPassAndPlay || isRevealed || turnTimeLeftMs !== 0) return;
+        const next = dispatch({type: "tick"});
+        if (next.lastEvent?.type !== "timeUp") return;
+        clearHighlights();
+        setSelectedCountyName("");
+        setFeedback(`Time's up! That was ${nameOf(next.lastEvent.county)}.`);
+        setFeedbackType("error");
+        highlightAnswer();
+    }, [clearHighlights, dispatch, highlightAnswer, isPassAndPlay, isRevealed, nameOf, turnTimeLeftMs]);
     const statsEntries = useMemo(() => {
-        return [...COUNTIES]
-            .sort((a, b) => a.localeCompare(b))
+        if (!isStatsOpen) return [];
+        const now = Date.now();
+        const ids = isPlacesDeck ? pack.places.map(({id}) => id) : pack.itemIds;
+        const labelOf = isPlacesDeck ? (placeId) => pack.placeOf(placeId).name : nameOf;
+        return [...ids]
+            .sort((a, b) => labelOf(a).localeCompare(labelOf(b)))
             .map((county) => {
                 const entry = ensureStats(stats, county);
                 const attempts = entry.correct + entry.wrong;
                 const percent = attempts === 0 ? 0 : Math.round((entry.correct / attempts) * 100);
                 return {
                     county,
+                    label: labelOf(county),
                     percent,
                     attempts,
                     correct: entry.correct,
                     seen: entry.seen,
+                    dueLabel: formatDue(entry, now),
+                    medianLabel: formatResponseTime(medianResponseMs(entry)),
+                    hints: entry.hints ?? 0,
                 };
             });
-    }, [stats]);
+    }, [isPlacesDeck, isStatsOpen, nameOf, pack, stats]);
+
+    const confusedPairs = useMemo(() => topConfusedPairs(confusions), [confusions]);
+
+    const regionEntries = useMemo(() => {
+        if (!isStatsOpen) return [];
+        const questionsIn = (region) => (isPlacesDeck
+            ? pack.places.filter(({itemId}) => region.counties.includes(itemId)).map(({id}) => id)
+            : region.counties);
+        return pack.regions.map((region) => {
+            let correct = 0;
+            let attempts = 0;
+            for (const county of questionsIn(region)) {
+                const entry = ensureStats(stats, county);
+                correct += entry.correct;
+                attempts += entry.correct + entry.wrong;
+            }
+            const percent = attempts === 0 ? 0 : Math.round((correct / attempts) * 100);
+            return {id: region.id, name: region.name, correct, attempts, percent};
+        });
+    }, [isPlacesDeck, isStatsOpen, pack, stats]);
 
 
     return (
-        <div className={`app${isTestMode ? " app--test" : ""}`}>
+        <div
+            className={`app${isTestMode || isDrilling || isBlitz || isPassAndPlay ? " app--test" : ""}${isHeatmapOpen ? " app--heatmap" : ""}${embed ? " app--embed" : ""}`}
+            style={embed?.accent ? {"--embed-accent": embed.accent} : undefined}
+        >
             {isTestMode && (
                 <div className="test-progress" role="status" aria-live="polite">
                     <div className="test-progress__bar">
@@ -664,34 +1362,297 @@ function App() {
                     </div>
                 </div>
             )}
+            {isDrilling && (
+                <div className="test-progress" role="status" aria-live="polite">
+                    <div className="test-progress__bar">
+                        <div className="test-progress__fill" style={{width: `${drillProgressPercent}%`}}/>
+                        <div className="test-progress__label">{`${drillLabel} ${drillPosition} / ${drillTotal}`}</div>
+                    </div>
+                </div>
+            )}
+            {isBlitz && (
+                <div className="test-progress" role="timer">
+                    <div className="test-progress__bar">
+                        <div className="test-progress__fill test-progress__fill--blitz" style={{width: `${blitzPercent}%`}}/>
+                        <div className="test-progress__label">
+                            {`${formatCountdown(blitzTimeLeftMs)} left · ${session.correct} correct`}
+                        </div>
+                    </div>
+                </div>
+            )}
+            {isPassAndPlay && (
+                <div className="test-progress" role={session.turnMs ? "timer" : "status"}>
+                    <div className="test-progress__bar">
+                        <div
+                            className={`test-progress__fill${session.turnMs ? " test-progress__fill--blitz" : ""}`}
+                            style={{width: `${turnPercent}%`}}
+                        />
+                        <div className="test-progress__label">
+                            {`${turnPlayer.name}'s turn · ${currentTurn + 1} / ${session.total}`}
+                            {turnTimeLeftMs != null && ` · ${formatCountdown(turnTimeLeftMs)} left`}
+                        </div>
+                    </div>
+                </div>
+            )}
             <header className="app__header">
+                {isPassAndPlay && (
+                    <ol className="pass-play-board" aria-label="Scores">
+                        {turnScores.map((score) => (
+                            <li
+                                key={score.id}
+                                className={`pass-play-board__player${score.id === turnPlayer.id ? " pass-play-board__player--turn" : ""}`}
+                            >
+                                <span className="pass-play-board__name">{score.name}</span>
+                                <span className="pass-play-board__score">{score.correct}</span>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+                {embed?.title && <p className="app__brand">{embed.title}</p>}
                 <div className="app__header-top">
-                    <h1 className="app__title">Where is {currentCounty}?</h1>
+                    <p className="visually-hidden" aria-live="polite">{announcement}</p>
+                    <h1 className="app__title">
+                        {isHeatmapOpen && `Accuracy by ${labels.item}`}
+                        {!isHeatmapOpen && questionText}
+                    </h1>
+                    {!embed && (
+                        <>
+                            <div className="profile-switcher">
+                                <span
+                                    className="profile-badge"
+                                    style={profile.color ? {background: profile.color} : undefined}
+                                    aria-hidden="true"
+                                >
+                                    {profileBadge(profile)}
+                                </span>
+                                {profiles.length > 1 ? (
+                                    <select
+                                        className="app__select"
+                                        value={profile.id}
+                                        onChange={(event) => onProfileChange(event.target.value)}
+                                        disabled={isLocked}
+                                        aria-label="Profile"
+                                    >
+                                        {profiles.map((option) => (
+                                            <option key={option.id} value={option.id}>{option.name}</option>
+                                        ))}
+                                    </select>
+                                ) : (
+                                    <span className="profile-switcher__name">{profile.name}</span>
+                                )}
+                                <button type="button" className="app__action" onClick={onManageProfiles} disabled={isLocked}>
+                                    Profiles
+                                </button>
+                            </div>
+                            {MAP_PACKS.length > 1 && (
+                                <select
+                                    className="app__select"
+                                    value={pack.id}
+                                    onChange={(event) => onPackChange(event.target.value)}
+                                    disabled={isLocked}
+                                    aria-label="Map"
+                                >
+                                    {MAP_PACKS.map((option) => (
+                                        <option key={option.id} value={option.id}>{option.name}</option>
+                                    ))}
+                                </select>
+                            )}
+                            {pack.practiceAreas.length > 0 && (
+                                <select
+                                    className="app__select"
+                                    value={settings.areaId ?? ""}
+                                    onChange={handleAreaChange}
+                                    disabled={isLocked}
+                                    aria-label="Practice area"
+                                >
+                                    <option value="">{labels.everywhere}</option>
+                                    {pack.practiceAreas.map((area) => (
+                                        <option key={area.id} value={area.id}>{area.name}</option>
+                                    ))}
+                                </select>
+                            )}
+                            <label className="app__toggle">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.directionHints}
+                                    onChange={toggleDirectionHints}
+                                />
+                                Direction hints
+                            </label>
+                            <select
+                                className="app__select"
+                                value={quizMode}
+                                onChange={handleQuizModeChange}
+                                disabled={isLocked}
+                                aria-label="Question type"
+                            >
+                                <option value={QUIZ_MODES.locate}>Find on map</option>
+                                <option value={QUIZ_MODES.name}>{`Name the ${labels.item}`}</option>
+                                <option value={QUIZ_MODES.clues}>Answer from clues</option>
+                                <option value={QUIZ_MODES.places}>Towns and cities</option>
+                                {pack.outline && <option value={QUIZ_MODES.jigsaw}>Jigsaw</option>}
+                                <option value={QUIZ_MODES.classroom}>Classroom</option>
+                            </select>
+                            <button
+                                type="button"
+                                className="app__action"
+                                onClick={() => setIsWorksheetOpen(true)}
+                                disabled={isLocked || isPlacesDeck}
+                            >
+                                Worksheet
+                            </button>
+                        </>
+                    )}
                 </div>
+                {isTypedMode && !isHeatmapOpen && (
+                    <form className="answer-form" onSubmit={handleAnswerSubmit}>
+                        <input
+                            ref={answerInputRef}
+                            className="answer-form__input"
+                            type="text"
+                            value={typedAnswer}
+                            onChange={(event) => setTypedAnswer(event.target.value)}
+                            placeholder={`Type the ${labels.item} name`}
+                            aria-label={`${capitalize(labels.item)} name`}
+                            autoComplete="off"
+                            autoCapitalize="words"
+                            spellCheck={false}
+                            disabled={isRevealed}
+                        />
+                        <button type="submit" className="app__action" disabled={isRevealed || !typedAnswer.trim()}>
+                            Check
+                        </button>
+                    </form>
+                )}
                 <div className="app__header-message" aria-live="polite">
                     {headerMessageContent}
+                    {shownHints.length > 0 && !isHeatmapOpen && (
+                        <p className="app__hints">{shownHints.map((hint) => hint.text).join(" ")}</p>
+                    )}
                 </div>
             </header>
             <main className="app__main">
-                <div className="map-container">
-                    <div ref={svgRef} className="map" onClick={handleMapClick}/>
+                <div className="map-container" style={{"--map-aspect": pack.viewBox.width / pack.viewBox.height}}>
+                    <div
+                        ref={svgRef}
+                        className={`map${isHeatmapOpen ? " map--heatmap" : ""}`}
+                        onClick={handleMapClick}
+                        onKeyDown={handleMapKeyDown}
+                        onFocus={handleMapFocus}
+                    />
+                    <p id={MAP_HELP_ID} className="visually-hidden">
+                        {`Use the arrow keys to move to a neighbouring ${labels.item}, and Enter to choose it.`}
+                    </p>
+                    <div className="map-controls">
+                        <button
+                            type="button"
+                            className="map-controls__button"
+                            onClick={() => mapZoom.zoomBy(MAP_ZOOM_STEP)}
+                            disabled={!mapZoom.canZoomIn}
+                            aria-label="Zoom in"
+                        >
+                            +
+                        </button>
+                        <button
+                            type="button"
+                            className="map-controls__button"
+                            onClick={() => mapZoom.zoomBy(1 / MAP_ZOOM_STEP)}
+                            disabled={!mapZoom.isZoomed}
+                            aria-label="Zoom out"
+                        >
+                            −
+                        </button>
+                        {mapZoom.isZoomed && (
+                            <button type="button" className="map-controls__button map-controls__button--reset" onClick={mapZoom.reset}>
+                                Reset
+                            </button>
+                        )}
+                    </div>
+                    {isRevealed && !isHeatmapOpen && !isRevealCardHidden && currentCounty && (
+                        <RevealCard pack={pack} itemId={currentCounty} onDismiss={() => setIsRevealCardHidden(true)}/>
+                    )}
+                    {isHeatmapOpen && (
+                        <div className="heatmap-legend">
+                            <div className="heatmap-legend__scale">
+                                <span>0%</span>
+                                <span className="heatmap-legend__gradient" style={{background: HEATMAP_GRADIENT}}/>
+                                <span>100%</span>
+                            </div>
+                            <div className="heatmap-legend__unseen">
+                                <span className="heatmap-legend__swatch"/>
+                                Never answered
+                            </div>
+                        </div>
+                    )}
                 </div>
             </main>
             <footer className="app__footer">
                 <button type="button" className="footer-button footer-button--stats" onClick={openStats}>
                     Stats
                 </button>
-                <button type="button" className="footer-button footer-button--test" onClick={handleTestButton}>
-                    {testButtonLabel}
-                </button>
-                <button
-                    ref={actionButtonRef}
-                    type="button"
-                    className="footer-button footer-button--action"
-                    onClick={handleShowOrNext}
-                >
-                    {isRevealed ? "Next" : "Show"}
-                </button>
+                {isHeatmapOpen ? (
+                    <button type="button" className="footer-button footer-button--action" onClick={closeHeatmap}>
+                        Back to quiz
+                    </button>
+                ) : (
+                    <>
+                        {!embed && (
+                            <button
+                                type="button"
+                                className="footer-button footer-button--daily"
+                                onClick={startDaily}
+                                disabled={isLocked || isDrilling || isPlacesDeck}
+                            >
+                                {isDailyDone ? "Daily ✓" : "Daily"}
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            className="footer-button footer-button--test"
+                            onClick={handleTestButton}
+                            disabled={isPlacesDeck && !isTestMode && !isDrilling}
+                        >
+                            {testButtonLabel}
+                        </button>
+                        {!embed && (
+                            <>
+                                <button
+                                    type="button"
+                                    className="footer-button footer-button--blitz"
+                                    onClick={() => setBlitzModal({result: null, rank: null})}
+                                    disabled={isLocked || isDrilling || isPlacesDeck}
+                                >
+                                    Blitz
+                                </button>
+                                <button
+                                    type="button"
+                                    className="footer-button footer-button--party"
+                                    onClick={() => setPassAndPlayModal({result: null})}
+                                    disabled={isLocked || isDrilling || isPlacesDeck}
+                                >
+                                    Pass &amp; play
+                                </button>
+                            </>
+                        )}
+                        <button
+                            type="button"
+                            className="footer-button footer-button--hint"
+                            onClick={handleHint}
+                            disabled={!canHint}
+                            title={`Each hint takes ${HINT_COST * 100}% off the credit for this answer`}
+                        >
+                            {hintsUsed === 0 ? "Hint" : `Hint · ${hints.length - hintsUsed} left`}
+                        </button>
+                        <button
+                            ref={actionButtonRef}
+                            type="button"
+                            className="footer-button footer-button--action"
+                            onClick={handleShowOrNext}
+                        >
+                            {actionButtonLabel}
+                        </button>
+                    </>
+                )}
             </footer>
             {testResult && (
                 <div
@@ -706,31 +1667,130 @@ function App() {
                         <button type="button" className="test-modal__close" aria-label="Close test results" onClick={closeTestResult}>
                             ×
                         </button>
-                        <div className="test-modal__icon" aria-hidden="true">🎉</div>
-                        <h2 id="test-result-title" className="test-modal__title">Test complete!</h2>
+                        <div className="test-modal__icon" aria-hidden="true">{testResult.daily ? "📅" : "🎉"}</div>
+                        <h2 id="test-result-title" className="test-modal__title">
+                            {testResult.daily ? `Daily challenge · ${testResult.daily.date}` : "Test complete!"}
+                        </h2>
                         <p className="test-modal__score">{testScoreLabel}</p>
                         <p className="test-modal__percent">{testResult.percent}% correct</p>
                         <p id="test-result-message" className="test-modal__message">{testMessage}</p>
                         <p className="test-modal__meta">Time: {testDurationLabel}</p>
+                        {testResult.hintsUsed != null && (
+                            <p className="test-modal__meta">{`Hints used: ${testResult.hintsUsed}`}</p>
+                        )}
+                        {testResult.areaName && (
+                            <p className="test-modal__meta">Area: {testResult.areaName}</p>
+                        )}
+                        {testResult.daily && (
+                            <div className="daily-share">
+                                <p className="test-modal__meta">
+                                    {`Streak: ${testResult.daily.streak} ${testResult.daily.streak === 1 ? "day" : "days"} · come back tomorrow for a new round`}
+                                </p>
+                                <pre className="daily-share__text">{testResult.daily.share}</pre>
+                                <button
+                                    type="button"
+                                    className="test-modal__button"
+                                    onClick={() => copyDailyShare(testResult.daily.share)}
+                                >
+                                    Copy result
+                                </button>
+                                <p className="daily-share__status" aria-live="polite">{shareStatus}</p>
+                            </div>
+                        )}
+                        {testResult.misses.length > 0 && (
+                            <div className="test-misses">
+                                <MiniMap
+                                    pack={pack}
+                                    highlighted={testResult.misses}
+                                    focused={focusedMiss}
+                                    className="test-misses__map"
+                                    label={`Map of missed ${labels.items}`}
+                                />
+                                <ul className="test-misses__list">
+                                    {testResult.misses.map((county) => (
+                                        <li key={county}>
+                                            <button
+                                                type="button"
+                                                className={`test-misses__item${county === focusedMiss ? " test-misses__item--focused" : ""}`}
+                                                onMouseEnter={() => setFocusedMiss(county)}
+                                                onFocus={() => setFocusedMiss(county)}
+                                                onClick={() => setFocusedMiss(county)}
+                                            >
+                                                {nameOf(county)}
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
                         <div className="test-modal__actions">
                             <button type="button" className="test-modal__button" onClick={closeTestResult}>
                                 Close
                             </button>
-                            <button type="button" className="test-modal__button test-modal__button--secondary" onClick={() => {
-                                closeTestResult();
-                                startTestMode();
-                            }}>
-                                Test again
-                            </button>
+                            {testResult.misses.length > 0 && (
+                                <button type="button" className="test-modal__button test-modal__button--secondary" onClick={() => {
+                                    const misses = testResult.misses;
+                                    closeTestResult();
+                                    startDrill(engine.shuffle(misses), "Practice");
+                                }}>
+                                    Practice these
+                                </button>
+                            )}
+                            {!testResult.daily && (
+                                <button type="button" className="test-modal__button test-modal__button--secondary" onClick={() => {
+                                    const config = testResult.config ?? settings.testConfig;
+                                    closeTestResult();
+                                    startTestMode(config);
+                                }}>
+                                    Test again
+                                </button>
+                            )}
                         </div>
                     </div>
                 </div>
             )}
+            {blitzModal && (
+                <BlitzModal
+                    pack={pack}
+                    initialDurationMs={settings.blitzDurationMs}
+                    boards={blitzBoards}
+                    result={blitzModal.result}
+                    rank={blitzModal.rank}
+                    onStart={startBlitz}
+                    onClose={() => setBlitzModal(null)}
+                />
+            )}
+            {passAndPlayModal && (
+                <PassAndPlayModal
+                    pack={pack}
+                    profiles={profiles}
+                    initialConfig={settings.passAndPlay}
+                    result={passAndPlayModal.result}
+                    onStart={startPassAndPlay}
+                    onClose={() => setPassAndPlayModal(null)}
+                />
+            )}
+            {isTestSetupOpen && (
+                <TestSetupModal
+                    pack={pack}
+                    initialConfig={settings.testConfig}
+                    onStart={handleTestSetupStart}
+                    onClose={() => setIsTestSetupOpen(false)}
+                />
+            )}
+            {isWorksheetOpen && (
+                <Worksheet
+                    pack={pack}
+                    stats={stats}
+                    initialScope={settings.areaId ?? undefined}
+                    onClose={() => setIsWorksheetOpen(false)}
+                />
+            )}
             {isStatsOpen && (
                 <div className="stats-overlay" role="dialog" aria-modal="true" aria-labelledby="stats-title" onClick={() => closeStats()}>
                     <div className="stats-modal" onClick={(event) => event.stopPropagation()}>
                         <div className="stats-header">
-                            <h2 id="stats-title">County Stats</h2>
+                            <h2 id="stats-title">{isPlacesDeck ? "Place" : capitalize(labels.item)} Stats</h2>
                             <button
                                 type="button"
                                 className="stats-close"
@@ -740,26 +1800,152 @@ function App() {
                                 ×
                             </button>
                         </div>
+                        <div className="stats-tabs" role="tablist">
+                            <button
+                                type="button"
+                                role="tab"
+                                aria-selected={statsTab === "items"}
+                                className={`stats-tab${statsTab === "items" ? " stats-tab--active" : ""}`}
+                                onClick={() => setStatsTab("items")}
+                            >
+                                {isPlacesDeck ? "Places" : capitalize(labels.items)}
+                            </button>
+                            {!isPlacesDeck && (
+                                <>
+                                    <button
+                                        type="button"
+                                        role="tab"
+                                        aria-selected={statsTab === "history"}
+                                        className={`stats-tab${statsTab === "history" ? " stats-tab--active" : ""}`}
+                                        onClick={() => setStatsTab("history")}
+                                    >
+                                        Test history
+                                    </button>
+                                    <button
+                                        type="button"
+                                        role="tab"
+                                        aria-selected={statsTab === "backup"}
+                                        className={`stats-tab${statsTab === "backup" ? " stats-tab--active" : ""}`}
+                                        onClick={() => setStatsTab("backup")}
+                                    >
+                                        Backup
+                                    </button>
+                                </>
+                            )}
+                        </div>
                         <div className="stats-body">
-                            <div className="stats-grid">
-                                {statsEntries.map(({county, percent, attempts, correct, seen}) => {
-                                    const isUnseen = seen === 0;
-                                    return (
-                                        <div className="stats-row" key={county}>
-                                            <div className="stats-name">{county}</div>
-                                            <div className="stats-bar" aria-hidden="true">
-                                                <div
-                                                    className={`stats-bar-fill${isUnseen ? " stats-bar-fill--unseen" : ""}`}
-                                                    style={{width: `${percent}%`}}
-                                                />
-                                            </div>
-                                            <div className="stats-data">
-                                                {correct}/{attempts}
+                            {statsTab === "history" && (
+                                <TestHistory
+                                    pack={pack}
+                                    history={testHistory}
+                                    describeScope={(config) => (config ? describeTestScope(pack, config) : null)}
+                                />
+                            )}
+                            {statsTab === "backup" && (
+                                <ProgressTransfer
+                                    pack={pack}
+                                    createExport={createProgressExport}
+                                    onImport={importProgress}
+                                    isLocked={isLocked}
+                                />
+                            )}
+                            {statsTab === "items" && (
+                                <>
+                                    {confusedPairs.length > 0 && (
+                                        <section className="stats-confusions">
+                                            <p className="stats-confusions__headline">
+                                                You most often confuse <strong>{nameOf(confusedPairs[0].target)}</strong> with{" "}
+                                                <strong>{nameOf(confusedPairs[0].guess)}</strong>.
+                                            </p>
+                                            <ul className="stats-confusions__list">
+                                                {confusedPairs.map((pair) => (
+                                                    <li className="stats-confusions__item" key={`${pair.first}|${pair.second}`}>
+                                                        <span>{nameOf(pair.first)} ⇄ {nameOf(pair.second)}</span>
+                                                        <span className="stats-data">×{pair.count}</span>
+                                                        <button
+                                                            type="button"
+                                                            className="stats-confusions__drill"
+                                                            onClick={() => startPairDrill([pair])}
+                                                        >
+                                                            Drill
+                                                        </button>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                            <button
+                                                type="button"
+                                                className="test-modal__button"
+                                                onClick={() => startPairDrill(confusedPairs)}
+                                            >
+                                                Drill all pairs
+                                            </button>
+                                        </section>
+                                    )}
+                                    {regionEntries.length > 0 && (
+                                        <>
+                                            <h3 className="stats-section-title">By region</h3>
+                                            <div className="stats-grid stats-grid--regions">
+                                                {regionEntries.map(({id, name, correct, attempts, percent}) => (
+                                                    <div className="stats-row" key={id}>
+                                                        <div className="stats-name">{name}</div>
+                                                        <div className="stats-bar" aria-hidden="true">
+                                                            <div
+                                                                className={`stats-bar-fill${attempts === 0 ? " stats-bar-fill--unseen" : ""}`}
+                                                                style={{width: `${percent}%`}}
+                                                            />
+                                                        </div>
+                                                        <div className="stats-data">
+                                                            {correct}/{attempts}
+                                                        </div>
+                                                        <div className="stats-due">
+                                                            {attempts === 0 ? "–" : `${percent}%`}
+                                                        </div>
+                                                    </div>
+                                                ))}
                                             </div>
-                                        </div>
-                                    );
-                                })}
-                            </div>
+                                        </>
+                                    )}
+                                    <div className="stats-section-heading">
+                                        <h3 className="stats-section-title">By {isPlacesDeck ? "place" : labels.item}</h3>
+                                        <button
+                                            type="button"
+                                            className="stats-section-action"
+                                            onClick={openHeatmap}
+                                            disabled={isLocked || isPlacesDeck}
+                                        >
+                                            Show on map
+                                        </button>
+                                    </div>
+                                    <div className="stats-grid stats-grid--timed">
+                                        {statsEntries.map(({county, label, percent, attempts, correct, seen, dueLabel, medianLabel, hints: itemHints}) => {
+                                            const isUnseen = seen === 0;
+                                            return (
+                                                <div className="stats-row" key={county}>
+                                                    <div className="stats-name">{label}</div>
+                                                    <div className="stats-bar" aria-hidden="true">
+                                                        <div
+                                                            className={`stats-bar-fill${isUnseen ? " stats-bar-fill--unseen" : ""}`}
+                                                            style={{width: `${percent}%`}}
+                                                        />
+                                                    </div>
+                                                    <div
+                                                        className="stats-data"
+                                                        title={itemHints > 0 ? `${itemHints} ${itemHints === 1 ? "hint" : "hints"} used` : undefined}
+                                                    >
+                                                        {correct}/{attempts}
+                                                    </div>
+                                                    <div className="stats-time" title="Median time to find">
+                                                        {medianLabel}
+                                                    </div>
+                                                    <div className="stats-due">
+                                                        {dueLabel}
+                                                    </div>
+                                                </div>
+                                            );
+                                        })}
+                                    </div>
+                                </>
+                            )}
                         </div>
                     </div>
                 </div>
@@ -768,4 +1954,135 @@ function App() {
     );
 }
 
+function App() {
+    const [packId, setPackId] = useState(() => loadMapPackId());
+    // `?embed` (see src/embed.js) is the quiz inside another page, set up by that page.
+    const [embed] = useState(() => readEmbedOptions(window.location.search, document.referrer));
+    // A `?join=CODE` link from a classroom host opens straight on the join screen.
+    const [joinCode, setJoinCode] = useState(() => (embed ? null : new URLSearchParams(window.location.search).get("join")));
+    const [quizDeck, setQuizDeck] = useState(() => {
+        if (embed) return {deck: embed.mode === QUIZ_MODES.places ? PLACES_DECK : null, mode: embed.mode};
+        return {deck: null, mode: joinCode ? QUIZ_MODES.classroom : QUIZ_MODES.locate};
+    });
+    const pack = useMemo(() => loadMapPack(packId), [packId]);
+    const [profilesState, setProfilesState] = useState(() => loadProfiles());
+    const [isProfilesOpen, setIsProfilesOpen] = useState(false);
+    const storageStatus = useSyncExternalStore(appStorage.subscribe, appStorage.getStatus);
+    const storageProblem = describeStorageProblem(storageStatus);
+    const [dismissedProblem, setDismissedProblem] = useState(null);
+    const {profiles, activeId} = profilesState;
+    const profile = profiles.find(({id}) => id === activeId) ?? profiles[0];
+
+    useEffect(() => {
+        persistProfiles(profilesState);
+    }, [profilesState]);
+
+    const handlePackChange = useCallback((nextPackId) => {
+        persistMapPackId(nextPackId);
+        setPackId(nextPackId);
+    }, []);
+
+    const handleDeckChange = useCallback((deck, mode) => {
+        setQuizDeck({deck, mode});
+    }, []);
+
+    const exitClassroom = useCallback(() => {
+        if (joinCode) {
+            window.history.replaceState(window.history.state, "", window.location.pathname);
+            setJoinCode(null);
+        }
+        setQuizDeck({deck: null, mode: QUIZ_MODES.locate});
+    }, [joinCode]);
+
+    const handleProfileChange = useCallback((nextId) => {
+        setProfilesState((prev) => ({...prev, activeId: nextId}));
+    }, []);
+
+    const handleProfileCreate = useCallback((draft) => {
+        setProfilesState((prev) => {
+            const created = createProfile(prev.profiles, draft);
+            return {profiles: [...prev.profiles, created], activeId: created.id};
+        });
+    }, []);
+
+    const handleProfileUpdate = useCallback((id, changes) => {
+        setProfilesState((prev) => ({...prev, profiles: updateProfile(prev.profiles, id, changes)}));
+    }, []);
+
+    const handleProfileDelete = useCallback((id) => {
+        clearProfileData(id);
+        setProfilesState((prev) => {
+            const remaining = removeProfile(prev.profiles, id);
+            return {profiles: remaining, activeId: prev.activeId === id ? remaining[0].id : prev.activeId};
+        });
+    }, []);
+
+    let screen;
+    if (quizDeck.mode === QUIZ_MODES.classroom) {
+        screen = (
+            <Classroom
+                pack={pack}
+                profileName={profile.name}
+                initialJoinCode={joinCode}
+                onExit={exitClassroom}
+            />
+        );
+    } else if (quizDeck.mode === QUIZ_MODES.jigsaw && pack.outline) {
+        screen = (
+            <Jigsaw
+                key={`${profile.id}:${pack.id}`}
+                pack={pack}
+                initialAreaId={loadSettings({pack, profileId: profile.id}).areaId}
+                onExit={() => handleDeckChange(null, QUIZ_MODES.locate)}
+            />
+        );
+    } else {
+        screen = (
+            <Quiz
+                key={`${profile.id}:${pack.id}:${quizDeck.deck ?? "main"}`}
+                pack={pack}
+                deck={quizDeck.deck}
+                initialMode={quizDeck.mode}
+                onDeckChange={handleDeckChange}
+                onPackChange={handlePackChange}
+                profile={profile}
+                profiles={profiles}
+                onProfileChange={handleProfileChange}
+                onManageProfiles={() => setIsProfilesOpen(true)}
+                embed={embed}
+            />
+        );
+    }
+
+    return (
+        <>
+            {storageProblem && storageProblem !== dismissedProblem && (
+                <div className="storage-warning" role="alert">
+                    <span>{storageProblem}</span>
+                    <button
+                        type="button"
+                        className="storage-warning__dismiss"
+                        aria-label="Dismiss warning"
+                        onClick={() => setDismissedProblem(storageProblem)}
+                    >
+                        ×
+                    </button>
+                </div>
+            )}
+            {screen}
+            {isProfilesOpen && (
+                <ProfilesModal
+                    profiles={profiles}
+                    activeId={profile.id}
+                    onSwitch={handleProfileChange}
+                    onCreate={handleProfileCreate}
+                    onUpdate={handleProfileUpdate}
+                    onDelete={handleProfileDelete}
+                    onClose={() => setIsProfilesOpen(false)}
+                />
+            )}
+        </>
+    );
+}
+
 export default App;
@@ -0,0 +1,95 @@
+import {useState} from "react";
+import {BLITZ_DURATIONS_MS, BLITZ_PENALTY_MS} from "./blitz";
+
+const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleDateString(undefined, {day: "numeric", month: "short"});
+};
+
+// Picks a blitz length and shows its leaderboard; after a run, `result` is shown on top.
+function BlitzModal({pack, initialDurationMs, boards, result = null, rank = null, onStart, onClose}) {
+    const [durationMs, setDurationMs] = useState(result?.durationMs ?? initialDurationMs);
+    const board = boards[String(durationMs)] ?? [];
+    const {labels} = pack;
+
+    return (
+        <div
+            className="stats-overlay test-result-overlay"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="blitz-title"
+            onClick={onClose}
+        >
+            <form
+                className="test-modal test-setup"
+                onClick={(event) => event.stopPropagation()}
+                onSubmit={(event) => {
+                    event.preventDefault();
+                    onStart(durationMs);
+                }}
+            >
+                <button type="button" className="test-modal__close" aria-label="Close blitz" onClick={onClose}>
+                    ×
+                </button>
+                <h2 id="blitz-title" className="test-modal__title">{result ? "Time's up!" : "Blitz"}</h2>
+                {result ? (
+                    <>
+                        <p className="test-modal__score">{`${result.correct} ${result.correct === 1 ? labels.item : labels.items}`}</p>
+                        <p className="test-modal__meta">{`${result.wrong} wrong · ${result.skipped} skipped`}</p>
+                        <p className="test-modal__message">
+                            {rank ? `You placed #${rank} on the ${durationMs / 1000}-second board.` : "Not on the board this time."}
+                        </p>
+                    </>
+                ) : (
+                    <p className="test-modal__meta">
+                        {`Find as many ${labels.items} as you can before the clock runs out. Each wrong click costs ${BLITZ_PENALTY_MS / 1000} seconds.`}
+                    </p>
+                )}
+                <fieldset className="test-setup__group">
+                    <legend className="test-setup__legend">Length</legend>
+                    <div className="test-setup__options">
+                        {BLITZ_DURATIONS_MS.map((option) => (
+                            <label
+                                key={option}
+                                className={`test-setup__chip${durationMs === option ? " test-setup__chip--active" : ""}`}
+                            >
+                                <input
+                                    type="radio"
+                                    name="blitz-duration"
+                                    checked={durationMs === option}
+                                    onChange={() => setDurationMs(option)}
+                                />
+                                {`${option / 1000}s`}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+                {board.length === 0 ? (
+                    <p className="test-modal__meta">No runs at this length yet.</p>
+                ) : (
+                    <ol className="blitz-board">
+                        {board.map((run) => (
+                            <li
+                                key={run.id}
+                                className={`blitz-board__row${run.id === result?.id ? " blitz-board__row--latest" : ""}`}
+                            >
+                                <span className="blitz-board__score">{run.correct}</span>
+                                <span className="blitz-board__detail">{`${run.wrong} wrong · ${run.skipped} skipped`}</span>
+                                <span className="blitz-board__date">{formatDate(run.finishedAt)}</span>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+                <div className="test-modal__actions">
+                    <button type="button" className="test-modal__button test-modal__button--secondary" onClick={onClose}>
+                        Close
+                    </button>
+                    <button type="submit" className="test-modal__button">
+                        {result ? "Play again" : "Start"}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
+
+export default BlitzModal;
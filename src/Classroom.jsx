@@ -0,0 +1,48 @@
+import {useState} from "react";
+import ClassroomHost from "./ClassroomHost";
+import ClassroomPlayer from "./ClassroomPlayer";
+
+const ROLES = {host: "host", player: "player"};
+
+// Live lessons over the classroom server (`npm run classroom`): the teacher hosts, and the
+// class joins with the code on their own devices. A `?join=` link goes straight to joining.
+function Classroom({pack, profileName, initialJoinCode, onExit}) {
+    const [role, setRole] = useState(initialJoinCode ? ROLES.player : null);
+
+    if (role === ROLES.host) {
+        return <ClassroomHost pack={pack} onExit={onExit}/>;
+    }
+    if (role === ROLES.player) {
+        return <ClassroomPlayer pack={pack} defaultName={profileName} initialCode={initialJoinCode} onExit={onExit}/>;
+    }
+    return (
+        <div className="app classroom">
+            <header className="app__header">
+                <div className="app__header-top">
+                    <h1 className="app__title">Classroom</h1>
+                    <button type="button" className="app__action" onClick={onExit}>
+                        Back to quiz
+                    </button>
+                </div>
+            </header>
+            <main className="classroom__main classroom__main--join">
+                <div className="test-modal classroom__choice">
+                    <h2 className="test-modal__title">Play together</h2>
+                    <p className="test-modal__message">
+                        {`The teacher hosts and asks one ${pack.labels.item} at a time. Everyone else joins with the code and answers on the map.`}
+                    </p>
+                    <div className="test-modal__actions">
+                        <button type="button" className="test-modal__button test-modal__button--secondary" onClick={() => setRole(ROLES.player)}>
+                            Join with a code
+                        </button>
+                        <button type="button" className="test-modal__button" onClick={() => setRole(ROLES.host)}>
+                            Host a session
+                        </button>
+                    </div>
+                </div>
+            </main>
+        </div>
+    );
+}
+
+export default Classroom;
@@ -0,0 +1,175 @@
+import {useState} from "react";
+import MiniMap from "./MiniMap";
+import {CONNECTION_STATUS, useClassroomSocket} from "./useClassroomSocket";
+import {formatDuration} from "./testRecords";
+
+const LEADERBOARD_SIZE = 10;
+
+// Picks a random item from `pool` that hasn't been asked yet, starting over once all have.
+const pickNextItem = (pool, asked) => {
+    const fresh = pool.filter((itemId) => !asked.includes(itemId));
+    const choices = fresh.length > 0 ? fresh : pool;
+    return choices[Math.floor(Math.random() * choices.length)];
+};
+
+// The teacher's screen: the join code, the question everyone is on, how the class
+// answered it, and the leaderboard.
+function ClassroomHost({pack, onExit}) {
+    const {labels, nameOf} = pack;
+    const [hosting, setHosting] = useState(null);
+    const [session, setSession] = useState(null);
+    const [areaId, setAreaId] = useState(null);
+    const {status, send} = useClassroomSocket({
+        isActive: !session?.isEnded,
+        greet: () => ({type: "host", packId: pack.id, code: hosting?.code, hostToken: hosting?.hostToken}),
+        onMessage: (message) => {
+            if (message.type === "hosted") {
+                setHosting({code: message.code, hostToken: message.hostToken});
+            } else if (message.type === "state") {
+                setSession(message.state);
+            }
+        },
+    });
+    const area = pack.practiceAreas.find(({id}) => id === areaId) ?? null;
+    const pool = area?.counties ?? pack.itemIds;
+    const question = session?.question ?? null;
+    const players = session?.leaderboard ?? [];
+    const connectedCount = players.filter((player) => player.connected).length;
+    const joinLink = session ? `${window.location.origin}${import.meta.env.BASE_URL}?join=${session.code}` : "";
+    const wrongGuesses = session?.distribution?.choices.filter((choice) => !choice.isCorrect).map(({itemId}) => itemId) ?? [];
+
+    const askNext = () => send({type: "ask", itemId: pickNextItem(pool, session.asked)});
+
+    // Ending shows the final leaderboard; leaving an ended (or unreachable) session goes back.
+    const handleEnd = () => {
+        if (session && !session.isEnded && status === CONNECTION_STATUS.open) {
+            send({type: "end"});
+            return;
+        }
+        onExit();
+    };
+
+    let statusMessage = "";
+    if (status === CONNECTION_STATUS.connecting && !session) {
+        statusMessage = "Connecting to the classroom server…";
+    } else if (status === CONNECTION_STATUS.lost) {
+        statusMessage = "Can't reach the classroom server. Start it with `npm run classroom` and open the app from the address it prints. Retrying…";
+    }
+
+    return (
+        <div className="app classroom">
+            <header className="app__header">
+                <div className="app__header-top">
+                    <h1 className="app__title">Classroom</h1>
+                    {pack.practiceAreas.length > 0 && (
+                        <select
+                            className="app__select"
+                            value={areaId ?? ""}
+                            onChange={(event) => setAreaId(event.target.value || null)}
+                            aria-label="Ask about"
+                        >
+                            <option value="">{labels.everywhere}</option>
+                            {pack.practiceAreas.map((option) => (
+                                <option key={option.id} value={option.id}>{option.name}</option>
+                            ))}
+                        </select>
+                    )}
+                    <button type="button" className="app__action" onClick={handleEnd}>
+                        {session && !session.isEnded ? "End session" : "Back to quiz"}
+                    </button>
+                </div>
+                <div className="app__header-message">
+                    <p className="app__feedback" aria-live="polite">{statusMessage}</p>
+                </div>
+            </header>
+            {session && (
+                <main className="classroom__main">
+                    <section className="classroom__panel classroom__join">
+                        <p className="classroom__label">Join code</p>
+                        <p className="classroom__code">{session.code}</p>
+                        <p className="classroom__link">{joinLink}</p>
+                        <p className="classroom__meta">
+                            {`${connectedCount} ${connectedCount === 1 ? "player" : "players"} connected`}
+                        </p>
+                    </section>
+                    <section className="classroom__panel classroom__question" aria-live="polite">
+                        {!question && <p className="classroom__prompt">{`Ask the first ${labels.item} when everyone has joined.`}</p>}
+                        {question && (
+                            <>
+                                <p className="classroom__label">{`Question ${question.number}`}</p>
+                                <p className="classroom__prompt">{`Where is ${nameOf(question.itemId)}?`}</p>
+                                <p className="classroom__meta">{`${question.answeredCount} of ${players.length} answered`}</p>
+                            </>
+                        )}
+                        {!session.isEnded && (
+                            <div className="classroom__actions">
+                                {question && !question.isRevealed && (
+                                    <button type="button" className="test-modal__button test-modal__button--secondary" onClick={() => send({type: "reveal"})}>
+                                        Show answer
+                                    </button>
+                                )}
+                                <button type="button" className="test-modal__button" onClick={askNext} disabled={players.length === 0}>
+                                    {question ? `Next ${labels.item}` : "Ask the first one"}
+                                </button>
+                            </div>
+                        )}
+                        {session.distribution && (
+                            <div className="classroom__distribution">
+                                <MiniMap
+                                    pack={pack}
+                                    highlighted={wrongGuesses}
+                                    focused={question.itemId}
+                                    className="classroom__distribution-map"
+                                    label={`Map of where the class answered ${nameOf(question.itemId)}`}
+                                />
+                                <ul className="classroom__bars">
+                                    {session.distribution.choices.map(({itemId, count, isCorrect}) => (
+                                        <li
+                                            key={itemId}
+                                            className={`classroom__bar${isCorrect ? " classroom__bar--correct" : ""}`}
+                                            style={{"--share": count / Math.max(1, players.length)}}
+                                        >
+                                            <span>{nameOf(itemId)}</span>
+                                            <span>{count}</span>
+                                        </li>
+                                    ))}
+                                    {session.distribution.unanswered > 0 && (
+                                        <li
+                                            className="classroom__bar classroom__bar--none"
+                                            style={{"--share": session.distribution.unanswered / Math.max(1, players.length)}}
+                                        >
+                                            <span>No answer</span>
+                                            <span>{session.distribution.unanswered}</span>
+                                        </li>
+                                    )}
+                                </ul>
+                            </div>
+                        )}
+                    </section>
+                    <section className="classroom__panel classroom__leaderboard">
+                        <h2 className="classroom__label">{session.isEnded ? "Final leaderboard" : "Leaderboard"}</h2>
+                        {players.length === 0 ? (
+                            <p className="classroom__meta">Nobody has joined yet. Share the code above.</p>
+                        ) : (
+                            <ol className="classroom__board">
+                                {players.slice(0, LEADERBOARD_SIZE).map((player) => (
+                                    <li
+                                        key={player.id}
+                                        className={`classroom__board-row${player.connected ? "" : " classroom__board-row--away"}`}
+                                    >
+                                        <span className="classroom__rank">{player.rank}</span>
+                                        <span className="classroom__name">{player.name}</span>
+                                        <span className="classroom__score">{`${player.correct} / ${player.answered}`}</span>
+                                        <span className="classroom__time">{formatDuration(player.timeMs)}</span>
+                                    </li>
+                                ))}
+                            </ol>
+                        )}
+                    </section>
+                </main>
+            )}
+        </div>
+    );
+}
+
+export default ClassroomHost;
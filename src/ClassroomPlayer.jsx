@@ -0,0 +1,256 @@
+import {useEffect, useMemo, useRef, useState} from "react";
+import {loadMapPack} from "./mapPacks";
+import {getMapGeometry, itemInDirection} from "./mapGeometry";
+import {findCrowdedTap, MAP_ZOOM_STEP, mountMapSvg} from "./mapSvg";
+import {useMapZoom} from "./useMapZoom";
+import {cleanPlayerName, JOIN_CODE_LENGTH, MAX_PLAYER_NAME_LENGTH, normalizeJoinCode} from "./classroom";
+import {CONNECTION_STATUS, useClassroomSocket} from "./useClassroomSocket";
+
+const ARROW_KEYS = {ArrowUp: "up", ArrowDown: "down", ArrowLeft: "left", ArrowRight: "right"};
+const MAP_HELP_ID = "classroom-map-help";
+const ANSWER_CLASSES = ["is-selected", "is-last-clicked", "is-revealed"];
+
+// The map the class answers on: tap (or Enter) to answer, once per question.
+function ClassroomMap({pack, question, onAnswer, onMessage}) {
+    const mapRef = useRef(null);
+    const mapZoom = useMapZoom(mapRef, pack.viewBox);
+    const canAnswer = Boolean(question && !question.guess && !question.isRevealed);
+
+    useEffect(() => {
+        mountMapSvg(mapRef.current, pack, MAP_HELP_ID);
+    }, [pack]);
+
+    // Shows the player's answer, and once the teacher reveals it, whether it was right.
+    useEffect(() => {
+        const items = [...(mapRef.current?.querySelectorAll(".map-item") ?? [])];
+        const itemNode = (itemId) => items.find((node) => node.id === itemId);
+        items.forEach((node) => node.classList.remove(...ANSWER_CLASSES));
+        if (!question) return;
+        if (question.isRevealed && question.guess === question.itemId) {
+            itemNode(question.itemId)?.classList.add("is-selected");
+            return;
+        }
+        if (question.guess) {
+            itemNode(question.guess)?.classList.add("is-last-clicked");
+        }
+        if (question.isRevealed) {
+            itemNode(question.itemId)?.classList.add("is-revealed");
+        }
+    }, [question]);
+
+    const choose = (path, pointerEvent) => {
+        if (!canAnswer || !pack.itemSet.has(path.id)) return;
+        const crowded = pointerEvent ? findCrowdedTap(pack, mapZoom, pointerEvent) : null;
+        if (crowded) {
+            mapZoom.zoomInAround(crowded.point, crowded.factor);
+            onMessage(`That spot is close to more than one ${pack.labels.item}, so the map zoomed in. Tap again.`);
+            return;
+        }
+        onAnswer(path.id);
+    };
+
+    const handleKeyDown = (event) => {
+        const path = event.target.closest(".map-item");
+        if (!path) return;
+        if (event.key === "Enter" || event.key === " ") {
+            event.preventDefault();
+            choose(path, null);
+            return;
+        }
+        const direction = ARROW_KEYS[event.key];
+        if (!direction) return;
+        event.preventDefault();
+        const geometry = getMapGeometry(pack);
+        const targetId = itemInDirection(geometry, path.id, direction);
+        const target = [...mapRef.current.querySelectorAll(".map-item")].find((node) => node.id === targetId);
+        if (!target) return;
+        path.setAttribute("tabindex", "-1");
+        target.setAttribute("tabindex", "0");
+        target.focus({preventScroll: true});
+        mapZoom.keepInView(geometry.bounds[target.id]);
+    };
+
+    return (
+        <div className="map-container" style={{"--map-aspect": pack.viewBox.width / pack.viewBox.height}}>
+            <div
+                ref={mapRef}
+                className="map"
+                onClick={(event) => {
+                    const path = event.target.closest(".map-item");
+                    if (path) choose(path, event);
+                }}
+                onKeyDown={handleKeyDown}
+            />
+            <p id={MAP_HELP_ID} className="visually-hidden">
+                {`Use the arrow keys to move to a neighbouring ${pack.labels.item}, and Enter to choose it.`}
+            </p>
+            <div className="map-controls">
+                <button
+                    type="button"
+                    className="map-controls__button"
+                    onClick={() => mapZoom.zoomBy(MAP_ZOOM_STEP)}
+                    disabled={!mapZoom.canZoomIn}
+                    aria-label="Zoom in"
+                >
+                    +
+                </button>
+                <button
+                    type="button"
+                    className="map-controls__button"
+                    onClick={() => mapZoom.zoomBy(1 / MAP_ZOOM_STEP)}
+                    disabled={!mapZoom.isZoomed}
+                    aria-label="Zoom out"
+                >
+                    −
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// A student's screen: join with the code, then answer each question on the map.
+function ClassroomPlayer({pack: fallbackPack, defaultName, initialCode, onExit}) {
+    const [code, setCode] = useState(() => normalizeJoinCode(initialCode));
+    const [name, setName] = useState(defaultName ?? "");
+    const [isJoining, setIsJoining] = useState(false);
+    const [playerId, setPlayerId] = useState(null);
+    const [session, setSession] = useState(null);
+    const [error, setError] = useState("");
+    // A note about the current question, e.g. that the map zoomed in on a crowded spot.
+    const [notice, setNotice] = useState(null);
+    const {status, send} = useClassroomSocket({
+        isActive: isJoining && !session?.isEnded,
+        greet: () => ({type: "join", code, name: cleanPlayerName(name), playerId}),
+        onMessage: (message) => {
+            if (message.type === "joined") {
+                setPlayerId(message.playerId);
+            } else if (message.type === "state") {
+                setSession(message.state);
+            } else if (message.type === "error") {
+                setError(message.message);
+                setIsJoining(false);
+            }
+        },
+    });
+    const pack = useMemo(
+        () => (session?.packId ? loadMapPack(session.packId) : fallbackPack),
+        [fallbackPack, session?.packId],
+    );
+    const question = session?.question ?? null;
+    const score = session?.score ?? null;
+
+    const handleJoin = (event) => {
+        event.preventDefault();
+        setError("");
+        setIsJoining(true);
+    };
+
+    const handleAnswer = (itemId) => send({type: "answer", guess: itemId});
+
+    if (!session) {
+        return (
+            <div className="app classroom">
+                <header className="app__header">
+                    <div className="app__header-top">
+                        <h1 className="app__title">Join a class</h1>
+                        <button type="button" className="app__action" onClick={onExit}>
+                            Back to quiz
+                        </button>
+                    </div>
+                </header>
+                <main className="classroom__main classroom__main--join">
+                    <form className="test-modal test-setup classroom__join-form" onSubmit={handleJoin}>
+                        <label className="test-setup__group">
+                            <span className="test-setup__legend">Code</span>
+                            <input
+                                className="answer-form__input classroom__code-input"
+                                value={code}
+                                onChange={(event) => setCode(normalizeJoinCode(event.target.value))}
+                                autoComplete="off"
+                                autoCapitalize="characters"
+                                spellCheck={false}
+                                maxLength={JOIN_CODE_LENGTH}
+                                required
+                            />
+                        </label>
+                        <label className="test-setup__group">
+                            <span className="test-setup__legend">Your name</span>
+                            <input
+                                className="answer-form__input"
+                                value={name}
+                                onChange={(event) => setName(event.target.value)}
+                                maxLength={MAX_PLAYER_NAME_LENGTH}
+                                required
+                            />
+                        </label>
+                        <p className="app__feedback app__feedback--error" aria-live="polite">
+                            {error || (isJoining && status === CONNECTION_STATUS.lost
+                                ? "Can't reach the classroom server. Retrying…"
+                                : "")}
+                        </p>
+                        <button
+                            type="submit"
+                            className="test-modal__button"
+                            disabled={isJoining || code.length < JOIN_CODE_LENGTH || !cleanPlayerName(name)}
+                        >
+                            {isJoining ? "Joining…" : "Join"}
+                        </button>
+                    </form>
+                </main>
+            </div>
+        );
+    }
+
+    let message = "Waiting for the teacher to ask the first one…";
+    if (session.isEnded) {
+        message = score ? `That's the end! Your rank: ${score.rank} of ${score.players}.` : "That's the end!";
+    } else if (question?.isRevealed) {
+        message = question.guess === question.itemId ? "Correct!" : `It was ${pack.nameOf(question.itemId)}.`;
+    } else if (question?.guess) {
+        message = "Answer sent. Waiting for the others…";
+    } else if (question) {
+        message = notice?.number === question.number ? notice.text : `Tap ${pack.nameOf(question.itemId)} on the map.`;
+    }
+    let feedbackType = null;
+    if (question?.isRevealed && !session.isEnded) {
+        feedbackType = question.guess === question.itemId ? "success" : "error";
+    }
+
+    return (
+        <div className="app classroom">
+            <header className="app__header">
+                <div className="app__header-top">
+                    <h1 className="app__title">
+                        {question && !session.isEnded ? `Where is ${pack.nameOf(question.itemId)}?` : `Class ${session.code}`}
+                    </h1>
+                    {score && (
+                        <span className="classroom__meta">
+                            {`${score.correct} / ${score.answered} · ${score.rank} of ${score.players}`}
+                        </span>
+                    )}
+                    {session.isEnded && (
+                        <button type="button" className="app__action" onClick={onExit}>
+                            Back to quiz
+                        </button>
+                    )}
+                </div>
+                <div className="app__header-message" aria-live="polite">
+                    <p className={`app__feedback${feedbackType ? ` app__feedback--${feedbackType}` : ""}`}>
+                        {status === CONNECTION_STATUS.lost && !session.isEnded ? "Connection lost. Reconnecting…" : message}
+                    </p>
+                </div>
+            </header>
+            <main className="app__main">
+                <ClassroomMap
+                    key={pack.id}
+                    pack={pack}
+                    question={question}
+                    onAnswer={handleAnswer}
+                    onMessage={(text) => setNotice({number: question?.number, text})}
+                />
+            </main>
+        </div>
+    );
+}
+
+export default ClassroomPlayer;
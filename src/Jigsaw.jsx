@@ -0,0 +1,232 @@
+import {useCallback, useEffect, useMemo, useRef, useState} from "react";
+import {boundsOf, getItemPaths, getMapGeometry} from "./mapGeometry";
+import {clientToMap, fitBounds, formatViewBox} from "./mapViewport";
+import {createJigsaw, dropPiece, isJigsawComplete, jigsawElapsed, pickUpPiece} from "./jigsaw";
+import {formatDuration} from "./testRecords";
+
+const CLOCK_TICK_MS = 1000;
+
+const isInside = (rect, clientX, clientY) => {
+    return clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom;
+};
+
+const viewOfBounds = ({minX, minY, maxX, maxY}) => ({x: minX, y: minY, width: maxX - minX, height: maxY - minY});
+
+// Drag the pack's item shapes from a tray onto its blank outline. With an area chosen,
+// only that area's pieces are in the tray and the rest of the map is already filled in.
+function Jigsaw({pack, initialAreaId, onExit}) {
+    const {labels, nameOf} = pack;
+    const paths = getItemPaths(pack);
+    const geometry = getMapGeometry(pack);
+    const [areaId, setAreaId] = useState(initialAreaId);
+    const area = pack.practiceAreas.find(({id}) => id === areaId) ?? null;
+    const pieceIds = useMemo(
+        () => (area?.counties ?? pack.itemIds).filter((id) => paths[id]),
+        [area, pack, paths],
+    );
+    const [puzzle, setPuzzle] = useState(() => createJigsaw(pieceIds));
+    const [drag, setDrag] = useState(null);
+    const [message, setMessage] = useState("");
+    const [clock, setClock] = useState(() => Date.now());
+    const boardRef = useRef(null);
+    const isComplete = isJigsawComplete(puzzle);
+    const isRunning = puzzle.startedAt != null && !isComplete;
+    const boardView = useMemo(() => {
+        const bounds = area ? boundsOf(geometry, area.counties) : null;
+        return bounds ? fitBounds(pack.viewBox, bounds) : pack.viewBox;
+    }, [area, geometry, pack]);
+    const pieceSet = new Set(pieceIds);
+    const fixedIds = pack.itemIds.filter((id) => paths[id] && !pieceSet.has(id));
+    const {outline} = pack;
+
+    useEffect(() => {
+        if (!isRunning) return undefined;
+        const timer = setInterval(() => setClock(Date.now()), CLOCK_TICK_MS);
+        return () => clearInterval(timer);
+    }, [isRunning]);
+
+    const restart = useCallback((ids) => {
+        setPuzzle(createJigsaw(ids));
+        setDrag(null);
+        setMessage("");
+    }, []);
+
+    const handleAreaChange = (event) => {
+        const nextAreaId = event.target.value || null;
+        const nextArea = pack.practiceAreas.find(({id}) => id === nextAreaId);
+        setAreaId(nextAreaId);
+        restart((nextArea?.counties ?? pack.itemIds).filter((id) => paths[id]));
+    };
+
+    const toBoardPoint = useCallback((clientX, clientY) => {
+        const rect = boardRef.current?.getBoundingClientRect();
+        if (!rect || rect.width === 0) return null;
+        return {point: clientToMap(rect, boardView, clientX, clientY), onBoard: isInside(rect, clientX, clientY)};
+    }, [boardView]);
+
+    const handlePiecePointerDown = (event, pieceId) => {
+        if (event.pointerType === "mouse" && event.button !== 0) return;
+        event.preventDefault();
+        // Hold the piece by the same spot it was picked up from in the tray.
+        const grab = clientToMap(
+            event.currentTarget.getBoundingClientRect(),
+            viewOfBounds(geometry.bounds[pieceId]),
+            event.clientX,
+            event.clientY,
+        );
+        const position = toBoardPoint(event.clientX, event.clientY);
+        setPuzzle((current) => pickUpPiece(current, Date.now()));
+        setClock(Date.now());
+        setMessage("");
+        setDrag({
+            pieceId,
+            pointerId: event.pointerId,
+            grab,
+            offset: position ? {x: position.point.x - grab.x, y: position.point.y - grab.y} : null,
+        });
+    };
+
+    useEffect(() => {
+        if (!drag) return undefined;
+        const handleMove = (event) => {
+            if (event.pointerId !== drag.pointerId) return;
+            const position = toBoardPoint(event.clientX, event.clientY);
+            if (!position) return;
+            setDrag((current) => current && {
+                ...current,
+                offset: {x: position.point.x - current.grab.x, y: position.point.y - current.grab.y},
+            });
+        };
+        const handleUp = (event) => {
+            if (event.pointerId !== drag.pointerId) return;
+            const position = toBoardPoint(event.clientX, event.clientY);
+            setDrag(null);
+            if (!position) return;
+            const offset = {x: position.point.x - drag.grab.x, y: position.point.y - drag.grab.y};
+            const result = dropPiece(puzzle, drag.pieceId, offset, {onBoard: position.onBoard, now: Date.now()});
+            setPuzzle(result.puzzle);
+            if (result.snapped) {
+                setMessage(`${nameOf(drag.pieceId)} is in place.`);
+            } else if (position.onBoard) {
+                setMessage(`${nameOf(drag.pieceId)} doesn't go there.`);
+            }
+        };
+        const handleCancel = (event) => {
+            if (event.pointerId === drag.pointerId) setDrag(null);
+        };
+        window.addEventListener("pointermove", handleMove);
+        window.addEventListener("pointerup", handleUp);
+        window.addEventListener("pointercancel", handleCancel);
+        return () => {
+            window.removeEventListener("pointermove", handleMove);
+            window.removeEventListener("pointerup", handleUp);
+            window.removeEventListener("pointercancel", handleCancel);
+        };
+    }, [drag, nameOf, puzzle, toBoardPoint]);
+
+    const elapsedLabel = formatDuration(jigsawElapsed(puzzle, clock));
+
+    return (
+        <div className="app jigsaw">
+            <header className="app__header">
+                <div className="app__header-top">
+                    <h1 className="app__title">{`Put the ${labels.items} back`}</h1>
+                    {pack.practiceAreas.length > 0 && (
+                        <select
+                            className="app__select"
+                            value={areaId ?? ""}
+                            onChange={handleAreaChange}
+                            aria-label="Jigsaw area"
+                        >
+                            <option value="">{labels.everywhere}</option>
+                            {pack.practiceAreas.map((option) => (
+                                <option key={option.id} value={option.id}>{option.name}</option>
+                            ))}
+                        </select>
+                    )}
+                    <button type="button" className="app__action" onClick={() => restart(pieceIds)}>
+                        Restart
+                    </button>
+                    <button type="button" className="app__action" onClick={onExit}>
+                        Back to quiz
+                    </button>
+                </div>
+                <div className="app__header-message">
+                    <p className="jigsaw__status">
+                        {`${puzzle.placed.length} / ${pieceIds.length} placed · ${puzzle.misplacements} misplaced · ${elapsedLabel}`}
+                    </p>
+                    <p className="app__feedback" aria-live="polite">{message}</p>
+                </div>
+            </header>
+            <main className="jigsaw__main">
+                <svg
+                    ref={boardRef}
+                    className="jigsaw__board"
+                    viewBox={formatViewBox(boardView)}
+                    role="img"
+                    aria-label={`Outline map with ${puzzle.placed.length} of ${pieceIds.length} ${labels.items} in place`}
+                >
+                    <image
+                        href={`${import.meta.env.BASE_URL}${outline.href}`}
+                        x={outline.viewBox.x}
+                        y={outline.viewBox.y}
+                        width={outline.viewBox.width}
+                        height={outline.viewBox.height}
+                    />
+                    {fixedIds.map((id) => (
+                        <path key={id} d={paths[id]} className="jigsaw-piece jigsaw-piece--fixed"/>
+                    ))}
+                    {puzzle.placed.map((id) => (
+                        <path key={id} d={paths[id]} className="jigsaw-piece jigsaw-piece--placed">
+                            <title>{nameOf(id)}</title>
+                        </path>
+                    ))}
+                    {drag?.offset && (
+                        <path
+                            d={paths[drag.pieceId]}
+                            className="jigsaw-piece jigsaw-piece--dragging"
+                            transform={`translate(${drag.offset.x} ${drag.offset.y})`}
+                        />
+                    )}
+                </svg>
+                <ul className="jigsaw__tray" aria-label="Pieces">
+                    {puzzle.tray.map((id) => (
+                        <li key={id} className={`jigsaw__slot${drag?.pieceId === id ? " jigsaw__slot--lifted" : ""}`}>
+                            <svg
+                                className="jigsaw__thumb"
+                                viewBox={formatViewBox(viewOfBounds(geometry.bounds[id]))}
+                                onPointerDown={(event) => handlePiecePointerDown(event, id)}
+                                role="img"
+                                aria-label={nameOf(id)}
+                            >
+                                <path d={paths[id]} className="jigsaw-piece"/>
+                            </svg>
+                            <span className="jigsaw__name">{nameOf(id)}</span>
+                        </li>
+                    ))}
+                </ul>
+            </main>
+            {isComplete && (
+                <div className="stats-overlay test-result-overlay" role="dialog" aria-modal="true" aria-labelledby="jigsaw-done-title">
+                    <div className="test-modal">
+                        <div className="test-modal__icon" aria-hidden="true">🧩</div>
+                        <h2 id="jigsaw-done-title" className="test-modal__title">Jigsaw complete!</h2>
+                        <p className="test-modal__meta">{`Time: ${elapsedLabel}`}</p>
+                        <p className="test-modal__meta">{`Misplaced: ${puzzle.misplacements}`}</p>
+                        {area && <p className="test-modal__meta">{`Area: ${area.name}`}</p>}
+                        <div className="test-modal__actions">
+                            <button type="button" className="test-modal__button test-modal__button--secondary" onClick={onExit}>
+                                Back to quiz
+                            </button>
+                            <button type="button" className="test-modal__button" onClick={() => restart(pieceIds)}>
+                                Play again
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default Jigsaw;
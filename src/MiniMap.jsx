@@ -0,0 +1,27 @@
+import {getItemPaths} from "./mapGeometry";
+
+function MiniMap({pack, highlighted = [], focused = null, className = "", label}) {
+    const paths = getItemPaths(pack);
+    const highlightedSet = new Set(highlighted);
+    const {x, y, width, height} = pack.viewBox;
+    return (
+        <svg
+            className={`mini-map${className ? ` ${className}` : ""}`}
+            viewBox={`${x} ${y} ${width} ${height}`}
+            role="img"
+            aria-label={label}
+        >
+            {pack.itemIds.filter((id) => paths[id]).map((id) => {
+                let modifier = "";
+                if (id === focused) {
+                    modifier = " mini-map__item--focused";
+                } else if (highlightedSet.has(id)) {
+                    modifier = " mini-map__item--highlighted";
+                }
+                return <path key={id} d={paths[id]} className={`mini-map__item${modifier}`}/>;
+            })}
+        </svg>
+    );
+}
+
+export default MiniMap;
@@ -0,0 +1,203 @@
+import {useState} from "react";
+import {formatDuration} from "./testRecords";
+import {TEST_SCOPES} from "./testConfig";
+import {
+    addPlayerSlot,
+    MAX_PLAYER_NAME_LENGTH,
+    MAX_PLAYERS,
+    MIN_PLAYERS,
+    passAndPlayScores,
+    removePlayerSlot,
+    TURN_LIMITS_MS,
+    TURNS_PER_PLAYER,
+} from "./passAndPlay";
+
+const turnLimitLabel = (turnMs) => (turnMs ? `${turnMs / 1000}s` : "No limit");
+
+// Sets up a hot-seat game; after one, `result` is shown first with the final scores.
+function PassAndPlayModal({pack, profiles, initialConfig, result = null, onStart, onClose}) {
+    const [config, setConfig] = useState(initialConfig);
+    const [isSetup, setIsSetup] = useState(!result);
+    const {labels} = pack;
+    const update = (changes) => setConfig((prev) => ({...prev, ...changes}));
+    const updatePlayer = (index, changes) => {
+        update({players: config.players.map((player, position) => (position === index ? {...player, ...changes} : player))});
+    };
+    const scores = result ? passAndPlayScores(result.players, result.turns) : [];
+    const winners = scores.filter(({rank}) => rank === 1);
+    const savedFor = result ? result.players.filter(({profileId}) => profileId) : [];
+
+    return (
+        <div
+            className="stats-overlay test-result-overlay"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="pass-play-title"
+            onClick={onClose}
+        >
+            <form
+                className="test-modal test-setup"
+                onClick={(event) => event.stopPropagation()}
+                onSubmit={(event) => {
+                    event.preventDefault();
+                    onStart(config);
+                }}
+            >
+                <button type="button" className="test-modal__close" aria-label="Close pass and play" onClick={onClose}>
+                    ×
+                </button>
+                {isSetup ? (
+                    <>
+                        <h2 id="pass-play-title" className="test-modal__title">Pass and play</h2>
+                        <p className="test-modal__meta">
+                            {`Take turns on this device. Each player answers one ${labels.item}, then passes it on.`}
+                        </p>
+                        <fieldset className="test-setup__group">
+                            <legend className="test-setup__legend">Players</legend>
+                            {config.players.map((player, index) => (
+                                <div key={index} className="pass-play__player">
+                                    <input
+                                        className="app__select pass-play__name"
+                                        type="text"
+                                        value={player.name}
+                                        placeholder={`Player ${index + 1}`}
+                                        maxLength={MAX_PLAYER_NAME_LENGTH}
+                                        aria-label={`Player ${index + 1} name`}
+                                        onChange={(event) => updatePlayer(index, {name: event.target.value})}
+                                    />
+                                    <select
+                                        className="app__select"
+                                        value={player.profileId ?? ""}
+                                        aria-label={`Player ${index + 1} stats`}
+                                        onChange={(event) => updatePlayer(index, {profileId: event.target.value || null})}
+                                    >
+                                        <option value="">Don't save stats</option>
+                                        {profiles.map((profile) => (
+                                            <option
+                                                key={profile.id}
+                                                value={profile.id}
+                                                disabled={config.players.some((other) => other !== player && other.profileId === profile.id)}
+                                            >
+                                                {`Save to ${profile.name}`}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        type="button"
+                                        className="pass-play__remove"
+                                        aria-label={`Remove player ${index + 1}`}
+                                        onClick={() => update({players: removePlayerSlot(config.players, index)})}
+                                        disabled={config.players.length <= MIN_PLAYERS}
+                                    >
+                                        ×
+                                    </button>
+                                </div>
+                            ))}
+                            {config.players.length < MAX_PLAYERS && (
+                                <button
+                                    type="button"
+                                    className="app__action pass-play__add"
+                                    onClick={() => update({players: addPlayerSlot(config.players)})}
+                                >
+                                    Add player
+                                </button>
+                            )}
+                        </fieldset>
+                        <fieldset className="test-setup__group">
+                            <legend className="test-setup__legend">Turns each</legend>
+                            <div className="test-setup__options">
+                                {TURNS_PER_PLAYER.map((turns) => (
+                                    <label
+                                        key={turns}
+                                        className={`test-setup__chip${config.turnsPerPlayer === turns ? " test-setup__chip--active" : ""}`}
+                                    >
+                                        <input
+                                            type="radio"
+                                            name="pass-play-turns"
+                                            checked={config.turnsPerPlayer === turns}
+                                            onChange={() => update({turnsPerPlayer: turns})}
+                                        />
+                                        {turns}
+                                    </label>
+                                ))}
+                            </div>
+                        </fieldset>
+                        <fieldset className="test-setup__group">
+                            <legend className="test-setup__legend">Time per turn</legend>
+                            <div className="test-setup__options">
+                                {TURN_LIMITS_MS.map((turnMs) => (
+                                    <label
+                                        key={turnMs ?? "none"}
+                                        className={`test-setup__chip${config.turnMs === turnMs ? " test-setup__chip--active" : ""}`}
+                                    >
+                                        <input
+                                            type="radio"
+                                            name="pass-play-time"
+                                            checked={config.turnMs === turnMs}
+                                            onChange={() => update({turnMs})}
+                                        />
+                                        {turnLimitLabel(turnMs)}
+                                    </label>
+                                ))}
+                            </div>
+                        </fieldset>
+                        <label className="test-setup__group">
+                            <span className="test-setup__legend">Area</span>
+                            <select
+                                className="app__select test-setup__select"
+                                value={config.scope}
+                                onChange={(event) => update({scope: event.target.value})}
+                            >
+                                <option value={TEST_SCOPES.all}>{labels.everywhere}</option>
+                                {pack.practiceAreas.map((area) => (
+                                    <option key={area.id} value={area.id}>{area.name}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <p className="test-modal__meta">
+                            Answers only count towards a profile's stats if that player picks it.
+                        </p>
+                    </>
+                ) : (
+                    <>
+                        <h2 id="pass-play-title" className="test-modal__title">
+                            {winners.length === 1 ? `${winners[0].name} wins!` : "It's a tie!"}
+                        </h2>
+                        {result.abandoned && <p className="test-modal__meta">Ended early.</p>}
+                        <ol className="classroom__board pass-play__results">
+                            {scores.map((score) => (
+                                <li key={score.id} className="classroom__board-row">
+                                    <span className="classroom__rank">{score.rank}</span>
+                                    <span className="classroom__name">{score.name}</span>
+                                    <span className="classroom__score">{`${score.correct} / ${score.correct + score.wrong}`}</span>
+                                    <span className="classroom__time">{formatDuration(score.timeMs)}</span>
+                                </li>
+                            ))}
+                        </ol>
+                        {savedFor.length > 0 && (
+                            <p className="test-modal__meta">
+                                {`Answers were added to the stats of ${savedFor.map(({name}) => name).join(", ")}.`}
+                            </p>
+                        )}
+                    </>
+                )}
+                <div className="test-modal__actions">
+                    {isSetup ? (
+                        <button type="button" className="test-modal__button test-modal__button--secondary" onClick={onClose}>
+                            Cancel
+                        </button>
+                    ) : (
+                        <button type="button" className="test-modal__button test-modal__button--secondary" onClick={() => setIsSetup(true)}>
+                            Change players
+                        </button>
+                    )}
+                    <button type="submit" className="test-modal__button">
+                        {isSetup ? "Start" : "Play again"}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
+
+export default PassAndPlayModal;
@@ -0,0 +1,174 @@
+import {useState} from "react";
+import {MAX_PROFILE_NAME_LENGTH, normalizeProfileName, PROFILE_AVATARS, PROFILE_COLORS, profileBadge} from "./profiles";
+
+function ProfileForm({initial, submitLabel, onSubmit, onCancel}) {
+    const [draft, setDraft] = useState(initial);
+    const update = (changes) => setDraft((prev) => ({...prev, ...changes}));
+    const name = normalizeProfileName(draft.name);
+
+    return (
+        <form
+            className="profile-form"
+            onSubmit={(event) => {
+                event.preventDefault();
+                if (name) onSubmit({...draft, name});
+            }}
+        >
+            <input
+                className="answer-form__input"
+                type="text"
+                value={draft.name}
+                onChange={(event) => update({name: event.target.value})}
+                maxLength={MAX_PROFILE_NAME_LENGTH}
+                placeholder="Name"
+                aria-label="Profile name"
+                autoFocus
+            />
+            <div className="profile-form__options" role="group" aria-label="Avatar">
+                <button
+                    type="button"
+                    className={`profile-form__avatar${draft.avatar == null ? " profile-form__avatar--active" : ""}`}
+                    onClick={() => update({avatar: null})}
+                    aria-pressed={draft.avatar == null}
+                >
+                    Aa
+                </button>
+                {PROFILE_AVATARS.map((avatar) => (
+                    <button
+                        type="button"
+                        key={avatar}
+                        className={`profile-form__avatar${draft.avatar === avatar ? " profile-form__avatar--active" : ""}`}
+                        onClick={() => update({avatar})}
+                        aria-pressed={draft.avatar === avatar}
+                    >
+                        {avatar}
+                    </button>
+                ))}
+            </div>
+            <div className="profile-form__options" role="group" aria-label="Colour">
+                {PROFILE_COLORS.map((color) => (
+                    <button
+                        type="button"
+                        key={color}
+                        className={`profile-form__swatch${draft.color === color ? " profile-form__swatch--active" : ""}`}
+                        style={{background: color}}
+                        onClick={() => update({color: draft.color === color ? null : color})}
+                        aria-pressed={draft.color === color}
+                        aria-label={`Colour ${color}`}
+                    />
+                ))}
+            </div>
+            <div className="test-modal__actions">
+                <button type="button" className="test-modal__button test-modal__button--secondary" onClick={onCancel}>
+                    Cancel
+                </button>
+                <button type="submit" className="test-modal__button" disabled={!name}>
+                    {submitLabel}
+                </button>
+            </div>
+        </form>
+    );
+}
+
+function ProfilesModal({profiles, activeId, onSwitch, onCreate, onUpdate, onDelete, onClose}) {
+    const [editingId, setEditingId] = useState(null);
+    const [deletingId, setDeletingId] = useState(null);
+    const isCreating = editingId === "new";
+
+    return (
+        <div
+            className="stats-overlay test-result-overlay"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="profiles-title"
+            onClick={onClose}
+        >
+            <div className="test-modal profiles" onClick={(event) => event.stopPropagation()}>
+                <button type="button" className="test-modal__close" aria-label="Close profiles" onClick={onClose}>
+                    ×
+                </button>
+                <h2 id="profiles-title" className="test-modal__title">Profiles</h2>
+                <ul className="profiles__list">
+                    {profiles.map((profile) => {
+                        const isActive = profile.id === activeId;
+                        if (editingId === profile.id) {
+                            return (
+                                <li key={profile.id} className="profiles__item profiles__item--editing">
+                                    <ProfileForm
+                                        initial={profile}
+                                        submitLabel="Save"
+                                        onSubmit={(changes) => {
+                                            onUpdate(profile.id, changes);
+                                            setEditingId(null);
+                                        }}
+                                        onCancel={() => setEditingId(null)}
+                                    />
+                                </li>
+                            );
+                        }
+                        return (
+                            <li key={profile.id} className={`profiles__item${isActive ? " profiles__item--active" : ""}`}>
+                                <span className="profile-badge" style={profile.color ? {background: profile.color} : undefined} aria-hidden="true">
+                                    {profileBadge(profile)}
+                                </span>
+                                <span className="profiles__name">{profile.name}</span>
+                                {deletingId === profile.id ? (
+                                    <span className="profiles__actions">
+                                        <span className="profiles__warning">{`Delete ${profile.name} and their progress?`}</span>
+                                        <button type="button" className="profiles__action profiles__action--danger" onClick={() => {
+                                            onDelete(profile.id);
+                                            setDeletingId(null);
+                                        }}>
+                                            Delete
+                                        </button>
+                                        <button type="button" className="profiles__action" onClick={() => setDeletingId(null)}>
+                                            Keep
+                                        </button>
+                                    </span>
+                                ) : (
+                                    <span className="profiles__actions">
+                                        {isActive ? (
+                                            <span className="profiles__current">Current</span>
+                                        ) : (
+                                            <button type="button" className="profiles__action" onClick={() => onSwitch(profile.id)}>
+                                                Switch
+                                            </button>
+                                        )}
+                                        <button type="button" className="profiles__action" onClick={() => setEditingId(profile.id)}>
+                                            Edit
+                                        </button>
+                                        <button
+                                            type="button"
+                                            className="profiles__action"
+                                            onClick={() => setDeletingId(profile.id)}
+                                            disabled={profiles.length <= 1}
+                                        >
+                                            Delete
+                                        </button>
+                                    </span>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+                {isCreating ? (
+                    <ProfileForm
+                        initial={{name: "", avatar: null, color: null}}
+                        submitLabel="Add profile"
+                        onSubmit={(draft) => {
+                            onCreate(draft);
+                            setEditingId(null);
+                        }}
+                        onCancel={() => setEditingId(null)}
+                    />
+                ) : (
+                    <button type="button" className="test-modal__button" onClick={() => setEditingId("new")}>
+                        New profile
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ProfilesModal;
@@ -0,0 +1,174 @@
+import {useState} from "react";
+import {encodeProgressCode, IMPORT_MODES, parseProgress, progressFileName} from "./progressTransfer";
+
+const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleDateString(undefined, {day: "numeric", month: "short", year: "numeric"});
+};
+
+const countOf = (count, singular, plural) => `${count} ${count === 1 ? singular : plural}`;
+
+const describeImport = (progress, labels) => {
+    const parts = [
+        countOf(Object.keys(progress.stats).length, labels.item, labels.items),
+        countOf(progress.testHistory.length, "test", "tests"),
+    ];
+    const days = Object.keys(progress.daily).length;
+    if (days > 0) parts.push(countOf(days, "daily challenge", "daily challenges"));
+    const source = [
+        progress.profile ? `from ${progress.profile}` : null,
+        progress.exportedAt ? `exported ${formatDate(progress.exportedAt)}` : null,
+    ].filter(Boolean).join(", ");
+    return `Found ${parts.join(", ")}${source ? ` (${source})` : ""}.`;
+};
+
+function ProgressTransfer({pack, createExport, onImport, isLocked}) {
+    const [code, setCode] = useState("");
+    const [exportStatus, setExportStatus] = useState("");
+    const [pasted, setPasted] = useState("");
+    const [pending, setPending] = useState(null);
+    const [error, setError] = useState("");
+    const [importStatus, setImportStatus] = useState("");
+    const {labels} = pack;
+
+    const downloadFile = () => {
+        const payload = createExport();
+        const blob = new Blob([JSON.stringify(payload, null, 2)], {type: "application/json"});
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = progressFileName(payload);
+        link.click();
+        URL.revokeObjectURL(url);
+        setExportStatus(`Saved ${link.download}.`);
+    };
+
+    const copyCode = async () => {
+        let nextCode;
+        try {
+            nextCode = await encodeProgressCode(createExport());
+        } catch {
+            setExportStatus("This browser can't make a code. Download the file instead.");
+            return;
+        }
+        setCode(nextCode);
+        try {
+            await navigator.clipboard.writeText(nextCode);
+            setExportStatus("Code copied. Paste it into Import on the other device.");
+        } catch {
+            setExportStatus("Couldn't copy. Select the code above instead.");
+        }
+    };
+
+    const check = async (input) => {
+        setPending(null);
+        setError("");
+        setImportStatus("");
+        try {
+            setPending(await parseProgress(input, pack));
+        } catch (importError) {
+            setError(importError.message);
+        }
+    };
+
+    const handleFile = async (event) => {
+        const [file] = event.target.files;
+        event.target.value = "";
+        if (!file) return;
+        await check(await file.text());
+    };
+
+    const apply = (mode) => {
+        onImport(pending, mode);
+        setPending(null);
+        setPasted("");
+        setImportStatus(mode === IMPORT_MODES.merge
+            ? "Merged. Counts from both copies have been added together."
+            : "Replaced. This map now shows the imported progress.");
+    };
+
+    return (
+        <div className="transfer">
+            <section className="transfer__section">
+                <h3 className="stats-section-title">Export</h3>
+                <p className="transfer__text">
+                    Save this profile's progress on this map as a file, or as a code you can paste on another device.
+                </p>
+                <div className="transfer__actions">
+                    <button type="button" className="test-modal__button" onClick={downloadFile}>
+                        Download file
+                    </button>
+                    <button type="button" className="test-modal__button test-modal__button--secondary" onClick={copyCode}>
+                        Copy code
+                    </button>
+                </div>
+                {code && (
+                    <textarea
+                        className="transfer__code"
+                        value={code}
+                        readOnly
+                        rows={3}
+                        aria-label="Progress code"
+                        onFocus={(event) => event.target.select()}
+                    />
+                )}
+                <p className="transfer__status" aria-live="polite">{exportStatus}</p>
+            </section>
+            <section className="transfer__section">
+                <h3 className="stats-section-title">Import</h3>
+                {isLocked ? (
+                    <p className="transfer__text">Finish or cancel the test before importing.</p>
+                ) : (
+                    <>
+                        <label className="transfer__file">
+                            <span className="test-modal__button test-modal__button--secondary">Choose file</span>
+                            <input type="file" accept=".json,application/json" onChange={handleFile}/>
+                        </label>
+                        <textarea
+                            className="transfer__code"
+                            value={pasted}
+                            onChange={(event) => setPasted(event.target.value)}
+                            rows={3}
+                            placeholder="…or paste a code or JSON here"
+                            aria-label="Code or JSON to import"
+                        />
+                        <div className="transfer__actions">
+                            <button
+                                type="button"
+                                className="test-modal__button test-modal__button--secondary"
+                                onClick={() => check(pasted)}
+                                disabled={!pasted.trim()}
+                            >
+                                Check
+                            </button>
+                        </div>
+                    </>
+                )}
+                {error && <p className="transfer__error" role="alert">{error}</p>}
+                {pending && !isLocked && (
+                    <div className="transfer__preview">
+                        <p className="transfer__text">{describeImport(pending, labels)}</p>
+                        <p className="transfer__text">
+                            Merge adds the imported counts to yours. Replace throws away this profile's
+                            current progress on this map.
+                        </p>
+                        <div className="transfer__actions">
+                            <button type="button" className="test-modal__button" onClick={() => apply(IMPORT_MODES.merge)}>
+                                Merge
+                            </button>
+                            <button
+                                type="button"
+                                className="test-modal__button test-modal__button--secondary"
+                                onClick={() => apply(IMPORT_MODES.replace)}
+                            >
+                                Replace
+                            </button>
+                        </div>
+                    </div>
+                )}
+                <p className="transfer__status" aria-live="polite">{importStatus}</p>
+            </section>
+        </div>
+    );
+}
+
+export default ProgressTransfer;
@@ -0,0 +1,46 @@
+import {getMapGeometry} from "./mapGeometry";
+
+const formatList = (items) => new Intl.ListFormat("en-GB", {type: "conjunction"}).format(items);
+
+function RevealCard({pack, itemId, onDismiss}) {
+    const {labels, nameOf} = pack;
+    const {town, cities, fact} = pack.factsOf(itemId);
+    const region = pack.regions.find(({id}) => id === pack.itemRegion[itemId]);
+    const neighbours = (getMapGeometry(pack).neighbours[itemId] ?? [])
+        .map(nameOf)
+        .sort((a, b) => a.localeCompare(b));
+    const otherCities = cities.filter((city) => city !== town);
+    return (
+        <aside className="reveal-card" aria-label={`About ${nameOf(itemId)}`}>
+            <button type="button" className="reveal-card__close" aria-label="Hide details" onClick={onDismiss}>
+                ×
+            </button>
+            <h2 className="reveal-card__title">{nameOf(itemId)}</h2>
+            <dl className="reveal-card__facts">
+                {region && (
+                    <>
+                        <dt>Region</dt>
+                        <dd>{region.name}</dd>
+                    </>
+                )}
+                {town && (
+                    <>
+                        <dt>{labels.town.charAt(0).toUpperCase() + labels.town.slice(1)}</dt>
+                        <dd>{town}</dd>
+                    </>
+                )}
+                {otherCities.length > 0 && (
+                    <>
+                        <dt>Major towns and cities</dt>
+                        <dd>{formatList(otherCities)}</dd>
+                    </>
+                )}
+                <dt>Borders</dt>
+                <dd>{neighbours.length > 0 ? formatList(neighbours) : `No other ${labels.item}`}</dd>
+            </dl>
+            {fact && <p className="reveal-card__fact">{fact}</p>}
+        </aside>
+    );
+}
+
+export default RevealCard;
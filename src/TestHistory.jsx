@@ -0,0 +1,139 @@
+import {useState} from "react";
+import MiniMap from "./MiniMap";
+import {formatDuration} from "./testRecords";
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 8;
+const CHART_RUNS = 20;
+
+const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleDateString(undefined, {day: "numeric", month: "short", year: "numeric"});
+};
+
+function TrendChart({runs}) {
+    const maxDuration = Math.max(...runs.map((run) => run.durationMs), 1);
+    const innerWidth = CHART_WIDTH - CHART_PADDING * 2;
+    const innerHeight = CHART_HEIGHT - CHART_PADDING * 2;
+    const slot = innerWidth / runs.length;
+    const scoreY = (percent) => CHART_PADDING + innerHeight * (1 - percent / 100);
+    const points = runs
+        .map((run, index) => `${CHART_PADDING + slot * (index + 0.5)},${scoreY(run.percent)}`)
+        .join(" ");
+    return (
+        <svg
+            className="history-chart"
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            role="img"
+            aria-label={`Score and time for the last ${runs.length} tests`}
+        >
+            {runs.map((run, index) => {
+                const barHeight = (run.durationMs / maxDuration) * innerHeight;
+                return (
+                    <rect
+                        key={run.id}
+                        className="history-chart__time"
+                        x={CHART_PADDING + slot * index + slot * 0.2}
+                        y={CHART_PADDING + innerHeight - barHeight}
+                        width={slot * 0.6}
+                        height={barHeight}
+                    />
+                );
+            })}
+            <polyline className="history-chart__score" points={points}/>
+            {runs.map((run, index) => (
+                <circle
+                    key={run.id}
+                    className="history-chart__point"
+                    cx={CHART_PADDING + slot * (index + 0.5)}
+                    cy={scoreY(run.percent)}
+                    r={3}
+                />
+            ))}
+        </svg>
+    );
+}
+
+function TestHistory({pack, history, describeScope}) {
+    const [selectedId, setSelectedId] = useState(null);
+    const {nameOf, labels} = pack;
+
+    if (history.length === 0) {
+        return <p className="history-empty">Finish a test and it will show up here.</p>;
+    }
+
+    const recent = history.slice(-CHART_RUNS);
+    const newestFirst = [...history].reverse();
+
+    return (
+        <div className="history">
+            <TrendChart runs={recent}/>
+            <p className="history-legend">
+                <span className="history-legend__score">Score %</span>
+                <span className="history-legend__time">Time</span>
+            </p>
+            <ul className="history-list">
+                {newestFirst.map((run) => {
+                    const isOpen = run.id === selectedId;
+                    const slowest = [...(run.questions ?? [])].sort((a, b) => b.ms - a.ms);
+                    return (
+                        <li key={run.id} className="history-item">
+                            <button
+                                type="button"
+                                className="history-item__summary"
+                                aria-expanded={isOpen}
+                                onClick={() => setSelectedId(isOpen ? null : run.id)}
+                            >
+                                <span>{formatDate(run.finishedAt)}</span>
+                                <span>{describeScope(run.config) ?? labels.everywhere}</span>
+                                <span className="stats-data">{run.correct}/{run.total}</span>
+                                <span className="stats-data">{formatDuration(run.durationMs)}</span>
+                            </button>
+                            {isOpen && (
+                                <div className="history-item__details">
+                                    {run.personalBests?.length > 0 && (
+                                        <p className="history-item__bests">🏆 {run.personalBests.join(" ")}</p>
+                                    )}
+                                    <div className="test-misses">
+                                        <MiniMap
+                                            pack={pack}
+                                            highlighted={run.misses}
+                                            className="test-misses__map"
+                                            label={`Map of ${labels.items} missed in this test`}
+                                        />
+                                        <div>
+                                            <p className="history-item__heading">
+                                                {run.misses.length === 0
+                                                    ? "No misses"
+                                                    : `Missed: ${run.misses.map(nameOf).join(", ")}`}
+                                            </p>
+                                            {slowest.length > 0 && (
+                                                <>
+                                                    <p className="history-item__heading">Slowest answers</p>
+                                                    <ol className="history-item__timings">
+                                                        {slowest.slice(0, 5).map((question) => (
+                                                            <li key={question.county}>
+                                                                {nameOf(question.county)}
+                                                                {" "}
+                                                                <span className="stats-data">
+                                                                    {(question.ms / 1000).toFixed(1)}s
+                                                                    {question.correct ? "" : " ✗"}
+                                                                </span>
+                                                            </li>
+                                                        ))}
+                                                    </ol>
+                                                </>
+                                            )}
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
+
+export default TestHistory;
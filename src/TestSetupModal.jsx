@@ -0,0 +1,85 @@
+import {useState} from "react";
+import {TEST_LENGTHS, TEST_SCOPES} from "./testConfig";
+
+const lengthLabel = (length) => (length === "all" ? "All" : String(length));
+
+function TestSetupModal({pack, initialConfig, onStart, onClose}) {
+    const [config, setConfig] = useState(initialConfig);
+    const {labels} = pack;
+    const update = (changes) => setConfig((prev) => ({...prev, ...changes}));
+
+    return (
+        <div
+            className="stats-overlay test-result-overlay"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="test-setup-title"
+            onClick={onClose}
+        >
+            <form
+                className="test-modal test-setup"
+                onClick={(event) => event.stopPropagation()}
+                onSubmit={(event) => {
+                    event.preventDefault();
+                    onStart(config);
+                }}
+            >
+                <button type="button" className="test-modal__close" aria-label="Close test setup" onClick={onClose}>
+                    ×
+                </button>
+                <h2 id="test-setup-title" className="test-modal__title">Test setup</h2>
+                <fieldset className="test-setup__group">
+                    <legend className="test-setup__legend">Length</legend>
+                    <div className="test-setup__options">
+                        {TEST_LENGTHS.map((length) => (
+                            <label
+                                key={length}
+                                className={`test-setup__chip${config.length === length ? " test-setup__chip--active" : ""}`}
+                            >
+                                <input
+                                    type="radio"
+                                    name="test-length"
+                                    checked={config.length === length}
+                                    onChange={() => update({length})}
+                                />
+                                {lengthLabel(length)}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+                <label className="test-setup__group">
+                    <span className="test-setup__legend">Scope</span>
+                    <select
+                        className="app__select test-setup__select"
+                        value={config.scope}
+                        onChange={(event) => update({scope: event.target.value})}
+                    >
+                        <option value={TEST_SCOPES.all}>{labels.everywhere}</option>
+                        <option value={TEST_SCOPES.weakest}>My weakest {labels.items}</option>
+                        {pack.practiceAreas.map((area) => (
+                            <option key={area.id} value={area.id}>{area.name}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="app__toggle">
+                    <input
+                        type="checkbox"
+                        checked={config.retryMisses}
+                        onChange={(event) => update({retryMisses: event.target.checked})}
+                    />
+                    Re-ask missed {labels.items} at the end
+                </label>
+                <div className="test-modal__actions">
+                    <button type="button" className="test-modal__button test-modal__button--secondary" onClick={onClose}>
+                        Cancel
+                    </button>
+                    <button type="submit" className="test-modal__button">
+                        Start test
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
+
+export default TestSetupModal;
@@ -0,0 +1,206 @@
+import {useEffect, useMemo, useState} from "react";
+import {createPortal} from "react-dom";
+import "./print.css";
+import {boundsOf, getItemPaths, getMapGeometry} from "./mapGeometry";
+import {fitBounds, formatViewBox} from "./mapViewport";
+import {describeTestScope, TEST_LENGTHS, TEST_SCOPES} from "./testConfig";
+import {buildWorksheet, readNumberAnchors} from "./worksheet";
+
+const lengthLabel = (length) => (length === "all" ? "All" : String(length));
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+// Number size as a share of the map's width, so labels print the same size at any zoom.
+const NUMBER_SIZE = 0.026;
+
+function WorksheetMap({pack, entries, anchors, label}) {
+    const paths = getItemPaths(pack);
+    const geometry = getMapGeometry(pack);
+    const chosen = new Set(entries.map(({itemId}) => itemId));
+    const bounds = boundsOf(geometry, [...chosen]);
+    const view = bounds ? fitBounds(pack.viewBox, bounds) : pack.viewBox;
+    const fontSize = view.width * NUMBER_SIZE;
+    return (
+        <svg className="worksheet__map" viewBox={formatViewBox(view)} role="img" aria-label={label}>
+            {pack.itemIds.filter((id) => paths[id]).map((id) => (
+                <path
+                    key={id}
+                    d={paths[id]}
+                    className={`worksheet__item${chosen.has(id) ? "" : " worksheet__item--context"}`}
+                />
+            ))}
+            {entries.map(({number, itemId}) => {
+                const anchor = anchors[itemId] ?? geometry.centroids[itemId];
+                if (!anchor) return null;
+                return (
+                    <text
+                        key={itemId}
+                        className="worksheet__number"
+                        x={anchor.x}
+                        y={anchor.y}
+                        fontSize={fontSize}
+                        strokeWidth={fontSize / 6}
+                    >
+                        {number}
+                    </text>
+                );
+            })}
+        </svg>
+    );
+}
+
+// A printable blank map with numbered items, a page of answer lines, and an answer key.
+// Printing while it is open prints only these pages (see print.css).
+function Worksheet({pack, stats, initialScope, onClose}) {
+    const {labels, numberedMap} = pack;
+    const [config, setConfig] = useState({length: "all", scope: initialScope ?? TEST_SCOPES.all});
+    const [randomNumbers, setRandomNumbers] = useState(false);
+    const [includeKey, setIncludeKey] = useState(true);
+    const make = (nextConfig, nextRandomNumbers) => buildWorksheet(pack, stats, nextConfig, {
+        order: numberedMap?.order,
+        randomNumbers: nextRandomNumbers,
+    });
+    const [entries, setEntries] = useState(() => make(config, randomNumbers));
+    const [numberSvg, setNumberSvg] = useState(null);
+    const anchors = useMemo(
+        () => (numberSvg && numberedMap ? readNumberAnchors(numberSvg, numberedMap.order) : {}),
+        [numberSvg, numberedMap],
+    );
+    const scopeName = describeTestScope(pack, config) ?? labels.everywhere;
+
+    useEffect(() => {
+        if (!numberedMap) return undefined;
+        let isCurrent = true;
+        numberedMap.load()
+            .then((svg) => {
+                if (isCurrent) setNumberSvg(svg);
+            })
+            .catch(() => {
+                // Numbers fall back to each item's centre.
+            });
+        return () => {
+            isCurrent = false;
+        };
+    }, [numberedMap]);
+
+    useEffect(() => {
+        const previousOverflow = document.body.style.overflow;
+        document.body.style.overflow = "hidden";
+        document.body.classList.add("worksheet-open");
+        return () => {
+            document.body.style.overflow = previousOverflow;
+            document.body.classList.remove("worksheet-open");
+        };
+    }, []);
+
+    const updateConfig = (changes) => {
+        const nextConfig = {...config, ...changes};
+        setConfig(nextConfig);
+        setEntries(make(nextConfig, randomNumbers));
+    };
+
+    const toggleRandomNumbers = (event) => {
+        setRandomNumbers(event.target.checked);
+        setEntries(make(config, event.target.checked));
+    };
+
+    return createPortal(
+        <div className="worksheet" role="dialog" aria-modal="true" aria-labelledby="worksheet-title">
+            <div className="worksheet__controls">
+                <h2 id="worksheet-title" className="worksheet__heading">Worksheet</h2>
+                <label className="test-setup__group">
+                    <span className="test-setup__legend">{capitalize(labels.items)}</span>
+                    <select
+                        className="app__select test-setup__select"
+                        value={config.scope}
+                        onChange={(event) => updateConfig({scope: event.target.value})}
+                    >
+                        <option value={TEST_SCOPES.all}>{labels.everywhere}</option>
+                        <option value={TEST_SCOPES.weakest}>{`Weakest ${labels.items} from stats`}</option>
+                        {pack.practiceAreas.map((area) => (
+                            <option key={area.id} value={area.id}>{area.name}</option>
+                        ))}
+                    </select>
+                </label>
+                <fieldset className="test-setup__group">
+                    <legend className="test-setup__legend">How many</legend>
+                    <div className="test-setup__options">
+                        {TEST_LENGTHS.map((length) => (
+                            <label
+                                key={length}
+                                className={`test-setup__chip${config.length === length ? " test-setup__chip--active" : ""}`}
+                            >
+                                <input
+                                    type="radio"
+                                    name="worksheet-length"
+                                    checked={config.length === length}
+                                    onChange={() => updateConfig({length})}
+                                />
+                                {lengthLabel(length)}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+                <label className="app__toggle">
+                    <input type="checkbox" checked={randomNumbers} onChange={toggleRandomNumbers}/>
+                    Random numbering
+                </label>
+                <label className="app__toggle">
+                    <input type="checkbox" checked={includeKey} onChange={(event) => setIncludeKey(event.target.checked)}/>
+                    Answer key
+                </label>
+                <div className="worksheet__buttons">
+                    {randomNumbers && (
+                        <button type="button" className="app__action" onClick={() => setEntries(make(config, true))}>
+                            New numbering
+                        </button>
+                    )}
+                    <button type="button" className="app__action" onClick={() => window.print()}>
+                        Print
+                    </button>
+                    <button type="button" className="app__action" onClick={onClose}>
+                        Close
+                    </button>
+                </div>
+            </div>
+            <section className="worksheet__page" aria-label="Worksheet page">
+                <header className="worksheet__page-header">
+                    <h3 className="worksheet__title">{`Name the ${labels.items}`}</h3>
+                    <p className="worksheet__subtitle">{`${scopeName} · ${entries.length} ${labels.items}`}</p>
+                    <p className="worksheet__name-line">Name: <span/> Date: <span/></p>
+                </header>
+                <WorksheetMap
+                    pack={pack}
+                    entries={entries}
+                    anchors={anchors}
+                    label={`Blank map with ${entries.length} numbered ${labels.items}`}
+                />
+                <ol className="worksheet__answers">
+                    {entries.map(({number}) => (
+                        <li key={number} className="worksheet__answer">
+                            <span className="worksheet__answer-number">{number}.</span>
+                            <span className="worksheet__answer-line"/>
+                        </li>
+                    ))}
+                </ol>
+            </section>
+            {includeKey && (
+                <section className="worksheet__page" aria-label="Answer key">
+                    <header className="worksheet__page-header">
+                        <h3 className="worksheet__title">Answer key</h3>
+                        <p className="worksheet__subtitle">{`${scopeName} · ${entries.length} ${labels.items}`}</p>
+                    </header>
+                    <ol className="worksheet__answers worksheet__answers--key">
+                        {entries.map(({number, itemId}) => (
+                            <li key={number} className="worksheet__answer">
+                                <span className="worksheet__answer-number">{number}.</span>
+                                <span className="worksheet__answer-name">{pack.nameOf(itemId)}</span>
+                            </li>
+                        ))}
+                    </ol>
+                </section>
+            )}
+        </div>,
+        document.body,
+    );
+}
+
+export default Worksheet;
@@ -0,0 +1,27 @@
+export const BLITZ_DURATIONS_MS = [60_000, 90_000, 120_000];
+export const DEFAULT_BLITZ_DURATION_MS = BLITZ_DURATIONS_MS[0];
+// Each wrong click takes this much off the clock.
+export const BLITZ_PENALTY_MS = 5_000;
+export const BLITZ_LEADERBOARD_SIZE = 10;
+
+// More correct answers first, then fewer wrong clicks and skips; an earlier run keeps its place.
+export const compareBlitzRuns = (a, b) => {
+    return b.correct - a.correct
+        || (a.wrong + a.skipped) - (b.wrong + b.skipped)
+        || a.finishedAt - b.finishedAt;
+};
+
+// Boards are kept per duration. `rank` is the run's place from 1, or null if it missed the top ten.
+export const addBlitzRun = (boards, run) => {
+    const key = String(run.durationMs);
+    const board = [...(boards[key] ?? []), run].sort(compareBlitzRuns).slice(0, BLITZ_LEADERBOARD_SIZE);
+    const index = board.indexOf(run);
+    return {boards: {...boards, [key]: board}, rank: index === -1 ? null : index + 1};
+};
+
+export const blitzTimeLeft = (session, now) => Math.min(session.durationMs, Math.max(0, session.endsAt - now));
+
+export const formatCountdown = (ms) => {
+    const totalSeconds = Math.ceil(Math.max(0, ms) / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, "0")}`;
+};
@@ -0,0 +1,41 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {addBlitzRun, BLITZ_LEADERBOARD_SIZE, formatCountdown} from "./blitz.js";
+
+const run = (correct, finishedAt, extra = {}) => ({
+    id: `${finishedAt}`,
+    finishedAt,
+    durationMs: 60_000,
+    correct,
+    wrong: 0,
+    skipped: 0,
+    ...extra,
+});
+
+describe("blitz leaderboard", () => {
+    it("ranks by correct answers, then by fewer mistakes", () => {
+        let boards = {};
+        boards = addBlitzRun(boards, run(10, 1)).boards;
+        boards = addBlitzRun(boards, run(12, 2, {wrong: 3})).boards;
+        const {boards: next, rank} = addBlitzRun(boards, run(12, 3));
+        assert.equal(rank, 1);
+        assert.deepEqual(next["60000"].map(({finishedAt}) => finishedAt), [3, 2, 1]);
+    });
+
+    it("keeps a separate top ten per duration", () => {
+        let boards = {};
+        for (let index = 0; index < BLITZ_LEADERBOARD_SIZE; index += 1) {
+            boards = addBlitzRun(boards, run(5, index)).boards;
+        }
+        assert.equal(addBlitzRun(boards, run(5, 100)).rank, null);
+        const other = addBlitzRun(boards, run(1, 100, {durationMs: 90_000}));
+        assert.equal(other.rank, 1);
+        assert.equal(other.boards["60000"].length, BLITZ_LEADERBOARD_SIZE);
+    });
+
+    it("counts down in minutes and seconds", () => {
+        assert.equal(formatCountdown(90_000), "1:30");
+        assert.equal(formatCountdown(4_200), "0:05");
+        assert.equal(formatCountdown(-1), "0:00");
+    });
+});
@@ -0,0 +1,159 @@
+// Classroom sessions: one host asks, everyone who joined with the code answers. This module
+// holds the rules and is shared by the session server (server/) and the app.
+
+export const CLASSROOM_PATH = "/classroom";
+export const CLASSROOM_PORT = 8787;
+export const JOIN_CODE_LENGTH = 4;
+// No I or O, so codes read out to a class can't be mistaken for 1 or 0.
+const JOIN_CODE_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+export const MAX_PLAYER_NAME_LENGTH = 24;
+export const MAX_PLAYERS = 100;
+
+export const CLASSROOM_ERRORS = {
+    noSession: "There's no session with that code.",
+    full: "This session is full.",
+    name: "Please enter your name.",
+};
+
+export const createJoinCode = (random = Math.random, isTaken = () => false) => {
+    for (;;) {
+        let code = "";
+        for (let index = 0; index < JOIN_CODE_LENGTH; index += 1) {
+            code += JOIN_CODE_LETTERS[Math.floor(random() * JOIN_CODE_LETTERS.length)];
+        }
+        if (!isTaken(code)) return code;
+    }
+};
+
+export const normalizeJoinCode = (input) => String(input ?? "").toUpperCase().replace(/[^A-Z]/g, "").slice(0, JOIN_CODE_LENGTH);
+
+export const cleanPlayerName = (input) => String(input ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_PLAYER_NAME_LENGTH);
+
+export const createClassroomSession = ({code, packId}) => ({
+    code,
+    packId,
+    players: [],
+    asked: [],
+    question: null,
+    isEnded: false,
+});
+
+// Joining again with the same id (after a dropped connection) keeps the player's score.
+export const addPlayer = (session, {id, name}) => {
+    const existing = session.players.find((player) => player.id === id);
+    if (existing) {
+        return {
+            ...session,
+            players: session.players.map((player) => (player.id === id ? {...player, name, connected: true} : player)),
+        };
+    }
+    const player = {id, name, correct: 0, answered: 0, timeMs: 0, connected: true};
+    return {...session, players: [...session.players, player]};
+};
+
+export const setPlayerConnected = (session, id, connected) => ({
+    ...session,
+    players: session.players.map((player) => (player.id === id ? {...player, connected} : player)),
+});
+
+export const askQuestion = (session, itemId, now) => ({
+    ...session,
+    asked: [...session.asked, itemId],
+    question: {number: session.asked.length + 1, itemId, askedAt: now, answers: {}, isRevealed: false},
+});
+
+// Each player's first answer to a question counts; later ones are ignored.
+export const recordAnswer = (session, playerId, guess, now) => {
+    const {question} = session;
+    if (!question || question.isRevealed || question.answers[playerId]) return session;
+    if (!session.players.some((player) => player.id === playerId)) return session;
+    const answer = {guess, ms: Math.max(0, now - question.askedAt)};
+    return {...session, question: {...question, answers: {...question.answers, [playerId]: answer}}};
+};
+
+// Scores are added up when the answer is shown, so the leaderboard doesn't give it away.
+export const revealAnswer = (session) => {
+    const {question} = session;
+    if (!question || question.isRevealed) return session;
+    return {
+        ...session,
+        question: {...question, isRevealed: true},
+        players: session.players.map((player) => {
+            const answer = question.answers[player.id];
+            if (!answer) return player;
+            const isCorrect = answer.guess === question.itemId;
+            return {
+                ...player,
+                answered: player.answered + 1,
+                correct: player.correct + (isCorrect ? 1 : 0),
+                timeMs: player.timeMs + (isCorrect ? answer.ms : 0),
+            };
+        }),
+    };
+};
+
+export const endSession = (session) => ({...revealAnswer(session), isEnded: true});
+
+// How many players chose each item, most popular first, plus how many didn't answer.
+export const answerDistribution = (session) => {
+    const {question} = session;
+    if (!question) return {choices: [], unanswered: 0};
+    const counts = new Map();
+    for (const {guess} of Object.values(question.answers)) {
+        counts.set(guess, (counts.get(guess) ?? 0) + 1);
+    }
+    const choices = [...counts]
+        .map(([itemId, count]) => ({itemId, count, isCorrect: itemId === question.itemId}))
+        .sort((a, b) => b.count - a.count || Number(b.isCorrect) - Number(a.isCorrect));
+    const unanswered = session.players.filter((player) => !question.answers[player.id]).length;
+    return {choices, unanswered};
+};
+
+// Most correct answers first; ties go to whoever was quicker on the ones they got right.
+export const classroomLeaderboard = (session) => {
+    const sorted = [...session.players].sort((a, b) => b.correct - a.correct || a.timeMs - b.timeMs);
+    let rank = 0;
+    return sorted.map((player, index) => {
+        const previous = sorted[index - 1];
+        if (!previous || previous.correct !== player.correct || previous.timeMs !== player.timeMs) {
+            rank = index + 1;
+        }
+        return {...player, rank};
+    });
+};
+
+// What a player sees: the question without anyone else's answers, and their own result
+// once the answer is shown.
+export const playerView = (session, playerId) => {
+    const {question} = session;
+    const leaderboard = classroomLeaderboard(session);
+    const me = leaderboard.find((player) => player.id === playerId) ?? null;
+    const answer = question?.answers[playerId] ?? null;
+    return {
+        code: session.code,
+        packId: session.packId,
+        isEnded: session.isEnded,
+        question: question && {
+            number: question.number,
+            itemId: question.itemId,
+            isRevealed: question.isRevealed,
+            guess: answer?.guess ?? null,
+        },
+        score: me && {correct: me.correct, answered: me.answered, rank: me.rank, players: leaderboard.length},
+    };
+};
+
+export const hostView = (session) => ({
+    code: session.code,
+    packId: session.packId,
+    isEnded: session.isEnded,
+    asked: session.asked,
+    question: session.question && {
+        number: session.question.number,
+        itemId: session.question.itemId,
+        isRevealed: session.question.isRevealed,
+        answeredCount: Object.keys(session.question.answers).length,
+    },
+    distribution: session.question?.isRevealed ? answerDistribution(session) : null,
+    leaderboard: classroomLeaderboard(session),
+});
@@ -0,0 +1,83 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {
+    addPlayer,
+    answerDistribution,
+    askQuestion,
+    classroomLeaderboard,
+    createClassroomSession,
+    createJoinCode,
+    hostView,
+    normalizeJoinCode,
+    playerView,
+    recordAnswer,
+    revealAnswer,
+} from "./classroom.js";
+
+const withPlayers = (...names) => names.reduce(
+    (session, name) => addPlayer(session, {id: name, name}),
+    createClassroomSession({code: "ABCD", packId: "english-counties"}),
+);
+
+describe("classroom sessions", () => {
+    it("makes short codes that skip ones already in use", () => {
+        const values = [0, 0, 0, 0, 0.99, 0.99, 0.99, 0.99];
+        const code = createJoinCode(() => values.shift(), (taken) => taken === "AAAA");
+        assert.equal(code, "ZZZZ");
+        assert.equal(normalizeJoinCode(" zz-zz9 "), "ZZZZ");
+    });
+
+    it("counts each player's first answer once the answer is shown", () => {
+        let session = askQuestion(withPlayers("ana", "ben", "cy"), "Kent", 1000);
+        session = recordAnswer(session, "ana", "Kent", 4000);
+        session = recordAnswer(session, "ben", "Surrey", 2000);
+        session = recordAnswer(session, "ben", "Kent", 2500);
+        assert.equal(hostView(session).question.answeredCount, 2);
+        assert.equal(classroomLeaderboard(session)[0].correct, 0);
+
+        session = revealAnswer(session);
+        const board = classroomLeaderboard(session);
+        assert.deepEqual(board.map(({id, rank}) => [id, rank]), [["ana", 1], ["ben", 2], ["cy", 2]]);
+        assert.equal(board[0].timeMs, 3000);
+        assert.equal(recordAnswer(session, "cy", "Kent", 5000), session);
+    });
+
+    it("breaks ties on time and shares ranks when still tied", () => {
+        let session = askQuestion(withPlayers("ana", "ben", "cy"), "Kent", 0);
+        session = recordAnswer(session, "ana", "Kent", 5000);
+        session = recordAnswer(session, "ben", "Kent", 2000);
+        session = recordAnswer(session, "cy", "Kent", 2000);
+        const board = classroomLeaderboard(revealAnswer(session));
+        assert.deepEqual(board.map(({id, rank}) => [id, rank]), [["ben", 1], ["cy", 1], ["ana", 3]]);
+    });
+
+    it("shows how the class answered, most popular first", () => {
+        let session = askQuestion(withPlayers("ana", "ben", "cy", "dee"), "Kent", 0);
+        session = recordAnswer(session, "ana", "Surrey", 1);
+        session = recordAnswer(session, "ben", "Surrey", 1);
+        session = recordAnswer(session, "cy", "Kent", 1);
+        assert.deepEqual(answerDistribution(session), {
+            choices: [{itemId: "Surrey", count: 2, isCorrect: false}, {itemId: "Kent", count: 1, isCorrect: true}],
+            unanswered: 1,
+        });
+        assert.equal(hostView(session).distribution, null);
+        assert.notEqual(hostView(revealAnswer(session)).distribution, null);
+    });
+
+    it("tells players only about their own answer", () => {
+        let session = askQuestion(withPlayers("ana", "ben"), "Kent", 0);
+        session = recordAnswer(session, "ana", "Surrey", 1);
+        const view = playerView(session, "ben");
+        assert.equal(view.question.guess, null);
+        assert.equal(JSON.stringify(view).includes("Surrey"), false);
+        assert.equal(playerView(revealAnswer(session), "ana").score.answered, 1);
+    });
+
+    it("keeps a returning player's score", () => {
+        let session = revealAnswer(recordAnswer(askQuestion(withPlayers("ana"), "Kent", 0), "ana", "Kent", 1));
+        session = addPlayer(session, {id: "ana", name: "Ana B"});
+        assert.equal(session.players.length, 1);
+        assert.equal(session.players[0].correct, 1);
+        assert.equal(session.players[0].name, "Ana B");
+    });
+});
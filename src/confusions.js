@@ -0,0 +1,38 @@
+export const recordConfusion = (matrix, target, guess) => {
+    const row = matrix[target] ?? {};
+    return {
+        ...matrix,
+        [target]: {
+            ...row,
+            [guess]: (row[guess] ?? 0) + 1,
+        },
+    };
+};
+
+export const topConfusedPairs = (matrix, limit = 5) => {
+    const pairs = new Map();
+    for (const [target, row] of Object.entries(matrix)) {
+        for (const [guess, count] of Object.entries(row)) {
+            if (guess === target || !(count > 0)) continue;
+            const [first, second] = [target, guess].sort((a, b) => a.localeCompare(b));
+            const key = `${first}\u0000${second}`;
+            const pair = pairs.get(key) ?? {first, second, count: 0, mistakes: []};
+            pair.count += count;
+            pair.mistakes.push({target, guess, count});
+            pairs.set(key, pair);
+        }
+    }
+    return [...pairs.values()]
+        .sort((a, b) => b.count - a.count || a.first.localeCompare(b.first))
+        .slice(0, limit)
+        .map((pair) => {
+            const [worst] = pair.mistakes.sort((a, b) => b.count - a.count);
+            return {...pair, target: worst.target, guess: worst.guess};
+        });
+};
+
+export const buildPairDrill = (pairs) => {
+    return pairs
+        .flatMap(({target, guess}) => [target, guess])
+        .filter((county, index, queue) => county !== queue[index - 1]);
+};
@@ -47,3 +47,359 @@ export const COUNTIES = [
   'Shropshire',
   'Wiltshire',
 ];
+
+export const REGIONS = [
+  {
+    id: 'north-east',
+    name: 'North East',
+    counties: ['Northumberland', 'Tyne and Wear', 'County Durham'],
+  },
+  {
+    id: 'north-west',
+    name: 'North West',
+    counties: ['Cumbria', 'Lancashire', 'Merseyside', 'Greater Manchester', 'Cheshire'],
+  },
+  {
+    id: 'yorkshire',
+    name: 'Yorkshire and the Humber',
+    counties: ['North Yorkshire', 'West Yorkshire', 'South Yorkshire', 'East Riding of Yorkshire'],
+  },
+  {
+    id: 'east-midlands',
+    name: 'East Midlands',
+    counties: ['Derbyshire', 'Nottinghamshire', 'Leicestershire', 'Rutland', 'Northamptonshire', 'Lincolnshire'],
+  },
+  {
+    id: 'west-midlands',
+    name: 'West Midlands',
+    counties: ['Shropshire', 'Staffordshire', 'West Midlands', 'Warwickshire', 'Worcestershire', 'Herefordshire'],
+  },
+  {
+    id: 'east',
+    name: 'East of England',
+    counties: ['Norfolk', 'Suffolk', 'Essex', 'Cambridgeshire', 'Hertfordshire', 'Bedfordshire'],
+  },
+  {
+    id: 'south-east',
+    name: 'London and the South East',
+    counties: [
+      'Greater London',
+      'Kent',
+      'East Sussex',
+      'West Sussex',
+      'Surrey',
+      'Hampshire',
+      'Isle of Wight',
+      'Berkshire',
+      'Oxfordshire',
+      'Buckinghamshire',
+    ],
+  },
+  {
+    id: 'south-west',
+    name: 'South West',
+    counties: ['Cornwall', 'Devon', 'Somerset', 'Dorset', 'Wiltshire', 'Gloucestershire', 'Bristol'],
+  },
+];
+
+// Overlaps the regions above, so it is offered as a practice area but not used for per-county grouping.
+export const HOME_COUNTIES = {
+  id: 'home-counties',
+  name: 'Home Counties',
+  counties: [
+    'Greater London',
+    'Bedfordshire',
+    'Berkshire',
+    'Buckinghamshire',
+    'Essex',
+    'Hertfordshire',
+    'Kent',
+    'Surrey',
+    'East Sussex',
+    'West Sussex',
+  ],
+};
+
+// The numbering used by the numbered map at the repo root: county n is NUMBERED_MAP_ORDER[n - 1].
+export const NUMBERED_MAP_ORDER = [
+  'Northumberland',
+  'Tyne and Wear',
+  'County Durham',
+  'Cumbria',
+  'Lancashire',
+  'North Yorkshire',
+  'East Riding of Yorkshire',
+  'South Yorkshire',
+  'West Yorkshire',
+  'Greater Manchester',
+  'Merseyside',
+  'Cheshire',
+  'Derbyshire',
+  'Nottinghamshire',
+  'Lincolnshire',
+  'Rutland',
+  'Leicestershire',
+  'Staffordshire',
+  'Shropshire',
+  'Herefordshire',
+  'Worcestershire',
+  'West Midlands',
+  'Warwickshire',
+  'Northamptonshire',
+  'Cambridgeshire',
+  'Norfolk',
+  'Suffolk',
+  'Essex',
+  'Hertfordshire',
+  'Bedfordshire',
+  'Buckinghamshire',
+  'Oxfordshire',
+  'Gloucestershire',
+  'Bristol',
+  'Somerset',
+  'Wiltshire',
+  'Berkshire',
+  'Greater London',
+  'Kent',
+  'East Sussex',
+  'West Sussex',
+  'Surrey',
+  'Hampshire',
+  'Isle of Wight',
+  'Dorset',
+  'Devon',
+  'Cornwall',
+];
+
+
+// Shown on the reveal card and used for hints and the places quiz. Metropolitan counties and
+// Bristol have no county town.
+export const COUNTY_FACTS = {
+  Bedfordshire: {
+    town: 'Bedford',
+    cities: ['Luton'],
+    fact: "Whipsnade Zoo, on the Dunstable Downs, is the UK's largest zoo by area.",
+  },
+  Berkshire: {
+    town: 'Reading',
+    cities: ['Slough', 'Bracknell'],
+    fact: 'Windsor Castle is the oldest and largest occupied castle in the world.',
+  },
+  Bristol: {
+    cities: [],
+    fact: "Brunel's Clifton Suspension Bridge spans the Avon Gorge.",
+  },
+  Buckinghamshire: {
+    town: 'Aylesbury',
+    cities: ['Milton Keynes', 'High Wycombe'],
+    fact: 'Codebreakers at Bletchley Park, now part of Milton Keynes, cracked Enigma in the Second World War.',
+  },
+  Cambridgeshire: {
+    town: 'Cambridge',
+    cities: ['Peterborough', 'Ely'],
+    fact: 'Ely Cathedral is nicknamed the "Ship of the Fens" because it towers over the flat fenland.',
+  },
+  Cheshire: {
+    town: 'Chester',
+    cities: ['Warrington', 'Crewe'],
+    fact: 'Chester has the most complete Roman and medieval city walls in Britain.',
+  },
+  Cornwall: {
+    town: 'Truro',
+    cities: ['Falmouth', 'Penzance'],
+    fact: "Land's End is the most westerly point of mainland England.",
+  },
+  'County Durham': {
+    town: 'Durham',
+    cities: ['Darlington', 'Hartlepool'],
+    fact: 'Durham Cathedral and Castle together make up a World Heritage Site.',
+  },
+  Cumbria: {
+    town: 'Carlisle',
+    cities: ['Barrow-in-Furness', 'Kendal'],
+    fact: 'Scafell Pike, in the Lake District, is the highest mountain in England.',
+  },
+  Derbyshire: {
+    town: 'Matlock',
+    cities: ['Derby', 'Chesterfield'],
+    fact: "Chesterfield's parish church is famous for its twisted spire.",
+  },
+  Devon: {
+    town: 'Exeter',
+    cities: ['Plymouth', 'Torquay'],
+    fact: 'The Mayflower sailed from Plymouth to America in 1620.',
+  },
+  Dorset: {
+    town: 'Dorchester',
+    cities: ['Bournemouth', 'Poole'],
+    fact: "The Jurassic Coast, a World Heritage Site, runs along Dorset's shore.",
+  },
+  'East Riding of Yorkshire': {
+    town: 'Beverley',
+    cities: ['Hull', 'Bridlington'],
+    fact: "The Humber Bridge was the world's longest single-span suspension bridge when it opened in 1981.",
+  },
+  'East Sussex': {
+    town: 'Lewes',
+    cities: ['Brighton', 'Eastbourne', 'Hastings'],
+    fact: 'The Battle of Hastings in 1066 was fought at what is now the town of Battle.',
+  },
+  Essex: {
+    town: 'Chelmsford',
+    cities: ['Colchester', 'Southend-on-Sea'],
+    fact: "Colchester claims to be Britain's oldest recorded town.",
+  },
+  Gloucestershire: {
+    town: 'Gloucester',
+    cities: ['Cheltenham'],
+    fact: "Gloucester Cathedral's cloisters stood in for Hogwarts in the Harry Potter films.",
+  },
+  'Greater London': {
+    cities: ['Croydon', 'Westminster'],
+    fact: 'Greater London was created in 1965 and is home to around nine million people.',
+  },
+  'Greater Manchester': {
+    cities: ['Manchester', 'Salford', 'Bolton'],
+    fact: "The world's first passenger railway station opened in Manchester in 1830.",
+  },
+  Hampshire: {
+    town: 'Winchester',
+    cities: ['Southampton', 'Portsmouth'],
+    fact: "Winchester was the capital of Alfred the Great's kingdom of Wessex.",
+  },
+  Herefordshire: {
+    town: 'Hereford',
+    cities: ['Leominster'],
+    fact: 'Hereford Cathedral holds the Mappa Mundi, a medieval map of the world.',
+  },
+  Hertfordshire: {
+    town: 'Hertford',
+    cities: ['St Albans', 'Watford'],
+    fact: "St Albans is named after Alban, said to be Britain's first Christian martyr.",
+  },
+  'Isle of Wight': {
+    town: 'Newport',
+    cities: ['Ryde', 'Cowes'],
+    fact: 'Cowes Week is one of the oldest regular sailing regattas in the world.',
+  },
+  Kent: {
+    town: 'Maidstone',
+    cities: ['Canterbury', 'Dover'],
+    fact: 'The white cliffs of Dover face France across a strait just 21 miles wide.',
+  },
+  Lancashire: {
+    town: 'Lancaster',
+    cities: ['Preston', 'Blackpool'],
+    fact: 'Blackpool Tower, opened in 1894, was inspired by the Eiffel Tower.',
+  },
+  Leicestershire: {
+    town: 'Leicester',
+    cities: ['Loughborough'],
+    fact: 'The remains of Richard III were found under a Leicester car park in 2012.',
+  },
+  Lincolnshire: {
+    town: 'Lincoln',
+    cities: ['Grimsby', 'Boston'],
+    fact: 'Lincoln Cathedral was the tallest building in the world for more than 200 years.',
+  },
+  Merseyside: {
+    cities: ['Liverpool', 'St Helens'],
+    fact: 'The Beatles formed in Liverpool in 1960.',
+  },
+  Norfolk: {
+    town: 'Norwich',
+    cities: ["King's Lynn", 'Great Yarmouth'],
+    fact: 'The Norfolk Broads are lakes that formed when medieval peat diggings flooded.',
+  },
+  'North Yorkshire': {
+    town: 'Northallerton',
+    cities: ['York', 'Harrogate', 'Scarborough'],
+    fact: 'York Minster is one of the largest Gothic cathedrals in northern Europe.',
+  },
+  Northamptonshire: {
+    town: 'Northampton',
+    cities: ['Kettering', 'Corby'],
+    fact: 'Northampton has been famous for making shoes and boots for centuries.',
+  },
+  Northumberland: {
+    town: 'Morpeth',
+    cities: ['Alnwick', 'Berwick-upon-Tweed'],
+    fact: "Hadrian's Wall crosses Northumberland on its way from coast to coast.",
+  },
+  Nottinghamshire: {
+    town: 'Nottingham',
+    cities: ['Mansfield', 'Newark-on-Trent'],
+    fact: "Sherwood Forest is said to have been Robin Hood's hideout.",
+  },
+  Oxfordshire: {
+    town: 'Oxford',
+    cities: ['Banbury', 'Abingdon'],
+    fact: 'The University of Oxford is the oldest university in the English-speaking world.',
+  },
+  Rutland: {
+    town: 'Oakham',
+    cities: ['Uppingham'],
+    fact: 'Rutland is the smallest historic county in England.',
+  },
+  Shropshire: {
+    town: 'Shrewsbury',
+    cities: ['Telford'],
+    fact: "Ironbridge Gorge has the world's first cast-iron bridge, built in 1779.",
+  },
+  Somerset: {
+    town: 'Taunton',
+    cities: ['Bath', 'Wells', 'Weston-super-Mare'],
+    fact: "Wells is often called England's smallest city.",
+  },
+  'South Yorkshire': {
+    cities: ['Sheffield', 'Doncaster', 'Rotherham'],
+    fact: 'Sheffield became world-famous for its steel and cutlery.',
+  },
+  Staffordshire: {
+    town: 'Stafford',
+    cities: ['Stoke-on-Trent', 'Burton upon Trent'],
+    fact: "The Potteries around Stoke-on-Trent made it the centre of Britain's pottery industry.",
+  },
+  Suffolk: {
+    town: 'Ipswich',
+    cities: ['Bury St Edmunds', 'Lowestoft'],
+    fact: 'Lowestoft is the most easterly town in the UK.',
+  },
+  Surrey: {
+    town: 'Guildford',
+    cities: ['Woking', 'Epsom'],
+    fact: 'The Derby has been run on Epsom Downs since 1780.',
+  },
+  'Tyne and Wear': {
+    cities: ['Newcastle upon Tyne', 'Sunderland', 'Gateshead'],
+    fact: 'The Angel of the North sculpture stands beside the A1 at Gateshead.',
+  },
+  Warwickshire: {
+    town: 'Warwick',
+    cities: ['Stratford-upon-Avon', 'Nuneaton', 'Rugby'],
+    fact: 'Rugby School gave its name to the sport of rugby.',
+  },
+  'West Midlands': {
+    cities: ['Birmingham', 'Coventry', 'Wolverhampton'],
+    fact: "Birmingham is England's second-largest city by population.",
+  },
+  'West Sussex': {
+    town: 'Chichester',
+    cities: ['Crawley', 'Worthing'],
+    fact: "Gatwick, near Crawley, is the UK's second-busiest airport.",
+  },
+  'West Yorkshire': {
+    cities: ['Leeds', 'Bradford', 'Wakefield'],
+    fact: 'The Brontë sisters grew up in Haworth, on the moors west of Bradford.',
+  },
+  Wiltshire: {
+    town: 'Trowbridge',
+    cities: ['Swindon', 'Salisbury'],
+    fact: 'Stonehenge stands on Salisbury Plain.',
+  },
+  Worcestershire: {
+    town: 'Worcester',
+    cities: ['Kidderminster', 'Redditch'],
+    fact: 'Worcestershire sauce was first sold in Worcester in 1837.',
+  },
+};
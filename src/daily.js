@@ -0,0 +1,90 @@
+import {shuffleWith} from "./quizEngine.js";
+
+export const DAILY_LENGTH = 10;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+export const dailyKey = (date = new Date()) => {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const shiftKey = (key, days) => {
+    const [year, month, day] = key.split("-").map(Number);
+    const shifted = new Date(Date.UTC(year, month - 1, day) + days * DAY);
+    return `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}`;
+};
+
+// FNV-1a, so the seed only depends on the string and not on the JS engine.
+const hashString = (value) => {
+    let hash = 2166136261;
+    for (let index = 0; index < value.length; index += 1) {
+        hash ^= value.charCodeAt(index);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+// mulberry32
+export const createSeededRandom = (seed) => {
+    let state = typeof seed === "number" ? seed >>> 0 : hashString(String(seed));
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+export const buildDailyQueue = (pack, key) => {
+    const shuffle = shuffleWith(createSeededRandom(`${pack.id}:${key}`));
+    return shuffle(pack.itemIds).slice(0, DAILY_LENGTH);
+};
+
+export const createDailyRecord = (key, counties, now) => ({
+    date: key,
+    counties,
+    marks: {},
+    startedAt: now,
+    finishedAt: null,
+    durationMs: null,
+});
+
+export const dailyMarks = (questions) => {
+    return Object.fromEntries(questions.map(({county, correct}) => [county, correct]));
+};
+
+export const dailyScore = (record) => record.counties.filter((county) => record.marks[county] === true).length;
+
+export const dailyStreak = (records, todayKey) => {
+    let key = records[todayKey] ? todayKey : shiftKey(todayKey, -1);
+    let streak = 0;
+    while (records[key]) {
+        streak += 1;
+        key = shiftKey(key, -1);
+    }
+    return streak;
+};
+
+const formatClock = (ms) => {
+    const totalSeconds = Math.round(ms / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${pad(totalSeconds % 60)}`;
+};
+
+export const formatDailyShare = (pack, record, streak) => {
+    const marks = record.counties
+        .map((county) => {
+            if (!(county in record.marks)) return "⬜";
+            return record.marks[county] ? "✅" : "❌";
+        })
+        .join("");
+    const time = record.durationMs == null ? "unfinished" : `⏱ ${formatClock(record.durationMs)}`;
+    const streakLabel = streak > 1 ? ` 🔥${streak}` : "";
+    return [
+        `${pack.name} daily ${record.date}`,
+        `${dailyScore(record)}/${record.counties.length} ${time}${streakLabel}`,
+        marks,
+    ].join("\n");
+};
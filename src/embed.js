@@ -0,0 +1,85 @@
+import {TEST_SCOPES} from "./testConfig.js";
+
+// The quiz inside someone else's page (`?embed`, usually loaded by public/embed.js). It tells
+// the host page what happens with postMessage and takes a couple of commands back.
+
+export const EMBED_SOURCE = "english-counties";
+export const EMBED_MODES = ["locate", "name", "clues", "places"];
+export const EMBED_EVENTS = {
+    ready: "ready",
+    questionAnswered: "questionAnswered",
+    testFinished: "testFinished",
+    error: "error",
+};
+export const EMBED_COMMANDS = {
+    startTest: "startTest",
+    reset: "reset",
+};
+export const EMBED_ERRORS = {
+    noTests: "The towns and cities quiz has no tests.",
+};
+export const DEFAULT_EMBED_LENGTH = 10;
+const MAX_TITLE_LENGTH = 60;
+const ACCENT_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const readLength = (value, fallback) => {
+    if (value === "all") return "all";
+    const length = Number(value);
+    return Number.isInteger(length) && length > 0 ? length : fallback;
+};
+
+const readOrigin = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === "http:" || url.protocol === "https:" ? url.origin : null;
+    } catch {
+        return null;
+    }
+};
+
+// null unless the page was opened with `?embed`. `referrer` (the page's document.referrer)
+// stands in for the host's origin when the iframe was added without `origin`.
+export const readEmbedOptions = (search, referrer = "") => {
+    const params = new URLSearchParams(search);
+    if (!params.has("embed")) return null;
+    const mode = params.get("mode");
+    const accent = params.get("accent") ?? "";
+    return {
+        mode: EMBED_MODES.includes(mode) ? mode : EMBED_MODES[0],
+        region: params.get("region") || null,
+        length: readLength(params.get("length"), DEFAULT_EMBED_LENGTH),
+        title: (params.get("title") ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_TITLE_LENGTH),
+        accent: ACCENT_PATTERN.test(accent) ? accent : null,
+        // Where events may go and commands may come from. Without it, the quiz sends and takes nothing.
+        parentOrigin: readOrigin(params.get("origin")) ?? readOrigin(referrer),
+    };
+};
+
+// Regions are per pack, so one the pack doesn't have means everywhere.
+export const embedRegion = (pack, options) => {
+    return pack.practiceAreas.some(({id}) => id === options.region) ? options.region : null;
+};
+
+export const embedTestConfig = (pack, options) => ({
+    length: options.length,
+    scope: embedRegion(pack, options) ?? TEST_SCOPES.all,
+    retryMisses: false,
+});
+
+export const embedMessage = (type, payload = {}) => ({...payload, source: EMBED_SOURCE, type});
+
+// A command from the host page, or null for anything else that arrives as a message.
+export const readEmbedCommand = (event, options, parent) => {
+    if (event.source !== parent) return null;
+    if (!options.parentOrigin || event.origin !== options.parentOrigin) return null;
+    const {data} = event;
+    if (data?.source !== EMBED_SOURCE) return null;
+    if (data.type === EMBED_COMMANDS.startTest) {
+        return {
+            type: data.type,
+            length: readLength(data.length, options.length),
+            region: typeof data.region === "string" ? data.region : options.region,
+        };
+    }
+    return data.type === EMBED_COMMANDS.reset ? {type: data.type} : null;
+};
@@ -0,0 +1,51 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {EMBED_SOURCE, embedTestConfig, readEmbedCommand, readEmbedOptions} from "./embed.js";
+
+const pack = {practiceAreas: [{id: "south-west"}]};
+const parent = {};
+
+describe("embedding", () => {
+    it("is off unless asked for", () => {
+        assert.equal(readEmbedOptions("?join=ABCD"), null);
+    });
+
+    it("reads the options and falls back on bad values", () => {
+        assert.deepEqual(
+            readEmbedOptions("?embed&mode=name&region=south-west&length=all&title=%20Year%205%20&accent=%23123abc&origin=https://school.example/page"),
+            {mode: "name", region: "south-west", length: "all", title: "Year 5", accent: "#123abc", parentOrigin: "https://school.example"},
+        );
+        assert.deepEqual(
+            readEmbedOptions("?embed=1&mode=jigsaw&length=-3&accent=red;&origin=javascript:alert(1)"),
+            {mode: "locate", region: null, length: 10, title: "", accent: null, parentOrigin: null},
+        );
+    });
+
+    it("falls back to the referrer for the host's origin", () => {
+        assert.equal(readEmbedOptions("?embed", "https://school.example/course/7").parentOrigin, "https://school.example");
+        assert.equal(readEmbedOptions("?embed&origin=https://vle.example", "https://school.example/").parentOrigin, "https://vle.example");
+        assert.equal(readEmbedOptions("?embed", "").parentOrigin, null);
+    });
+
+    it("tests everywhere when the region isn't in the pack", () => {
+        assert.deepEqual(embedTestConfig(pack, {length: 20, region: "nowhere"}), {length: 20, scope: "all", retryMisses: false});
+        assert.equal(embedTestConfig(pack, {length: 20, region: "south-west"}).scope, "south-west");
+    });
+
+    it("only takes commands from the host page", () => {
+        const options = readEmbedOptions("?embed&length=20&origin=https://school.example");
+        const command = (data, overrides = {}) => readEmbedCommand({source: parent, origin: "https://school.example", data, ...overrides}, options, parent);
+        assert.deepEqual(command({source: EMBED_SOURCE, type: "startTest", length: "5"}), {type: "startTest", length: 5, region: null});
+        assert.deepEqual(command({source: EMBED_SOURCE, type: "startTest", length: "lots"}).length, 20);
+        assert.deepEqual(command({source: EMBED_SOURCE, type: "reset"}), {type: "reset"});
+        assert.equal(command({source: EMBED_SOURCE, type: "wipeStats"}), null);
+        assert.equal(command({type: "reset"}), null);
+        assert.equal(command({source: EMBED_SOURCE, type: "reset"}, {origin: "https://elsewhere.example"}), null);
+        assert.equal(command({source: EMBED_SOURCE, type: "reset"}, {source: {}}), null);
+    });
+
+    it("takes no commands when it doesn't know the host's origin", () => {
+        const event = {source: parent, origin: "https://school.example", data: {source: EMBED_SOURCE, type: "reset"}};
+        assert.equal(readEmbedCommand(event, readEmbedOptions("?embed"), parent), null);
+    });
+});
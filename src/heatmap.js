@@ -0,0 +1,20 @@
+export const MAX_RECENT_RESULTS = 10;
+
+const HUE_WRONG = 0;
+const HUE_RIGHT = 130;
+
+export const accuracyOf = (entry) => {
+    const attempts = (entry?.correct ?? 0) + (entry?.wrong ?? 0);
+    return attempts === 0 ? null : entry.correct / attempts;
+};
+
+export const heatmapColor = (accuracy) => {
+    const hue = Math.round(HUE_WRONG + (HUE_RIGHT - HUE_WRONG) * accuracy);
+    return `hsl(${hue}, 70%, 48%)`;
+};
+
+export const HEATMAP_GRADIENT = `linear-gradient(90deg, ${[0, 0.25, 0.5, 0.75, 1].map(heatmapColor).join(", ")})`;
+
+export const recordRecentResult = (entry, passed, now) => {
+    return {...entry, recent: [...(entry.recent ?? []), {at: now, correct: passed}].slice(-MAX_RECENT_RESULTS)};
+};
@@ -0,0 +1,57 @@
+import {getMapGeometry} from "./mapGeometry.js";
+
+// Hints go from a nudge to a giveaway, in this order. Each one used takes a share of the
+// credit for the answer, in practice scheduling and in test scores alike.
+export const HINT_STEPS = ["region", "neighbour", "town", "area"];
+
+export const HINT_COST = 0.2;
+
+export const hintCredit = (hintsUsed) => Math.max(0, 1 - hintsUsed * HINT_COST);
+
+const AREA_SCALE = 1.6;
+const MIN_AREA_RADIUS = 20;
+
+// A stable pseudo-random angle per item, so the circle isn't centred exactly on the answer.
+const angleFor = (itemId) => {
+    let hash = 0;
+    for (const char of itemId) {
+        hash = (hash * 31 + char.charCodeAt(0)) % 360;
+    }
+    return (hash / 180) * Math.PI;
+};
+
+// A circle that contains the item without being centred on it.
+const hintArea = (geometry, itemId) => {
+    const box = geometry.bounds[itemId];
+    const centre = {x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2};
+    const reach = Math.hypot(box.maxX - box.minX, box.maxY - box.minY) / 2;
+    const r = Math.max(reach * AREA_SCALE, MIN_AREA_RADIUS);
+    const shift = r - reach;
+    const angle = angleFor(itemId);
+    return {cx: centre.x + Math.cos(angle) * shift * 0.8, cy: centre.y + Math.sin(angle) * shift * 0.8, r};
+};
+
+// The hints available for an item, in order. Steps the pack has no data for are skipped.
+export const buildHints = (pack, itemId) => {
+    const geometry = getMapGeometry(pack);
+    const {labels, nameOf} = pack;
+    const hints = [];
+    const region = pack.regions.find(({id}) => id === pack.itemRegion[itemId]);
+    if (region) {
+        hints.push({step: "region", text: `It's in the ${region.name} region.`, items: region.counties});
+    }
+    // The biggest neighbour is the easiest one to find.
+    const neighbour = [...(geometry.neighbours[itemId] ?? [])]
+        .sort((a, b) => geometry.centroids[b].area - geometry.centroids[a].area)[0];
+    if (neighbour) {
+        hints.push({step: "neighbour", text: `It borders ${nameOf(neighbour)}.`, items: [neighbour]});
+    }
+    const town = pack.townOf(itemId);
+    if (town) {
+        hints.push({step: "town", text: `Its ${labels.town} is ${town}.`});
+    }
+    if (geometry.centroids[itemId]) {
+        hints.push({step: "area", text: "It's inside the flashing circle.", area: hintArea(geometry, itemId)});
+    }
+    return hints;
+};
@@ -0,0 +1,44 @@
+import {shuffleWith} from "./quizEngine.js";
+
+// How far (in map units) a piece can be dropped from its true position and still snap in.
+export const JIGSAW_SNAP_DISTANCE = 20;
+
+export const createJigsaw = (pieceIds, random = Math.random) => ({
+    tray: shuffleWith(random)(pieceIds),
+    placed: [],
+    misplacements: 0,
+    startedAt: null,
+    finishedAt: null,
+});
+
+// The clock starts when the first piece is picked up, not when the puzzle appears.
+export const pickUpPiece = (puzzle, now) => (puzzle.startedAt == null ? {...puzzle, startedAt: now} : puzzle);
+
+// `offset` is how far the piece is from its true position. A drop that misses counts
+// against the learner only if it landed on the board; dropping back on the tray is free.
+export const dropPiece = (puzzle, pieceId, offset, {onBoard, now}) => {
+    if (!puzzle.tray.includes(pieceId)) return {puzzle, snapped: false};
+    if (onBoard && Math.hypot(offset.x, offset.y) <= JIGSAW_SNAP_DISTANCE) {
+        const tray = puzzle.tray.filter((id) => id !== pieceId);
+        return {
+            puzzle: {
+                ...puzzle,
+                tray,
+                placed: [...puzzle.placed, pieceId],
+                finishedAt: tray.length === 0 ? now : null,
+            },
+            snapped: true,
+        };
+    }
+    return {
+        puzzle: onBoard ? {...puzzle, misplacements: puzzle.misplacements + 1} : puzzle,
+        snapped: false,
+    };
+};
+
+export const isJigsawComplete = (puzzle) => puzzle.tray.length === 0;
+
+export const jigsawElapsed = (puzzle, now) => {
+    if (puzzle.startedAt == null) return 0;
+    return (puzzle.finishedAt ?? now) - puzzle.startedAt;
+};
@@ -0,0 +1,40 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {createJigsaw, dropPiece, isJigsawComplete, JIGSAW_SNAP_DISTANCE, jigsawElapsed, pickUpPiece} from "./jigsaw.js";
+
+const near = {x: 3, y: -4};
+const far = {x: JIGSAW_SNAP_DISTANCE, y: JIGSAW_SNAP_DISTANCE};
+
+describe("jigsaw", () => {
+    it("shuffles every piece into the tray", () => {
+        const puzzle = createJigsaw(["Avon", "Devon", "Kent"], () => 0);
+        assert.deepEqual([...puzzle.tray].sort(), ["Avon", "Devon", "Kent"]);
+        assert.equal(isJigsawComplete(puzzle), false);
+    });
+
+    it("snaps pieces dropped close to their place", () => {
+        const start = pickUpPiece(createJigsaw(["Avon", "Devon"]), 1_000);
+        const {puzzle, snapped} = dropPiece(start, "Devon", near, {onBoard: true, now: 2_000});
+        assert.equal(snapped, true);
+        assert.deepEqual(puzzle.tray, ["Avon"]);
+        assert.deepEqual(puzzle.placed, ["Devon"]);
+        assert.equal(dropPiece(puzzle, "Devon", near, {onBoard: true, now: 2_000}).puzzle, puzzle, "already placed");
+    });
+
+    it("counts misses on the board but not drops back on the tray", () => {
+        let {puzzle} = dropPiece(createJigsaw(["Avon"]), "Avon", far, {onBoard: true, now: 0});
+        assert.equal(puzzle.misplacements, 1);
+        puzzle = dropPiece(puzzle, "Avon", near, {onBoard: false, now: 0}).puzzle;
+        assert.equal(puzzle.misplacements, 1);
+        assert.deepEqual(puzzle.tray, ["Avon"]);
+    });
+
+    it("times from the first pick-up to the last piece", () => {
+        let puzzle = pickUpPiece(createJigsaw(["Avon"]), 5_000);
+        assert.equal(pickUpPiece(puzzle, 6_000).startedAt, 5_000);
+        assert.equal(jigsawElapsed(puzzle, 7_000), 2_000);
+        puzzle = dropPiece(puzzle, "Avon", near, {onBoard: true, now: 9_000}).puzzle;
+        assert.equal(isJigsawComplete(puzzle), true);
+        assert.equal(jigsawElapsed(puzzle, 60_000), 4_000);
+    });
+});
@@ -0,0 +1,350 @@
+const BORDER_TOLERANCE = 2;
+const BORDER_SAMPLE_STEP = 1;
+// Counted from both sides of the border, so roughly four samples' worth of shared edge.
+const MIN_SHARED_SAMPLES = 8;
+
+const COMMAND_ARGS = {m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0};
+
+const tokenizePath = (d) => {
+    return d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) ?? [];
+};
+
+// Reduces a path to its on-curve points. Control points are skipped, which is
+// plenty for centroids and for spotting shared borders.
+export const pathToRings = (d) => {
+    const tokens = tokenizePath(d);
+    const rings = [];
+    let ring = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let command = null;
+    let index = 0;
+    const read = () => Number(tokens[index++]);
+    while (index < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[index])) {
+            command = tokens[index++];
+        } else if (!command) {
+            index += 1;
+            continue;
+        }
+        const lower = command.toLowerCase();
+        const relative = command === lower;
+        if (lower === "z") {
+            x = startX;
+            y = startY;
+            ring = null;
+            continue;
+        }
+        const arity = COMMAND_ARGS[lower];
+        if (arity === undefined || index + arity > tokens.length) break;
+        const args = Array.from({length: arity}, read);
+        if (lower === "h") {
+            x = relative ? x + args[0] : args[0];
+        } else if (lower === "v") {
+            y = relative ? y + args[0] : args[0];
+        } else {
+            const [endX, endY] = args.slice(-2);
+            x = relative ? x + endX : endX;
+            y = relative ? y + endY : endY;
+        }
+        if (lower === "m" || !ring) {
+            ring = [];
+            rings.push(ring);
+            if (lower === "m") {
+                startX = x;
+                startY = y;
+                command = relative ? "l" : "L";
+            }
+        }
+        ring.push([x, y]);
+    }
+    return rings.filter((points) => points.length > 2);
+};
+
+const ringCentroid = (points) => {
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let index = 0; index < points.length; index += 1) {
+        const [x0, y0] = points[index];
+        const [x1, y1] = points[(index + 1) % points.length];
+        const cross = x0 * y1 - x1 * y0;
+        area += cross;
+        cx += (x0 + x1) * cross;
+        cy += (y0 + y1) * cross;
+    }
+    return {area: area / 2, x: cx / (3 * area || 1), y: cy / (3 * area || 1)};
+};
+
+const centroidOf = (rings) => {
+    let totalArea = 0;
+    let x = 0;
+    let y = 0;
+    for (const ring of rings) {
+        const centroid = ringCentroid(ring);
+        const weight = Math.abs(centroid.area);
+        totalArea += weight;
+        x += centroid.x * weight;
+        y += centroid.y * weight;
+    }
+    if (totalArea === 0) return null;
+    return {x: x / totalArea, y: y / totalArea, area: totalArea};
+};
+
+const extractItemPaths = (svg, itemSet) => {
+    const paths = {};
+    for (const [, attributes] of svg.matchAll(/<path\b([^>]*)>/g)) {
+        const id = /\sid="([^"]*)"/.exec(attributes)?.[1];
+        const d = /\sd="([^"]*)"/.exec(attributes)?.[1];
+        if (id && d && itemSet.has(id)) {
+            paths[id] = d;
+        }
+    }
+    return paths;
+};
+
+const sampleRing = (ring) => {
+    const samples = [];
+    for (let index = 0; index < ring.length; index += 1) {
+        const [x0, y0] = ring[index];
+        const [x1, y1] = ring[(index + 1) % ring.length];
+        const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) / BORDER_SAMPLE_STEP));
+        for (let step = 0; step < steps; step += 1) {
+            const t = step / steps;
+            samples.push([x0 + (x1 - x0) * t, y0 + (y1 - y0) * t]);
+        }
+    }
+    return samples;
+};
+
+const findNeighbours = (ringsById) => {
+    const cell = (value) => Math.floor(value / BORDER_TOLERANCE);
+    const grid = new Map();
+    const samplesById = Object.fromEntries(
+        Object.entries(ringsById).map(([id, rings]) => [id, rings.map(sampleRing)]),
+    );
+    for (const [id, rings] of Object.entries(samplesById)) {
+        for (const ring of rings) {
+            for (const [x, y] of ring) {
+                const key = `${cell(x)}:${cell(y)}`;
+                const bucket = grid.get(key) ?? [];
+                bucket.push({id, x, y});
+                grid.set(key, bucket);
+            }
+        }
+    }
+    const shared = new Map();
+    for (const [id, rings] of Object.entries(samplesById)) {
+        for (const ring of rings) {
+            for (const [x, y] of ring) {
+                const touched = new Set();
+                for (let dx = -1; dx <= 1; dx += 1) {
+                    for (let dy = -1; dy <= 1; dy += 1) {
+                        for (const point of grid.get(`${cell(x) + dx}:${cell(y) + dy}`) ?? []) {
+                            if (point.id === id || touched.has(point.id)) continue;
+                            if (Math.hypot(point.x - x, point.y - y) <= BORDER_TOLERANCE) {
+                                touched.add(point.id);
+                            }
+                        }
+                    }
+                }
+                for (const other of touched) {
+                    const key = id < other ? `${id}\u0000${other}` : `${other}\u0000${id}`;
+                    shared.set(key, (shared.get(key) ?? 0) + 1);
+                }
+            }
+        }
+    }
+    const neighbours = Object.fromEntries(Object.keys(ringsById).map((id) => [id, []]));
+    for (const [key, count] of shared) {
+        if (count < MIN_SHARED_SAMPLES) continue;
+        const [a, b] = key.split("\u0000");
+        neighbours[a].push(b);
+        neighbours[b].push(a);
+    }
+    for (const list of Object.values(neighbours)) {
+        list.sort((a, b) => a.localeCompare(b));
+    }
+    return neighbours;
+};
+
+const boundsOfRings = (rings) => {
+    const bounds = {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity};
+    for (const ring of rings) {
+        for (const [x, y] of ring) {
+            bounds.minX = Math.min(bounds.minX, x);
+            bounds.minY = Math.min(bounds.minY, y);
+            bounds.maxX = Math.max(bounds.maxX, x);
+            bounds.maxY = Math.max(bounds.maxY, y);
+        }
+    }
+    return bounds;
+};
+
+export const buildMapGeometry = (paths) => {
+    const ringsById = {};
+    const centroids = {};
+    const bounds = {};
+    for (const [id, d] of Object.entries(paths)) {
+        const rings = pathToRings(d);
+        const centroid = centroidOf(rings);
+        if (!centroid) continue;
+        ringsById[id] = rings;
+        centroids[id] = centroid;
+        bounds[id] = boundsOfRings(rings);
+    }
+    return {centroids, bounds, rings: ringsById, neighbours: findNeighbours(ringsById)};
+};
+
+export const boundsOf = (geometry, ids) => {
+    const boxes = ids.map((id) => geometry.bounds[id]).filter(Boolean);
+    if (boxes.length === 0) return null;
+    return {
+        minX: Math.min(...boxes.map((box) => box.minX)),
+        minY: Math.min(...boxes.map((box) => box.minY)),
+        maxX: Math.max(...boxes.map((box) => box.maxX)),
+        maxY: Math.max(...boxes.map((box) => box.maxY)),
+    };
+};
+
+const isInsideRing = (ring, x, y) => {
+    let inside = false;
+    for (let index = 0, previous = ring.length - 1; index < ring.length; previous = index, index += 1) {
+        const [x0, y0] = ring[index];
+        const [x1, y1] = ring[previous];
+        if ((y0 > y) !== (y1 > y) && x < ((x1 - x0) * (y - y0)) / (y1 - y0) + x0) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+const distanceToSegment = (x, y, [x0, y0], [x1, y1]) => {
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - x0) * dx + (y - y0) * dy) / lengthSquared));
+    return Math.hypot(x - (x0 + t * dx), y - (y0 + t * dy));
+};
+
+const distanceToItem = (rings, x, y) => {
+    let distance = Infinity;
+    for (const ring of rings) {
+        if (isInsideRing(ring, x, y)) return 0;
+        for (let index = 0; index < ring.length; index += 1) {
+            distance = Math.min(distance, distanceToSegment(x, y, ring[index], ring[(index + 1) % ring.length]));
+        }
+    }
+    return distance;
+};
+
+// Items within `radius` of a point, nearest first. Paths are reduced to their on-curve
+// points, so this is approximate, which is fine for "did the finger cover it?".
+export const itemsNear = (geometry, {x, y}, radius) => {
+    const found = [];
+    for (const [id, box] of Object.entries(geometry.bounds)) {
+        if (x < box.minX - radius || x > box.maxX + radius || y < box.minY - radius || y > box.maxY + radius) continue;
+        const distance = distanceToItem(geometry.rings[id], x, y);
+        if (distance <= radius) {
+            found.push({id, distance});
+        }
+    }
+    return found.sort((a, b) => a.distance - b.distance);
+};
+
+const geometryCache = new WeakMap();
+const itemPathCache = new WeakMap();
+
+export const getItemPaths = (pack) => {
+    if (!itemPathCache.has(pack)) {
+        itemPathCache.set(pack, extractItemPaths(pack.svg, pack.itemSet));
+    }
+    return itemPathCache.get(pack);
+};
+
+export const getMapGeometry = (pack) => {
+    if (!geometryCache.has(pack)) {
+        geometryCache.set(pack, buildMapGeometry(getItemPaths(pack)));
+    }
+    return geometryCache.get(pack);
+};
+
+export const hopDistance = (geometry, from, to) => {
+    if (from === to) return 0;
+    const visited = new Set([from]);
+    let frontier = [from];
+    let hops = 0;
+    while (frontier.length > 0) {
+        hops += 1;
+        const next = [];
+        for (const id of frontier) {
+            for (const neighbour of geometry.neighbours[id] ?? []) {
+                if (neighbour === to) return hops;
+                if (visited.has(neighbour)) continue;
+                visited.add(neighbour);
+                next.push(neighbour);
+            }
+        }
+        frontier = next;
+    }
+    return null;
+};
+
+const ARROW_VECTORS = {up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0]};
+// Anything more than 67.5° off the arrow's direction doesn't count as "that way".
+const MIN_ALIGNMENT = Math.cos((3 * Math.PI) / 8);
+
+const bestInDirection = (geometry, from, candidates, [dx, dy]) => {
+    const origin = geometry.centroids[from];
+    let best = null;
+    let bestScore = Infinity;
+    for (const id of candidates) {
+        const centre = geometry.centroids[id];
+        if (id === from || !centre) continue;
+        const distance = Math.hypot(centre.x - origin.x, centre.y - origin.y);
+        if (distance === 0) continue;
+        const alignment = ((centre.x - origin.x) * dx + (centre.y - origin.y) * dy) / distance;
+        if (alignment < MIN_ALIGNMENT) continue;
+        const score = distance / (alignment * alignment);
+        if (score < bestScore) {
+            best = id;
+            bestScore = score;
+        }
+    }
+    return best;
+};
+
+// Where an arrow key moves to: the neighbour that lies most nearly that way, or, when no
+// neighbour does (islands, coasts), the nearest item that way anywhere on the map.
+export const itemInDirection = (geometry, from, direction) => {
+    const vector = ARROW_VECTORS[direction];
+    if (!vector || !geometry.centroids[from]) return null;
+    return bestInDirection(geometry, from, geometry.neighbours[from] ?? [], vector)
+        ?? bestInDirection(geometry, from, Object.keys(geometry.centroids), vector);
+};
+
+const COMPASS_POINTS = ["east", "south-east", "south", "south-west", "west", "north-west", "north", "north-east"];
+
+// SVG y grows downwards, so "south" is +y.
+export const compassDirection = (from, to) => {
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const sector = Math.round(angle / (Math.PI / 4));
+    return COMPASS_POINTS[(sector + 8) % 8];
+};
+
+export const describeMiss = (geometry, target, guess, labels) => {
+    const targetCentre = geometry.centroids[target];
+    const guessCentre = geometry.centroids[guess];
+    if (!targetCentre || !guessCentre) return null;
+    if (geometry.neighbours[target]?.includes(guess)) {
+        return {adjacent: true, hops: 1, text: "Close, that borders it."};
+    }
+    const direction = compassDirection(targetCentre, guessCentre);
+    const hops = hopDistance(geometry, guess, target);
+    const distanceText = hops == null
+        ? ""
+        : `, ${hops} ${hops === 1 ? labels.item : labels.items} away`;
+    return {adjacent: false, hops, direction, text: `Too far ${direction}${distanceText}.`};
+};
@@ -0,0 +1,36 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {buildMapGeometry, itemInDirection, itemsNear} from "./mapGeometry.js";
+
+const square = (x, y, size = 10) => `M ${x},${y} h ${size} v ${size} h ${-size} z`;
+
+// A 2×2 block of squares, plus an island off to the east.
+const geometry = buildMapGeometry({
+    northWest: square(0, 0),
+    northEast: square(10, 0),
+    southWest: square(0, 10),
+    southEast: square(10, 10),
+    island: square(40, 5, 4),
+});
+
+describe("map geometry", () => {
+    it("moves to the neighbour that lies in the arrow's direction", () => {
+        assert.equal(itemInDirection(geometry, "northWest", "right"), "northEast");
+        assert.equal(itemInDirection(geometry, "northWest", "down"), "southWest");
+        assert.equal(itemInDirection(geometry, "southEast", "up"), "northEast");
+        assert.equal(itemInDirection(geometry, "northWest", "up"), null);
+    });
+
+    it("reaches items without a land border", () => {
+        assert.equal(itemInDirection(geometry, "northEast", "right"), "island");
+        assert.equal(itemInDirection(geometry, "island", "left"), "northEast");
+    });
+
+    it("finds the items close to a point, nearest first", () => {
+        assert.deepEqual(itemsNear(geometry, {x: 5, y: 5}, 1).map(({id}) => id), ["northWest"]);
+        assert.deepEqual(
+            itemsNear(geometry, {x: 9.5, y: 5}, 1).map(({id}) => id),
+            ["northWest", "northEast"],
+        );
+    });
+});
@@ -0,0 +1,26 @@
+import svg from "../assets/counties.svg?raw";
+import {COUNTIES, COUNTY_FACTS, HOME_COUNTIES, NUMBERED_MAP_ORDER, REGIONS} from "../counties";
+
+export default {
+    id: "english-counties",
+    name: "English counties",
+    svg,
+    viewBox: "100 20 1000 1300",
+    itemsGroupId: "counties",
+    // Blank county shapes in the same coordinates as the map, served from public/.
+    outline: {href: "uk-map-outline.svg", viewBox: "0 0 1108 1345"},
+    // Loaded only when a worksheet is made; its numbers are placed by hand to fit each county.
+    numberedMap: {
+        load: () => import("../../English_ceremonial_counties_1998_(numbered) - original.svg?raw").then((module) => module.default),
+        order: NUMBERED_MAP_ORDER,
+    },
+    items: COUNTIES.map((name) => ({id: name, name, ...COUNTY_FACTS[name]})),
+    regions: REGIONS,
+    extraAreas: [HOME_COUNTIES],
+    labels: {
+        item: "county",
+        items: "counties",
+        everywhere: "All of England",
+        town: "county town",
+    },
+};
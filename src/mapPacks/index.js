@@ -0,0 +1,152 @@
+import {createNameMatcher} from "../nameMatching";
+import englishCounties from "./englishCounties";
+
+const PACK_DEFINITIONS = [englishCounties];
+
+export const DEFAULT_MAP_PACK_ID = englishCounties.id;
+
+export const MAP_PACKS = PACK_DEFINITIONS.map(({id, name}) => ({id, name}));
+
+const defaultLabels = {
+    item: "area",
+    items: "areas",
+    everywhere: "Everywhere",
+    town: "main town",
+};
+
+const parseViewBox = (viewBox) => {
+    const values = String(viewBox).trim().split(/[\s,]+/).map(Number);
+    if (values.length !== 4 || values.some((value) => !Number.isFinite(value)) || values[2] <= 0 || values[3] <= 0) {
+        return null;
+    }
+    const [x, y, width, height] = values;
+    return {x, y, width, height};
+};
+
+const readSvgViewBox = (svg) => {
+    const match = /<svg\b[^>]*\bviewBox="([^"]+)"/i.exec(svg);
+    return match ? match[1] : null;
+};
+
+export const createMapPack = (definition) => {
+    const {id, name, svg, items} = definition ?? {};
+    if (!id || !name) {
+        throw new Error("[map-pack] A map pack needs an id and a name.");
+    }
+    if (typeof svg !== "string" || !svg.includes("<svg")) {
+        throw new Error(`[map-pack] ${id}: svg must be an SVG document string.`);
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new Error(`[map-pack] ${id}: items must be a non-empty array.`);
+    }
+    const names = {};
+    const facts = {};
+    for (const item of items) {
+        if (!item?.id) {
+            throw new Error(`[map-pack] ${id}: every item needs an id.`);
+        }
+        if (names[item.id]) {
+            throw new Error(`[map-pack] ${id}: duplicate item id "${item.id}".`);
+        }
+        names[item.id] = item.name ?? item.id;
+        facts[item.id] = {
+            town: item.town ?? null,
+            cities: Array.isArray(item.cities) ? item.cities : [],
+            fact: item.fact ?? null,
+        };
+    }
+    // Towns and cities asked about by the places quiz, each answered by the item it's in.
+    const places = items.flatMap((item) => {
+        const {town, cities} = facts[item.id];
+        return [
+            ...(town ? [{id: town, name: town, itemId: item.id, isTown: true}] : []),
+            ...cities
+                .filter((city) => city !== town)
+                .map((city) => ({id: city, name: city, itemId: item.id, isTown: false})),
+        ];
+    });
+    const duplicatePlace = places.find((place, index) => places.findIndex(({name}) => name === place.name) !== index);
+    if (duplicatePlace) {
+        throw new Error(`[map-pack] ${id}: the place "${duplicatePlace.name}" is listed more than once.`);
+    }
+    const placeById = Object.fromEntries(places.map((place) => [place.id, place]));
+    const itemIds = items.map((item) => item.id);
+    const itemSet = new Set(itemIds);
+    const checkArea = (area) => {
+        const members = area.items ?? area.counties ?? [];
+        const unknown = members.filter((itemId) => !itemSet.has(itemId));
+        if (unknown.length > 0) {
+            throw new Error(`[map-pack] ${id}: area "${area.id}" lists unknown items: ${unknown.join(", ")}.`);
+        }
+        return {id: area.id, name: area.name, counties: members};
+    };
+    const regions = (definition.regions ?? []).map(checkArea);
+    const practiceAreas = [...regions, ...(definition.extraAreas ?? []).map(checkArea)];
+    const itemRegion = Object.fromEntries(
+        regions.flatMap((region) => region.counties.map((itemId) => [itemId, region.id])),
+    );
+    const viewBoxSource = definition.viewBox ?? readSvgViewBox(svg);
+    const viewBox = parseViewBox(viewBoxSource);
+    if (!viewBox) {
+        throw new Error(`[map-pack] ${id}: could not determine a valid viewBox.`);
+    }
+    let outline = null;
+    if (definition.outline) {
+        const outlineViewBox = parseViewBox(definition.outline.viewBox ?? "");
+        if (!definition.outline.href || !outlineViewBox) {
+            throw new Error(`[map-pack] ${id}: outline needs an href and a valid viewBox.`);
+        }
+        outline = {href: definition.outline.href, viewBox: outlineViewBox};
+    }
+    let numberedMap = null;
+    if (definition.numberedMap) {
+        const {load, order} = definition.numberedMap;
+        if (typeof load !== "function" || !Array.isArray(order)) {
+            throw new Error(`[map-pack] ${id}: numberedMap needs a load function and an order array.`);
+        }
+        const unknown = order.filter((itemId) => !itemSet.has(itemId));
+        if (unknown.length > 0) {
+            throw new Error(`[map-pack] ${id}: numberedMap lists unknown items: ${unknown.join(", ")}.`);
+        }
+        numberedMap = {load, order};
+    }
+    const nameMatcher = createNameMatcher(itemIds.map((itemId) => names[itemId]));
+    const idByName = Object.fromEntries(itemIds.map((itemId) => [names[itemId], itemId]));
+    return {
+        id,
+        name,
+        svg,
+        viewBox,
+        itemsGroupId: definition.itemsGroupId ?? null,
+        outline,
+        numberedMap,
+        items,
+        itemIds,
+        itemSet,
+        regions,
+        practiceAreas,
+        itemRegion,
+        metadata: definition.metadata ?? {},
+        labels: {...defaultLabels, ...definition.labels},
+        nameOf: (itemId) => names[itemId] ?? itemId,
+        townOf: (itemId) => facts[itemId]?.town ?? null,
+        factsOf: (itemId) => facts[itemId] ?? {town: null, cities: [], fact: null},
+        places,
+        placeOf: (placeId) => placeById[placeId] ?? null,
+        matchName: (input) => {
+            const matched = nameMatcher(input);
+            return matched ? idByName[matched] : null;
+        },
+    };
+};
+
+const loadedPacks = new Map();
+
+export const loadMapPack = (packId) => {
+    const definition = PACK_DEFINITIONS.find((pack) => pack.id === packId)
+        ?? PACK_DEFINITIONS.find((pack) => pack.id === DEFAULT_MAP_PACK_ID);
+    if (!loadedPacks.has(definition.id)) {
+        loadedPacks.set(definition.id, createMapPack(definition));
+    }
+    return loadedPacks.get(definition.id);
+};
@@ -0,0 +1,53 @@
+import {getMapGeometry, itemsNear} from "./mapGeometry.js";
+import {formatViewBox} from "./mapViewport.js";
+
+export const MAP_ZOOM_STEP = 1.6;
+// How far from the tap a finger (or a mouse) could plausibly have meant, in screen pixels.
+const TAP_RADIUS_PX = {touch: 12, pen: 6, mouse: 3};
+// Anything smaller than this on screen is hard to hit without zooming.
+const SMALL_TARGET_PX = 28;
+
+// Puts the pack's SVG into `container` (once) and makes each item a focusable button.
+// `describedBy` is the id of the keyboard help text.
+export const mountMapSvg = (container, pack, describedBy) => {
+    if (!container || container.childElementCount > 0) return;
+    container.innerHTML = pack.svg;
+    const svg = container.querySelector("svg");
+    if (svg) {
+        svg.setAttribute("viewBox", formatViewBox(pack.viewBox));
+    }
+    const scope = pack.itemsGroupId
+        ? container.querySelector(`[id="${pack.itemsGroupId}"]`)
+        : svg;
+    svg?.setAttribute("role", "group");
+    svg?.setAttribute("aria-label", `Map of ${pack.labels.items}`);
+    svg?.setAttribute("aria-describedby", describedBy);
+    scope?.querySelectorAll("[id]").forEach((node) => {
+        if (pack.itemSet.has(node.id)) {
+            node.classList.add("map-item");
+            node.setAttribute("role", "button");
+            node.setAttribute("aria-label", pack.nameOf(node.id));
+            node.setAttribute("tabindex", "-1");
+        }
+    });
+    // One item is in the tab order at a time; the arrow keys move between them.
+    container.querySelector(".map-item")?.setAttribute("tabindex", "0");
+};
+
+// A tap that could have meant several items, at least one of them tiny on screen, is
+// answered by zooming in on it rather than by guessing which one was meant. `event` is
+// React's click event, which only has the pointer type on the native event underneath.
+export const findCrowdedTap = (pack, mapZoom, event) => {
+    if (!mapZoom.canZoomIn) return null;
+    const point = mapZoom.toMapPoint(event.clientX, event.clientY);
+    const scale = mapZoom.pixelScale();
+    if (!point || !scale) return null;
+    const geometry = getMapGeometry(pack);
+    const pointerType = event.nativeEvent?.pointerType ?? event.pointerType;
+    const radius = (TAP_RADIUS_PX[pointerType] ?? TAP_RADIUS_PX.mouse) / scale;
+    const nearby = itemsNear(geometry, point, radius);
+    if (nearby.length < 2) return null;
+    const smallest = Math.min(...nearby.map(({id}) => Math.sqrt(geometry.centroids[id].area) * scale));
+    if (smallest >= SMALL_TARGET_PX) return null;
+    return {point, factor: Math.max(MAP_ZOOM_STEP, (SMALL_TARGET_PX * 2) / smallest)};
+};
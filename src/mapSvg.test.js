@@ -0,0 +1,25 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {findCrowdedTap} from "./mapSvg.js";
+
+// Two small islands 8 units apart, drawn one map unit to the screen pixel.
+const pack = {
+    svg: '<svg><path id="west" d="M 0,0 h 4 v 4 h -4 z"/><path id="east" d="M 12,0 h 4 v 4 h -4 z"/></svg>',
+    itemSet: new Set(["west", "east"]),
+};
+const mapZoom = {canZoomIn: true, toMapPoint: (x, y) => ({x, y}), pixelScale: () => 1};
+// Shaped like React's click event: the pointer type is only on the native event.
+const tap = (pointerType) => ({clientX: 8, clientY: 2, nativeEvent: {pointerType}});
+
+describe("map taps", () => {
+    it("zooms in when a finger lands between two small items", () => {
+        const crowded = findCrowdedTap(pack, mapZoom, tap("touch"));
+        assert.deepEqual(crowded?.point, {x: 8, y: 2});
+        assert.ok(crowded.factor > 1);
+    });
+
+    it("leaves mouse clicks alone", () => {
+        assert.equal(findCrowdedTap(pack, mapZoom, tap("mouse")), null);
+        assert.equal(findCrowdedTap(pack, {...mapZoom, canZoomIn: false}, tap("touch")), null);
+    });
+});
@@ -0,0 +1,69 @@
+export const MAX_ZOOM = 8;
+
+export const formatViewBox = ({x, y, width, height}) => `${x} ${y} ${width} ${height}`;
+
+export const zoomLevel = (view, base) => base.width / view.width;
+
+// Keeps the view inside the map and between 1× and MAX_ZOOM, with the map's own aspect ratio.
+export const clampView = (view, base) => {
+    const width = Math.min(base.width, Math.max(base.width / MAX_ZOOM, view.width));
+    const height = width * (base.height / base.width);
+    const x = Math.min(base.x + base.width - width, Math.max(base.x, view.x));
+    const y = Math.min(base.y + base.height - height, Math.max(base.y, view.y));
+    return {x, y, width, height};
+};
+
+// Zooms by `factor` while keeping `point` (in map units) under the same spot on screen.
+export const zoomAt = (view, base, factor, point) => {
+    const width = view.width / factor;
+    const height = view.height / factor;
+    return clampView({
+        x: point.x - ((point.x - view.x) / view.width) * width,
+        y: point.y - ((point.y - view.y) / view.height) * height,
+        width,
+        height,
+    }, base);
+};
+
+export const zoomAround = (view, base, factor, point) => {
+    const width = view.width / factor;
+    const height = view.height / factor;
+    return clampView({x: point.x - width / 2, y: point.y - height / 2, width, height}, base);
+};
+
+export const panBy = (view, base, dx, dy) => clampView({...view, x: view.x + dx, y: view.y + dy}, base);
+
+// The smallest view that shows `bounds` with some padding around it.
+export const fitBounds = (base, bounds, padding = 0.15) => {
+    const aspect = base.height / base.width;
+    const boundsWidth = (bounds.maxX - bounds.minX) * (1 + padding * 2);
+    const boundsHeight = (bounds.maxY - bounds.minY) * (1 + padding * 2);
+    const width = Math.max(boundsWidth, boundsHeight / aspect);
+    const height = width * aspect;
+    return clampView({
+        x: (bounds.minX + bounds.maxX) / 2 - width / 2,
+        y: (bounds.minY + bounds.maxY) / 2 - height / 2,
+        width,
+        height,
+    }, base);
+};
+
+// The SVG letterboxes the view inside its box (preserveAspectRatio "xMidYMid meet").
+export const pixelsPerUnit = (rect, view) => Math.min(rect.width / view.width, rect.height / view.height);
+
+export const clientToMap = (rect, view, clientX, clientY) => {
+    const scale = pixelsPerUnit(rect, view);
+    const offsetX = (rect.width - view.width * scale) / 2;
+    const offsetY = (rect.height - view.height * scale) / 2;
+    return {
+        x: view.x + (clientX - rect.left - offsetX) / scale,
+        y: view.y + (clientY - rect.top - offsetY) / scale,
+    };
+};
+
+export const interpolateView = (from, to, t) => ({
+    x: from.x + (to.x - from.x) * t,
+    y: from.y + (to.y - from.y) * t,
+    width: from.width + (to.width - from.width) * t,
+    height: from.height + (to.height - from.height) * t,
+});
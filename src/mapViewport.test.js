@@ -0,0 +1,42 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {clampView, clientToMap, fitBounds, MAX_ZOOM, panBy, zoomAt, zoomLevel} from "./mapViewport.js";
+
+const base = {x: 100, y: 20, width: 1000, height: 1300};
+
+describe("map viewport", () => {
+    it("keeps the zoom point under the cursor", () => {
+        const point = {x: 300, y: 400};
+        const zoomed = zoomAt(base, base, 2, point);
+        assert.equal(zoomLevel(zoomed, base), 2);
+        assert.equal((point.x - zoomed.x) / zoomed.width, (point.x - base.x) / base.width);
+        assert.equal((point.y - zoomed.y) / zoomed.height, (point.y - base.y) / base.height);
+    });
+
+    it("stays inside the map and between 1× and the maximum zoom", () => {
+        assert.deepEqual(zoomAt(base, base, 0.5, {x: 600, y: 670}), base);
+        assert.equal(zoomLevel(zoomAt(base, base, 100, {x: 600, y: 670}), base), MAX_ZOOM);
+        const zoomed = zoomAt(base, base, 4, {x: 600, y: 670});
+        const panned = panBy(zoomed, base, -5000, 5000);
+        assert.equal(panned.x, base.x);
+        assert.equal(panned.y + panned.height, base.y + base.height);
+        assert.deepEqual(clampView({...base, width: 2000}, base), base);
+    });
+
+    it("fits bounds with padding at the map's aspect ratio", () => {
+        const view = fitBounds(base, {minX: 500, minY: 600, maxX: 600, maxY: 650});
+        assert.equal(view.height / view.width, base.height / base.width);
+        assert.ok(view.x < 500 && view.x + view.width > 600);
+        assert.ok(view.y < 600 && view.y + view.height > 650);
+    });
+
+    it("maps screen points through the letterbox", () => {
+        // 1000×1300 units shown in a 400×400 box: scale 400/1300, centred horizontally.
+        const rect = {left: 10, top: 20, width: 400, height: 400};
+        const scale = 400 / 1300;
+        const offsetX = (400 - 1000 * scale) / 2;
+        const point = clientToMap(rect, base, 10 + offsetX, 20);
+        assert.ok(Math.abs(point.x - base.x) < 1e-9);
+        assert.ok(Math.abs(point.y - base.y) < 1e-9);
+    });
+});
@@ -0,0 +1,76 @@
+const normalizeName = (value) => {
+    return value
+        .toLowerCase()
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/&/g, " and ")
+        .replace(/\bco\b\.?/g, " county ")
+        .replace(/[^a-z\s]/g, " ")
+        .replace(/^\s*the\s+/, "")
+        .replace(/\s+/g, " ")
+        .trim();
+};
+
+const aliasesForName = (name) => {
+    const base = normalizeName(name);
+    const aliases = new Set([base]);
+    const variants = [
+        base.replace(/^county /, ""),
+        base.replace(/^greater /, ""),
+        base.replace(/^city of /, ""),
+        base.replace(/ of yorkshire$/, ""),
+        base.replace(/ riding of yorkshire$/, " yorkshire"),
+    ];
+    for (const variant of variants) {
+        if (variant) aliases.add(variant);
+    }
+    for (const alias of [...aliases]) {
+        if (alias.endsWith("shire") && alias.length > 8) {
+            aliases.add(alias.slice(0, -"shire".length).trim());
+        }
+    }
+    return [...aliases];
+};
+
+const editDistance = (a, b) => {
+    if (a === b) return 0;
+    const rows = Array.from({length: a.length + 1}, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j += 1) {
+        rows[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i += 1) {
+        for (let j = 1; j <= b.length; j += 1) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+};
+
+const toleranceFor = (length) => Math.floor(length / 5);
+
+export const createNameMatcher = (names) => {
+    const entries = names.map((name) => ({name, aliases: aliasesForName(name)}));
+    return (input) => {
+        const query = normalizeName(input ?? "");
+        if (!query) return null;
+        const compact = query.replace(/ /g, "");
+        let best = null;
+        for (const {name, aliases} of entries) {
+            for (const alias of aliases) {
+                const distance = Math.min(
+                    editDistance(query, alias),
+                    editDistance(compact, alias.replace(/ /g, "")),
+                );
+                if (distance > toleranceFor(alias.length)) continue;
+                if (!best || distance < best.distance) {
+                    best = {name, distance};
+                }
+            }
+        }
+        return best ? best.name : null;
+    };
+};
@@ -0,0 +1,91 @@
+import {buildTestOrder, TEST_SCOPES} from "./testConfig.js";
+
+// Hot-seat games on one device: players take turns answering from one shared queue.
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+export const MAX_PLAYER_NAME_LENGTH = 24;
+export const TURNS_PER_PLAYER = [3, 5, 10];
+// null means no time limit on a turn.
+export const TURN_LIMITS_MS = [null, 10_000, 20_000, 30_000];
+
+const blankPlayer = () => ({name: "", profileId: null});
+
+export const defaultPassAndPlayConfig = {
+    players: [blankPlayer(), blankPlayer()],
+    turnsPerPlayer: 5,
+    turnMs: null,
+    scope: TEST_SCOPES.all,
+};
+
+export const addPlayerSlot = (players) => {
+    return players.length >= MAX_PLAYERS ? players : [...players, blankPlayer()];
+};
+
+export const removePlayerSlot = (players, index) => {
+    return players.length <= MIN_PLAYERS ? players : players.filter((_, position) => position !== index);
+};
+
+// Blank names become "Player N"; a profile can only collect one player's answers.
+export const cleanPlayers = (players, profileIds = []) => {
+    const known = new Set(profileIds);
+    const claimed = new Set();
+    return players.slice(0, MAX_PLAYERS).map((player, index) => {
+        const name = String(player.name ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_PLAYER_NAME_LENGTH);
+        let profileId = known.has(player.profileId) ? player.profileId : null;
+        if (profileId && claimed.has(profileId)) {
+            profileId = null;
+        }
+        if (profileId) {
+            claimed.add(profileId);
+        }
+        return {id: `player-${index + 1}`, name: name || `Player ${index + 1}`, profileId};
+    });
+};
+
+// Everyone gets the same number of turns, so the queue is cut to a whole number of rounds.
+export const buildPassAndPlayOrder = (pack, config, playerCount, shuffle) => {
+    const order = buildTestOrder(pack, {}, {length: "all", scope: config.scope}, shuffle);
+    const rounds = Math.min(config.turnsPerPlayer, Math.floor(order.length / playerCount));
+    return order.slice(0, rounds * playerCount);
+};
+
+export const turnNumber = (session) => session.total - session.queue.length;
+
+export const playerForTurn = (session, turn = turnNumber(session)) => {
+    return session.players[turn % session.players.length];
+};
+
+export const turnTimeLeft = (session, questionStartedAt, now) => {
+    if (!session.turnMs) return null;
+    return Math.min(session.turnMs, Math.max(0, questionStartedAt + session.turnMs - now));
+};
+
+// Most correct first, then least time spent answering; players still level share a rank.
+export const passAndPlayScores = (players, turns) => {
+    const scores = players.map((player) => {
+        const own = turns.filter(({playerId}) => playerId === player.id);
+        return {
+            ...player,
+            correct: own.filter(({correct}) => correct).length,
+            wrong: own.filter(({correct}) => !correct).length,
+            timeMs: own.reduce((total, {ms}) => total + ms, 0),
+        };
+    });
+    const ranked = [...scores].sort((a, b) => b.correct - a.correct || a.timeMs - b.timeMs);
+    let rank = 0;
+    return ranked.map((score, index) => {
+        const previous = ranked[index - 1];
+        if (!previous || previous.correct !== score.correct || previous.timeMs !== score.timeMs) {
+            rank = index + 1;
+        }
+        return {...score, rank};
+    });
+};
+
+// What a player's own stats would have recorded for their turns.
+export const answersFor = (turns, playerId) => {
+    return turns
+        .filter((turn) => turn.playerId === playerId)
+        .map(({county, correct, ms, at}) => ({county, correct, ms, at}));
+};
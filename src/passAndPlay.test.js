@@ -0,0 +1,66 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {
+    addPlayerSlot,
+    buildPassAndPlayOrder,
+    cleanPlayers,
+    MAX_PLAYERS,
+    passAndPlayScores,
+    playerForTurn,
+    removePlayerSlot,
+} from "./passAndPlay.js";
+
+const pack = {
+    itemIds: ["Avon", "Berkshire", "Cornwall", "Devon", "Essex"],
+    practiceAreas: [{id: "south-west", counties: ["Avon", "Cornwall", "Devon"]}],
+};
+
+describe("pass-and-play", () => {
+    it("names blank players and lets each profile collect one player's answers", () => {
+        const players = cleanPlayers([
+            {name: "  Ana  ", profileId: "p1"},
+            {name: "", profileId: "p1"},
+            {name: "Cy", profileId: "gone"},
+        ], ["p1"]);
+        assert.deepEqual(players, [
+            {id: "player-1", name: "Ana", profileId: "p1"},
+            {id: "player-2", name: "Player 2", profileId: null},
+            {id: "player-3", name: "Cy", profileId: null},
+        ]);
+    });
+
+    it("keeps between two and six player slots", () => {
+        const two = [{name: "a"}, {name: "b"}];
+        assert.equal(removePlayerSlot(two, 0), two);
+        let players = two;
+        for (let index = 0; index < 10; index += 1) {
+            players = addPlayerSlot(players);
+        }
+        assert.equal(players.length, MAX_PLAYERS);
+    });
+
+    it("gives every player the same number of turns", () => {
+        const keep = (values) => values;
+        assert.deepEqual(buildPassAndPlayOrder(pack, {scope: "all", turnsPerPlayer: 5}, 2, keep), ["Avon", "Berkshire", "Cornwall", "Devon"]);
+        assert.deepEqual(buildPassAndPlayOrder(pack, {scope: "south-west", turnsPerPlayer: 1}, 3, keep), ["Avon", "Cornwall", "Devon"]);
+        const session = {players: [{id: "a"}, {id: "b"}], total: 4, queue: ["Cornwall", "Devon"]};
+        assert.equal(playerForTurn(session).id, "a");
+        assert.equal(playerForTurn(session, 3).id, "b");
+    });
+
+    it("ranks by correct answers, then time, sharing ranks on a tie", () => {
+        const players = [{id: "a", name: "A"}, {id: "b", name: "B"}, {id: "c", name: "C"}];
+        const turns = [
+            {playerId: "a", correct: true, ms: 5000},
+            {playerId: "b", correct: true, ms: 2000},
+            {playerId: "c", correct: true, ms: 2000},
+            {playerId: "a", correct: true, ms: 1000},
+            {playerId: "b", correct: false, ms: 3000},
+            {playerId: "c", correct: false, ms: 3000},
+        ];
+        assert.deepEqual(
+            passAndPlayScores(players, turns).map(({id, correct, timeMs, rank}) => [id, correct, timeMs, rank]),
+            [["a", 2, 6000, 1], ["b", 1, 5000, 2], ["c", 1, 5000, 2]],
+        );
+    });
+});
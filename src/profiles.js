@@ -0,0 +1,86 @@
+import {STORAGE_KEYS} from "./storage.js";
+
+export const DEFAULT_PROFILE_ID = "default";
+
+export const PROFILE_AVATARS = ["🦊", "🐻", "🐼", "🐸", "🦉", "🐙", "🦄", "🐢", "🚀", "⭐"];
+
+export const PROFILE_COLORS = ["#6366f1", "#14b8a6", "#f59e0b", "#e91e63", "#22c55e", "#0ea5e9", "#a855f7", "#ef4444"];
+
+export const MAX_PROFILE_NAME_LENGTH = 24;
+
+export const defaultProfile = {id: DEFAULT_PROFILE_ID, name: "Player 1", avatar: PROFILE_AVATARS[0], color: PROFILE_COLORS[0]};
+
+export const normalizeProfileName = (name) => {
+    return (name ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_PROFILE_NAME_LENGTH);
+};
+
+export const profileBadge = (profile) => profile.avatar ?? normalizeProfileName(profile.name).charAt(0).toUpperCase();
+
+const isValidProfile = (profile) => {
+    return Boolean(profile)
+        && typeof profile.id === "string"
+        && profile.id.length > 0
+        && normalizeProfileName(profile.name).length > 0;
+};
+
+// Anything that does not look like a profile is dropped; an empty list falls back to the
+// default profile, which owns the data saved before profiles existed.
+export const sanitizeProfiles = (stored) => {
+    const profiles = (Array.isArray(stored?.profiles) ? stored.profiles : [])
+        .filter(isValidProfile)
+        .map((profile) => ({
+            id: profile.id,
+            name: normalizeProfileName(profile.name),
+            avatar: PROFILE_AVATARS.includes(profile.avatar) ? profile.avatar : null,
+            color: PROFILE_COLORS.includes(profile.color) ? profile.color : null,
+        }))
+        .filter((profile, index, list) => list.findIndex(({id}) => id === profile.id) === index);
+    if (profiles.length === 0) {
+        return {profiles: [defaultProfile], activeId: DEFAULT_PROFILE_ID};
+    }
+    const activeId = profiles.some(({id}) => id === stored.activeId) ? stored.activeId : profiles[0].id;
+    return {profiles, activeId};
+};
+
+export const createProfile = (profiles, {name, avatar = null, color = null}, now = Date.now()) => {
+    let id = `p${now.toString(36)}`;
+    while (profiles.some((profile) => profile.id === id)) {
+        id = `${id}x`;
+    }
+    return {id, name: normalizeProfileName(name), avatar, color};
+};
+
+export const updateProfile = (profiles, id, changes) => {
+    return profiles.map((profile) => {
+        if (profile.id !== id) return profile;
+        const next = {...profile, ...changes};
+        return {...next, name: normalizeProfileName(next.name) || profile.name};
+    });
+};
+
+export const removeProfile = (profiles, id) => {
+    if (profiles.length <= 1) {
+        throw new Error("[profiles] Cannot delete the only profile");
+    }
+    return profiles.filter((profile) => profile.id !== id);
+};
+
+const PROFILE_DATA_KEYS = [
+    STORAGE_KEYS.stats,
+    STORAGE_KEYS.legacyStats,
+    STORAGE_KEYS.confusions,
+    STORAGE_KEYS.settings,
+    STORAGE_KEYS.testHistory,
+    STORAGE_KEYS.daily,
+    STORAGE_KEYS.blitz,
+];
+
+// Whether a storage key holds data that belongs to the profile (see storageKeyFor in savedData.js).
+export const isProfileDataKey = (key, profileId) => {
+    const isDataKey = PROFILE_DATA_KEYS.some((dataKey) => (
+        key === dataKey || key.startsWith(`${dataKey}:`) || key.startsWith(`${dataKey}@`)
+    ));
+    if (!isDataKey) return false;
+    const separator = key.indexOf("@");
+    return profileId === DEFAULT_PROFILE_ID ? separator === -1 : key.slice(separator + 1) === profileId;
+};
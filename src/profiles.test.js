@@ -0,0 +1,76 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {
+    createProfile,
+    DEFAULT_PROFILE_ID,
+    defaultProfile,
+    isProfileDataKey,
+    PROFILE_AVATARS,
+    removeProfile,
+    sanitizeProfiles,
+    updateProfile,
+} from "./profiles.js";
+import {STORAGE_KEYS} from "./storage.js";
+
+const ana = {id: "p1", name: "Ana", avatar: PROFILE_AVATARS[1], color: null};
+const ben = {id: "p2", name: "Ben", avatar: null, color: null};
+
+describe("profiles", () => {
+    it("falls back to the default profile when nothing valid is stored", () => {
+        const fallback = {profiles: [defaultProfile], activeId: DEFAULT_PROFILE_ID};
+        assert.deepEqual(sanitizeProfiles(null), fallback);
+        assert.deepEqual(sanitizeProfiles({profiles: "nope"}), fallback);
+        assert.deepEqual(sanitizeProfiles({profiles: [], activeId: "p1"}), fallback);
+        assert.deepEqual(sanitizeProfiles({profiles: [null, {id: "", name: "X"}, {id: "p3", name: "   "}]}), fallback);
+    });
+
+    it("cleans stored profiles and drops duplicates", () => {
+        const {profiles, activeId} = sanitizeProfiles({
+            profiles: [{...ana, name: "  Ana  ", color: "tartan"}, {...ana, name: "Ana again"}, {...ben, avatar: "💣"}],
+            activeId: "p2",
+        });
+        assert.deepEqual(profiles, [ana, ben]);
+        assert.equal(activeId, "p2");
+    });
+
+    it("makes the first profile active when the stored one is gone", () => {
+        assert.equal(sanitizeProfiles({profiles: [ana, ben], activeId: "p9"}).activeId, "p1");
+    });
+
+    it("gives new profiles an id nobody has", () => {
+        const now = 1_000;
+        const taken = `p${now.toString(36)}`;
+        const created = createProfile([{id: taken}, {id: `${taken}x`}], {name: " Cy "}, now);
+        assert.deepEqual(created, {id: `${taken}xx`, name: "Cy", avatar: null, color: null});
+    });
+
+    it("keeps the old name when the new one is blank", () => {
+        const profiles = updateProfile([ana, ben], "p1", {name: "   ", avatar: PROFILE_AVATARS[2]});
+        assert.deepEqual(profiles[0], {...ana, avatar: PROFILE_AVATARS[2]});
+        assert.equal(profiles[1], ben);
+        assert.equal(updateProfile([ana], "p1", {name: " Anna "})[0].name, "Anna");
+    });
+
+    it("refuses to delete the last profile", () => {
+        assert.deepEqual(removeProfile([ana, ben], "p1"), [ben]);
+        assert.throws(() => removeProfile([ana], "p1"), /only profile/);
+    });
+
+    it("matches only the deleted profile's saved data", () => {
+        const {stats, daily, settings, profiles, mapPack} = STORAGE_KEYS;
+        const owned = [`${stats}@p1`, `${stats}:welsh-counties@p1`, `${stats}:english-counties/places@p1`, `${daily}@p1`];
+        const others = [`${stats}@p1x`, `${stats}@p2`, `${settings}:welsh-counties@p10`, stats, `${stats}:welsh-counties`, profiles, mapPack, "unrelated@p1"];
+        owned.forEach((key) => assert.equal(isProfileDataKey(key, "p1"), true, key));
+        others.forEach((key) => assert.equal(isProfileDataKey(key, "p1"), false, key));
+    });
+
+    it("matches only un-suffixed keys for the default profile", () => {
+        const {stats, legacyStats, blitz, profiles} = STORAGE_KEYS;
+        [stats, legacyStats, `${stats}:welsh-counties`, `${blitz}:english-counties/places`].forEach((key) => {
+            assert.equal(isProfileDataKey(key, DEFAULT_PROFILE_ID), true, key);
+        });
+        [`${stats}@p1`, `${stats}:welsh-counties@p1`, profiles].forEach((key) => {
+            assert.equal(isProfileDataKey(key, DEFAULT_PROFILE_ID), false, key);
+        });
+    });
+});
@@ -0,0 +1,334 @@
+import {BLITZ_LEADERBOARD_SIZE, compareBlitzRuns} from "./blitz.js";
+import {MAX_RECENT_RESULTS} from "./heatmap.js";
+import {MAX_RESPONSE_SAMPLES} from "./scheduler.js";
+import {MAX_TEST_HISTORY} from "./testRecords.js";
+import {isBlitzRun, isCount, isDailyKey, isDailyRecord, isPlainObject, isRecentResult, isTime} from "./schema.js";
+
+export const PROGRESS_FORMAT = "county-quiz-progress";
+export const PROGRESS_VERSION = 1;
+export const IMPORT_MODES = {
+    replace: "replace",
+    merge: "merge",
+};
+
+const CODE_PREFIX = "CQP1.";
+const MAX_REPORTED_PROBLEMS = 6;
+
+const describeValue = (value) => (value === undefined ? "nothing" : JSON.stringify(value));
+
+export const buildProgressExport = ({pack, profile, stats, confusions, testHistory, dailyRecords, blitzBoards}, now = Date.now()) => {
+    return {
+        format: PROGRESS_FORMAT,
+        version: PROGRESS_VERSION,
+        exportedAt: now,
+        pack: {id: pack.id, name: pack.name},
+        profile: profile?.name ?? null,
+        stats,
+        confusions,
+        testHistory,
+        daily: dailyRecords,
+        blitz: blitzBoards,
+    };
+};
+
+export const progressFileName = (payload) => {
+    const date = new Date(payload.exportedAt).toISOString().slice(0, 10);
+    const owner = (payload.profile ?? "progress").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    return `${payload.pack.id}-${owner || "progress"}-${date}.json`;
+};
+
+const toBase64Url = (bytes) => {
+    let binary = "";
+    for (let index = 0; index < bytes.length; index += 1) {
+        binary += String.fromCharCode(bytes[index]);
+    }
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const pipeBytes = async (bytes, transform) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// The code is the same JSON as the file, deflated and base64url-encoded so it survives
+// being pasted into a chat message or an email.
+export const encodeProgressCode = async (payload) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    return `${CODE_PREFIX}${toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")))}`;
+};
+
+const decodeProgressCode = async (code) => {
+    const body = code.replace(/\s+/g, "").slice(CODE_PREFIX.length);
+    let text;
+    try {
+        text = new TextDecoder().decode(await pipeBytes(fromBase64Url(body), new DecompressionStream("deflate-raw")));
+    } catch {
+        throw new Error("That code is incomplete or damaged. Copy the whole code and try again.");
+    }
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new Error("That code is damaged: it doesn't contain valid progress data.");
+    }
+};
+
+const checkStatsEntry = (entry, path, problems) => {
+    if (!isPlainObject(entry)) {
+        problems.push(`${path} must be an object (got ${describeValue(entry)}).`);
+        return;
+    }
+    for (const field of ["seen", "correct", "wrong"]) {
+        if (!isCount(entry[field])) {
+            problems.push(`${path}.${field} must be a whole number of 0 or more (got ${describeValue(entry[field])}).`);
+        }
+    }
+    for (const field of ["reps", "hints"]) {
+        if (entry[field] !== undefined && !isCount(entry[field])) {
+            problems.push(`${path}.${field} must be a whole number of 0 or more (got ${describeValue(entry[field])}).`);
+        }
+    }
+    if (entry.interval !== undefined && !isTime(entry.interval)) {
+        problems.push(`${path}.interval must be a number of 0 or more (got ${describeValue(entry.interval)}).`);
+    }
+    if (entry.ease !== undefined && !(typeof entry.ease === "number" && entry.ease > 0)) {
+        problems.push(`${path}.ease must be a positive number (got ${describeValue(entry.ease)}).`);
+    }
+    if (entry.due != null && !isTime(entry.due)) {
+        problems.push(`${path}.due must be a timestamp or null (got ${describeValue(entry.due)}).`);
+    }
+    if (entry.times !== undefined && !(Array.isArray(entry.times) && entry.times.every(isTime))) {
+        problems.push(`${path}.times must be a list of durations in milliseconds.`);
+    }
+    if (entry.recent !== undefined && !(Array.isArray(entry.recent) && entry.recent.every(isRecentResult))) {
+        problems.push(`${path}.recent must be a list of {at, correct} results.`);
+    }
+};
+
+const checkItems = (ids, pack, path, problems) => {
+    const unknown = ids.filter((id) => !pack.itemSet.has(id));
+    if (unknown.length > 0) {
+        const listed = unknown.slice(0, 3).map((id) => `"${id}"`).join(", ");
+        const more = unknown.length > 3 ? ` and ${unknown.length - 3} more` : "";
+        problems.push(`${path} mentions ${pack.labels.items} that aren't on this map: ${listed}${more}.`);
+    }
+};
+
+const checkTestRecord = (record, path, problems) => {
+    if (!isPlainObject(record)) {
+        problems.push(`${path} must be an object (got ${describeValue(record)}).`);
+        return;
+    }
+    for (const field of ["finishedAt", "durationMs"]) {
+        if (!isTime(record[field])) {
+            problems.push(`${path}.${field} must be a number of 0 or more (got ${describeValue(record[field])}).`);
+        }
+    }
+    for (const field of ["correct", "total"]) {
+        if (!isCount(record[field])) {
+            problems.push(`${path}.${field} must be a whole number of 0 or more (got ${describeValue(record[field])}).`);
+        }
+    }
+    if (isCount(record.correct) && isCount(record.total) && record.correct > record.total) {
+        problems.push(`${path}.correct can't be more than ${path}.total.`);
+    }
+};
+
+const checkDailyRecord = (record, key, path, problems) => {
+    if (!isDailyKey(key)) {
+        problems.push(`${path} must be keyed by a YYYY-MM-DD date.`);
+        return;
+    }
+    if (!isDailyRecord(record, key)) {
+        problems.push(`${path} must be a daily record with date, counties and marks.`);
+    }
+};
+
+const checkBlitzBoard = (board, key, path, problems) => {
+    if (!/^\d+$/.test(key)) {
+        problems.push(`${path} must be keyed by a blitz length in milliseconds.`);
+        return;
+    }
+    if (!Array.isArray(board)) {
+        problems.push(`${path} must be a list (got ${describeValue(board)}).`);
+        return;
+    }
+    board.forEach((run, index) => {
+        if (!isBlitzRun(run)) {
+            problems.push(`${path}[${index}] must be a blitz run with finishedAt, durationMs, correct, wrong and skipped.`);
+        }
+    });
+};
+
+// The best runs on each board, in leaderboard order.
+const topBlitzRuns = (runs) => [...runs].sort(compareBlitzRuns).slice(0, BLITZ_LEADERBOARD_SIZE);
+
+// Returns every problem found, not just the first, so one fix-up pass is enough.
+export const validateProgress = (data, pack) => {
+    if (!isPlainObject(data) || data.format !== PROGRESS_FORMAT) {
+        return [`This isn't a progress export (expected "format": "${PROGRESS_FORMAT}").`];
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        return [`Unsupported export version ${describeValue(data.version)}.`];
+    }
+    if (data.version > PROGRESS_VERSION) {
+        return [
+            `This export was made by a newer version of the app (format v${data.version}). `
+            + `Update this app, then import again.`,
+        ];
+    }
+    if (data.pack?.id !== pack.id) {
+        const name = data.pack?.name ?? data.pack?.id ?? "another";
+        return [`This export is for the ${name} map. Switch to that map, then import again.`];
+    }
+    const problems = [];
+    if (!isPlainObject(data.stats)) {
+        problems.push(`stats must be an object keyed by ${pack.labels.item} (got ${describeValue(data.stats)}).`);
+    } else {
+        checkItems(Object.keys(data.stats), pack, "stats", problems);
+        for (const [id, entry] of Object.entries(data.stats)) {
+            checkStatsEntry(entry, `stats["${id}"]`, problems);
+        }
+    }
+    if (data.confusions !== undefined) {
+        if (!isPlainObject(data.confusions)) {
+            problems.push(`confusions must be an object (got ${describeValue(data.confusions)}).`);
+        } else {
+            checkItems(Object.keys(data.confusions), pack, "confusions", problems);
+            for (const [target, row] of Object.entries(data.confusions)) {
+                if (!isPlainObject(row) || !Object.values(row).every(isCount)) {
+                    problems.push(`confusions["${target}"] must map ${pack.labels.items} to whole-number counts.`);
+                    continue;
+                }
+                checkItems(Object.keys(row), pack, `confusions["${target}"]`, problems);
+            }
+        }
+    }
+    if (data.testHistory !== undefined) {
+        if (!Array.isArray(data.testHistory)) {
+            problems.push(`testHistory must be a list (got ${describeValue(data.testHistory)}).`);
+        } else {
+            data.testHistory.forEach((record, index) => checkTestRecord(record, `testHistory[${index}]`, problems));
+        }
+    }
+    if (data.daily !== undefined) {
+        if (!isPlainObject(data.daily)) {
+            problems.push(`daily must be an object keyed by date (got ${describeValue(data.daily)}).`);
+        } else {
+            for (const [key, record] of Object.entries(data.daily)) {
+                checkDailyRecord(record, key, `daily["${key}"]`, problems);
+            }
+        }
+    }
+    if (data.blitz !== undefined) {
+        if (!isPlainObject(data.blitz)) {
+            problems.push(`blitz must be an object keyed by blitz length (got ${describeValue(data.blitz)}).`);
+        } else {
+            for (const [key, board] of Object.entries(data.blitz)) {
+                checkBlitzBoard(board, key, `blitz["${key}"]`, problems);
+            }
+        }
+    }
+    return problems;
+};
+
+const summarizeProblems = (problems) => {
+    const shown = problems.slice(0, MAX_REPORTED_PROBLEMS);
+    const hidden = problems.length - shown.length;
+    return [...shown, ...(hidden > 0 ? [`…and ${hidden} more.`] : [])].join("\n");
+};
+
+// Accepts either the JSON file contents or a copy/paste code. Rejects with an Error whose
+// message is meant for the user.
+export const parseProgress = async (input, pack) => {
+    const text = (input ?? "").trim();
+    if (!text) {
+        throw new Error("Nothing to import. Choose a file or paste a code first.");
+    }
+    let data;
+    if (text.startsWith(CODE_PREFIX)) {
+        data = await decodeProgressCode(text);
+    } else {
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error("This isn't valid JSON or a progress code.");
+        }
+    }
+    const problems = validateProgress(data, pack);
+    if (problems.length > 0) {
+        throw new Error(summarizeProblems(problems));
+    }
+    return {
+        exportedAt: isTime(data.exportedAt) ? data.exportedAt : null,
+        profile: typeof data.profile === "string" ? data.profile : null,
+        stats: data.stats,
+        confusions: data.confusions ?? {},
+        testHistory: (data.testHistory ?? []).slice(-MAX_TEST_HISTORY),
+        daily: data.daily ?? {},
+        blitz: Object.fromEntries(Object.entries(data.blitz ?? {}).map(([key, board]) => [key, topBlitzRuns(board)])),
+    };
+};
+
+const latestResultAt = (entry) => Math.max(0, ...(entry.recent ?? []).map((result) => result.at));
+
+const mergeStatsEntry = (current, incoming) => {
+    // Counts add up; the schedule comes from whichever copy was practised most recently.
+    const schedule = latestResultAt(incoming) > latestResultAt(current) ? incoming : current;
+    const merged = {
+        ...schedule,
+        seen: current.seen + incoming.seen,
+        correct: current.correct + incoming.correct,
+        wrong: current.wrong + incoming.wrong,
+    };
+    if (current.hints != null || incoming.hints != null) {
+        merged.hints = (current.hints ?? 0) + (incoming.hints ?? 0);
+    }
+    if (current.recent || incoming.recent) {
+        merged.recent = [...(current.recent ?? []), ...(incoming.recent ?? [])]
+            .sort((a, b) => a.at - b.at)
+            .slice(-MAX_RECENT_RESULTS);
+    }
+    if (current.times || incoming.times) {
+        merged.times = [...(current.times ?? []), ...(incoming.times ?? [])].slice(-MAX_RESPONSE_SAMPLES);
+    }
+    return merged;
+};
+
+export const mergeProgress = (current, incoming) => {
+    const stats = {...current.stats};
+    for (const [id, entry] of Object.entries(incoming.stats)) {
+        stats[id] = stats[id] ? mergeStatsEntry(stats[id], entry) : entry;
+    }
+    const confusions = {...current.confusions};
+    for (const [target, row] of Object.entries(incoming.confusions)) {
+        const merged = {...confusions[target]};
+        for (const [guess, count] of Object.entries(row)) {
+            merged[guess] = (merged[guess] ?? 0) + count;
+        }
+        confusions[target] = merged;
+    }
+    const knownTests = new Set(current.testHistory.map((record) => `${record.finishedAt}`));
+    const testHistory = [
+        ...current.testHistory,
+        ...incoming.testHistory.filter((record) => !knownTests.has(`${record.finishedAt}`)),
+    ]
+        .sort((a, b) => a.finishedAt - b.finishedAt)
+        .slice(-MAX_TEST_HISTORY);
+    const daily = {...current.daily};
+    for (const [key, record] of Object.entries(incoming.daily)) {
+        if (!daily[key] || (daily[key].finishedAt == null && record.finishedAt != null)) {
+            daily[key] = record;
+        }
+    }
+    const blitz = {...current.blitz};
+    for (const [key, board] of Object.entries(incoming.blitz)) {
+        const knownRuns = new Set((blitz[key] ?? []).map((run) => run.finishedAt));
+        blitz[key] = topBlitzRuns([...(blitz[key] ?? []), ...board.filter((run) => !knownRuns.has(run.finishedAt))]);
+    }
+    return {stats, confusions, testHistory, daily, blitz};
+};
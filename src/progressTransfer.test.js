@@ -0,0 +1,133 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {
+    buildProgressExport,
+    encodeProgressCode,
+    mergeProgress,
+    parseProgress,
+    PROGRESS_VERSION,
+} from "./progressTransfer.js";
+
+const PACK = {
+    id: "test-pack",
+    name: "Test counties",
+    itemSet: new Set(["Avon", "Devon", "Essex"]),
+    labels: {item: "county", items: "counties"},
+};
+
+const entry = (seen, correct, wrong, extra = {}) => ({seen, correct, wrong, reps: 0, interval: 0, ease: 2.5, due: null, ...extra});
+
+const run = (finishedAt, correct, extra = {}) => ({finishedAt, durationMs: 60_000, correct, wrong: 0, skipped: 0, ...extra});
+
+const exported = (overrides = {}) => ({
+    ...buildProgressExport({
+        pack: PACK,
+        profile: {name: "Sam"},
+        stats: {Avon: entry(3, 2, 1)},
+        confusions: {Avon: {Devon: 1}},
+        testHistory: [{id: "10", finishedAt: 10, correct: 1, total: 2, percent: 50, durationMs: 4000}],
+        dailyRecords: {},
+        blitzBoards: {60000: [run(50, 12), run(40, 9)]},
+    }, 1_000),
+    ...overrides,
+});
+
+describe("parseProgress", () => {
+    it("reads the JSON file", async () => {
+        const progress = await parseProgress(JSON.stringify(exported()), PACK);
+        assert.equal(progress.profile, "Sam");
+        assert.equal(progress.exportedAt, 1_000);
+        assert.deepEqual(progress.stats.Avon, entry(3, 2, 1));
+        assert.equal(progress.testHistory.length, 1);
+    });
+
+    it("round-trips through a copy/paste code", async () => {
+        const payload = exported();
+        const code = await encodeProgressCode(payload);
+        assert.match(code, /^CQP1\.[\w-]+$/);
+        const progress = await parseProgress(` ${code.slice(0, 20)}\n${code.slice(20)} `, PACK);
+        assert.deepEqual(progress.stats, payload.stats);
+        assert.deepEqual(progress.confusions, payload.confusions);
+        assert.deepEqual(progress.blitz, payload.blitz);
+    });
+
+    it("keeps only the best runs on each blitz board", async () => {
+        const board = Array.from({length: 12}, (_, index) => run(index, index));
+        const progress = await parseProgress(JSON.stringify(exported({blitz: {60000: board}})), PACK);
+        assert.deepEqual(progress.blitz["60000"].map(({correct}) => correct), [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+        assert.deepEqual((await parseProgress(JSON.stringify(exported({blitz: undefined})), PACK)).blitz, {});
+    });
+
+    it("explains what is wrong with the input", async () => {
+        await assert.rejects(parseProgress("", PACK), /Nothing to import/);
+        await assert.rejects(parseProgress("{nope", PACK), /isn't valid JSON/);
+        await assert.rejects(parseProgress("CQP1.AAAA", PACK), /incomplete or damaged/);
+        await assert.rejects(parseProgress(JSON.stringify({stats: {}}), PACK), /isn't a progress export/);
+        await assert.rejects(
+            parseProgress(JSON.stringify(exported({version: PROGRESS_VERSION + 1})), PACK),
+            /newer version of the app \(format v2\)/,
+        );
+        await assert.rejects(
+            parseProgress(JSON.stringify(exported({pack: {id: "other", name: "Welsh counties"}})), PACK),
+            /for the Welsh counties map/,
+        );
+    });
+
+    it("lists every schema problem with its path", async () => {
+        const payload = exported({
+            stats: {Avon: {seen: 1, correct: "2", wrong: -1}, Atlantis: entry(1, 1, 0)},
+            testHistory: [{finishedAt: 5, correct: 3, total: 2, durationMs: 10}],
+            blitz: {60000: [run(5, 1), {finishedAt: 6, correct: 2}], fast: []},
+        });
+        await assert.rejects(parseProgress(JSON.stringify(payload), PACK), (error) => {
+            const lines = error.message.split("\n");
+            assert.deepEqual(lines, [
+                "stats mentions counties that aren't on this map: \"Atlantis\".",
+                "stats[\"Avon\"].correct must be a whole number of 0 or more (got \"2\").",
+                "stats[\"Avon\"].wrong must be a whole number of 0 or more (got -1).",
+                "testHistory[0].correct can't be more than testHistory[0].total.",
+                "blitz[\"60000\"][1] must be a blitz run with finishedAt, durationMs, correct, wrong and skipped.",
+                "blitz[\"fast\"] must be keyed by a blitz length in milliseconds.",
+            ]);
+            return true;
+        });
+    });
+});
+
+describe("mergeProgress", () => {
+    it("adds counts together and keeps the most recently practised schedule", () => {
+        const current = {
+            stats: {
+                Avon: entry(3, 2, 1, {reps: 1, recent: [{at: 100, correct: true}], times: [1000]}),
+                Devon: entry(1, 1, 0),
+            },
+            confusions: {Avon: {Devon: 2}},
+            testHistory: [{finishedAt: 10}, {finishedAt: 30}],
+            daily: {"2026-10-01": {date: "2026-10-01", finishedAt: null}},
+            blitz: {60000: [run(10, 9), run(30, 5)]},
+        };
+        const incoming = {
+            stats: {
+                Avon: entry(5, 4, 1, {reps: 4, recent: [{at: 200, correct: false}], times: [3000]}),
+                Essex: entry(2, 0, 2),
+            },
+            confusions: {Avon: {Devon: 1, Essex: 1}, Essex: {Avon: 1}},
+            testHistory: [{finishedAt: 10}, {finishedAt: 20}],
+            daily: {"2026-10-01": {date: "2026-10-01", finishedAt: 500}},
+            blitz: {60000: [run(10, 9), run(20, 7)], 90000: [run(40, 11, {durationMs: 90_000})]},
+        };
+        const merged = mergeProgress(current, incoming);
+        assert.deepEqual(merged.stats.Avon, entry(8, 6, 2, {
+            reps: 4,
+            recent: [{at: 100, correct: true}, {at: 200, correct: false}],
+            times: [1000, 3000],
+        }));
+        assert.deepEqual(merged.stats.Devon, entry(1, 1, 0));
+        assert.deepEqual(merged.stats.Essex, entry(2, 0, 2));
+        assert.deepEqual(merged.confusions, {Avon: {Devon: 3, Essex: 1}, Essex: {Avon: 1}});
+        assert.deepEqual(merged.testHistory.map(({finishedAt}) => finishedAt), [10, 20, 30]);
+        assert.equal(merged.daily["2026-10-01"].finishedAt, 500);
+        assert.deepEqual(merged.blitz["60000"].map(({finishedAt}) => finishedAt), [10, 20, 30]);
+        assert.deepEqual(merged.blitz["90000"], incoming.blitz["90000"]);
+    });
+});
@@ -0,0 +1,496 @@
+import {defaultSchedule, pickScheduledCounty, recordResponseTime, scheduleReview} from "./scheduler.js";
+import {recordConfusion} from "./confusions.js";
+import {recordRecentResult} from "./heatmap.js";
+import {HINT_STEPS, hintCredit} from "./hints.js";
+
+// Framework-free quiz rules. Everything that depends on the outside world (randomness,
+// time, persistence) is injected, so the same engine can drive any front end or a test.
+// Questions are usually answered with the item itself; `answerOf` maps a question to its
+// answer when they differ (a town answered with its county, say).
+
+export const SESSION_KINDS = {
+    test: "test",
+    drill: "drill",
+    blitz: "blitz",
+    passAndPlay: "passAndPlay",
+};
+
+// Once a blitz's clock has run out, any of these ends it instead.
+const BLITZ_CLOCKED_ACTIONS = new Set(["answer", "reveal", "hint", "next", "tick"]);
+
+export const defaultStats = {seen: 0, correct: 0, wrong: 0, ...defaultSchedule};
+
+export const ensureStats = (stats, county) => {
+    return stats[county] ?? {...defaultStats};
+};
+
+export const createMemoryStorage = (initial = {}) => {
+    const values = {...initial};
+    return {
+        load: (name) => values[name] ?? null,
+        save: (name, value) => {
+            values[name] = value;
+        },
+    };
+};
+
+export const shuffleWith = (random) => (values) => {
+    const copy = [...values];
+    for (let index = copy.length - 1; index > 0; index -= 1) {
+        const swapIndex = Math.floor(random() * (index + 1));
+        const holder = copy[index];
+        copy[index] = copy[swapIndex];
+        copy[swapIndex] = holder;
+    }
+    return copy;
+};
+
+const recordAnswer = (stats, county, passed, now, options = {}) => {
+    const {reschedule = true, responseMs = null, credit = 1} = options;
+    const entry = ensureStats(stats, county);
+    let counted = recordRecentResult(
+        passed ? {...entry, correct: entry.correct + 1} : {...entry, wrong: entry.wrong + 1},
+        passed,
+        now,
+    );
+    if (passed && responseMs != null) {
+        counted = recordResponseTime(counted, responseMs);
+    }
+    return {
+        ...stats,
+        [county]: reschedule ? scheduleReview(counted, passed, now, {responseMs, credit}) : counted,
+    };
+};
+
+const isPassAndPlay = (session) => session?.kind === SESSION_KINDS.passAndPlay;
+
+const askQuestion = (state, county, now) => {
+    const entry = ensureStats(state.stats, county);
+    return {
+        ...state,
+        // Pass-and-play turns belong to the players, not to the open profile's stats.
+        stats: isPassAndPlay(state.session) ? state.stats : {...state.stats, [county]: {...entry, seen: entry.seen + 1}},
+        current: county,
+        revealed: false,
+        missed: false,
+        hintsUsed: 0,
+        questionStartedAt: now,
+    };
+};
+
+const hasPendingRetry = (session) => {
+    return session.kind === SESSION_KINDS.test
+        && Boolean(session.config?.retryMisses)
+        && !session.retryStarted
+        && session.misses.length > 0;
+};
+
+const isLastQuestion = (session) => session.queue.length <= 1;
+
+const isBlitz = (session) => session?.kind === SESSION_KINDS.blitz;
+
+const recordQuestion = (session, state, correct, now) => {
+    const {current: county, questionStartedAt, hintsUsed} = state;
+    if (session.retryStarted) return session;
+    if (session.questions.some((question) => question.county === county)) return session;
+    const question = {county, ms: now - questionStartedAt, correct, hints: hintsUsed};
+    return {...session, questions: [...session.questions, question]};
+};
+
+// Only a turn's first answer (or its reveal) scores.
+const decideTurn = (session, state, correct, now) => {
+    const turn = session.total - session.queue.length;
+    if (session.turns.length > turn) return session;
+    const player = session.players[turn % session.players.length];
+    const entry = {playerId: player.id, county: state.current, correct, ms: now - state.questionStartedAt, at: now};
+    return {...session, turns: [...session.turns, entry]};
+};
+
+// Applies answers given elsewhere (a pass-and-play game, say) as if they had been asked in practice.
+export const recordAnswers = (stats, answers) => {
+    return answers.reduce((next, {county, correct, ms, at}) => {
+        const entry = ensureStats(next, county);
+        const seen = {...next, [county]: {...entry, seen: entry.seen + 1}};
+        return recordAnswer(seen, county, correct, at, {responseMs: correct ? ms : null});
+    }, stats);
+};
+
+const addMiss = (session, county) => {
+    if (session.misses.includes(county)) return session;
+    return {...session, misses: [...session.misses, county]};
+};
+
+export const createQuizEngine = (options) => {
+    const {
+        items,
+        answerOf = (item) => item,
+        random = Math.random,
+        now = Date.now,
+        storage = createMemoryStorage(),
+    } = options;
+    const itemSet = new Set(items);
+    const shuffle = shuffleWith(random);
+
+    const advance = (state) => {
+        const next = pickScheduledCounty(state.stats, state.pool, state.current, now(), random);
+        return askQuestion({...state, session: null}, next, now());
+    };
+
+    const finishTest = (state, {abandoned = false} = {}) => {
+        const {session} = state;
+        const finishedAt = now();
+        const correct = Math.min(session.correct, session.total - session.misses.length);
+        const score = Math.min(session.score, correct);
+        const result = {
+            id: `${finishedAt}`,
+            finishedAt,
+            correct,
+            score,
+            total: session.total,
+            wrong: session.total - correct,
+            percent: session.total === 0 ? 0 : Math.round((score / session.total) * 100),
+            hintsUsed: session.hintsUsed,
+            durationMs: finishedAt - session.startedAt,
+            config: session.config,
+            misses: session.misses,
+            questions: session.questions,
+            abandoned,
+        };
+        return {...advance(state), result, lastEvent: {type: "finished", result}};
+    };
+
+    const finishBlitz = (state) => {
+        const {session} = state;
+        const finishedAt = now();
+        const result = {
+            id: `${finishedAt}`,
+            kind: SESSION_KINDS.blitz,
+            finishedAt,
+            durationMs: session.durationMs,
+            correct: session.correct,
+            wrong: session.wrong,
+            skipped: session.skipped,
+        };
+        return {...advance(state), result, lastEvent: {type: "finished", result}};
+    };
+
+    const finishPassAndPlay = (state, {abandoned = false} = {}) => {
+        const {session} = state;
+        const finishedAt = now();
+        const result = {
+            id: `${finishedAt}`,
+            kind: SESSION_KINDS.passAndPlay,
+            finishedAt,
+            players: session.players,
+            turns: session.turns,
+            turnMs: session.turnMs,
+            abandoned,
+        };
+        return {...advance(state), result, lastEvent: {type: "finished", result}};
+    };
+
+    const answerTurn = (state, guess) => {
+        const {current} = state;
+        const correct = guess === answerOf(current);
+        const session = decideTurn(state.session, state, correct, now());
+        if (correct) {
+            return {...state, session, revealed: true, lastEvent: {type: "correct", county: current}};
+        }
+        return {...state, session, missed: true, lastEvent: {type: "incorrect", county: current, guess}};
+    };
+
+    const endTurn = (state, type) => {
+        const session = decideTurn(state.session, state, false, now());
+        return {...state, session, missed: true, revealed: true, lastEvent: {type, county: state.current}};
+    };
+
+    const nextBlitzQuestion = (state) => {
+        const {session} = state;
+        let queue = session.queue.slice(1);
+        if (queue.length === 0) {
+            // Go round again, without asking the last one twice in a row.
+            queue = shuffle(session.items);
+            if (queue.length > 1 && queue[0] === state.current) {
+                queue.push(queue.shift());
+            }
+        }
+        return askQuestion({...state, session: {...session, queue}}, queue[0], now());
+    };
+
+    const start = (state, action) => {
+        const cleared = {...state, result: null, lastEvent: null};
+        if (action.mode === SESSION_KINDS.blitz) {
+            const queue = action.queue ?? [];
+            if (queue.length === 0 || !(action.durationMs > 0)) return state;
+            const startedAt = now();
+            const session = {
+                kind: action.mode,
+                items: queue,
+                queue,
+                durationMs: action.durationMs,
+                penaltyMs: action.penaltyMs ?? 0,
+                startedAt,
+                endsAt: startedAt + action.durationMs,
+                correct: 0,
+                wrong: 0,
+                skipped: 0,
+            };
+            return askQuestion({...cleared, session}, queue[0], startedAt);
+        }
+        if (action.mode === SESSION_KINDS.passAndPlay) {
+            const queue = action.queue ?? [];
+            const players = action.players ?? [];
+            if (queue.length === 0 || players.length === 0) return state;
+            const session = {
+                kind: action.mode,
+                players,
+                queue,
+                total: queue.length,
+                turnMs: action.turnMs ?? null,
+                turns: [],
+                startedAt: now(),
+            };
+            return askQuestion({...cleared, session}, queue[0], now());
+        }
+        if (action.mode === SESSION_KINDS.test || action.mode === SESSION_KINDS.drill) {
+            const queue = action.queue ?? [];
+            if (queue.length === 0) return state;
+            const session = {
+                kind: action.mode,
+                label: action.label ?? "",
+                config: action.config ?? null,
+                queue,
+                total: queue.length,
+                questionTotal: queue.length,
+                correct: 0,
+                score: 0,
+                hintsUsed: 0,
+                misses: [],
+                questions: [],
+                retryStarted: false,
+                startedAt: now(),
+            };
+            return askQuestion({...cleared, session}, queue[0], now());
+        }
+        return advance({...cleared, pool: action.pool ?? state.pool});
+    };
+
+    const answerCorrectly = (state, timed) => {
+        const {current} = state;
+        const time = now();
+        // Time spent reading hints says nothing about recall, so hinted answers aren't timed.
+        const responseMs = timed && state.hintsUsed === 0 ? time - state.questionStartedAt : null;
+        const credit = hintCredit(state.hintsUsed);
+        let next = {
+            ...state,
+            stats: recordAnswer(state.stats, current, true, time, {reschedule: !state.missed, responseMs, credit}),
+            revealed: true,
+            lastEvent: {type: "correct", county: current},
+        };
+        const {session} = state;
+        if (isBlitz(session)) {
+            // Blitz moves straight on; a correct answer after wrong clicks still counts, as the clicks cost time.
+            return {
+                ...nextBlitzQuestion({...next, session: {...session, correct: session.correct + 1}}),
+                lastEvent: next.lastEvent,
+            };
+        }
+        if (session?.kind === SESSION_KINDS.test) {
+            const alreadyMissed = session.misses.includes(current);
+            let updated = recordQuestion(session, state, !alreadyMissed, time);
+            if (!alreadyMissed) {
+                updated = {...updated, correct: updated.correct + 1, score: updated.score + credit};
+            }
+            next = {...next, session: updated};
+            if (isLastQuestion(updated) && !hasPendingRetry(updated)) {
+                return finishTest(next);
+            }
+        }
+        return next;
+    };
+
+    const answerIncorrectly = (state, guess) => {
+        const {current} = state;
+        const time = now();
+        let next = {
+            ...state,
+            stats: recordAnswer(state.stats, current, false, time, {reschedule: !state.missed}),
+            confusions: itemSet.has(guess) && guess !== current
+                ? recordConfusion(state.confusions, current, guess)
+                : state.confusions,
+            missed: true,
+            lastEvent: {type: "incorrect", county: current, guess},
+        };
+        const {session} = state;
+        if (isBlitz(session)) {
+            const updated = {...session, wrong: session.wrong + 1, endsAt: session.endsAt - session.penaltyMs};
+            next = {...next, session: updated};
+            return time >= updated.endsAt ? finishBlitz(next) : next;
+        }
+        if (session?.kind === SESSION_KINDS.test) {
+            const updated = addMiss(session, current);
+            next = {...next, session: updated};
+            if (isLastQuestion(updated) && !hasPendingRetry(updated)) {
+                return finishTest({
+                    ...next,
+                    session: recordQuestion(updated, state, false, time),
+                });
+            }
+        }
+        return next;
+    };
+
+    const reveal = (state) => {
+        const {current, session} = state;
+        const time = now();
+        let next = {
+            ...state,
+            stats: recordAnswer(state.stats, current, false, time, {reschedule: !state.missed}),
+            missed: true,
+            revealed: true,
+            lastEvent: {type: "revealed", county: current},
+        };
+        if (session?.kind === SESSION_KINDS.test) {
+            next = {
+                ...next,
+                session: recordQuestion(addMiss(session, current), state, false, time),
+            };
+        }
+        if (isBlitz(session)) {
+            next = {...next, session: {...session, skipped: session.skipped + 1}};
+        }
+        return next;
+    };
+
+    const takeHint = (state, step) => {
+        const {current, session} = state;
+        const entry = ensureStats(state.stats, current);
+        const hintsUsed = state.hintsUsed + 1;
+        return {
+            ...state,
+            stats: {...state.stats, [current]: {...entry, hints: (entry.hints ?? 0) + 1}},
+            hintsUsed,
+            session: session?.kind === SESSION_KINDS.test
+                ? {...session, hintsUsed: session.hintsUsed + 1}
+                : session,
+            lastEvent: {type: "hint", county: current, step},
+        };
+    };
+
+    const nextQuestion = (state) => {
+        const {session} = state;
+        if (isPassAndPlay(session)) {
+            if (isLastQuestion(session)) {
+                return finishPassAndPlay(state);
+            }
+            const queue = session.queue.slice(1);
+            return {...askQuestion({...state, session: {...session, queue}}, queue[0], now()), lastEvent: null};
+        }
+        if (isBlitz(session)) {
+            return {...nextBlitzQuestion(state), lastEvent: null};
+        }
+        if (session?.kind === SESSION_KINDS.test) {
+            if (isLastQuestion(session) && hasPendingRetry(session)) {
+                const queue = [...session.misses];
+                const updated = {
+                    ...session,
+                    queue,
+                    questionTotal: session.questionTotal + queue.length,
+                    retryStarted: true,
+                };
+                return {...askQuestion({...state, session: updated}, queue[0], now()), lastEvent: null};
+            }
+            if (isLastQuestion(session)) {
+                return finishTest(state);
+            }
+            const queue = session.queue.slice(1);
+            return {...askQuestion({...state, session: {...session, queue}}, queue[0], now()), lastEvent: null};
+        }
+        if (session?.kind === SESSION_KINDS.drill) {
+            const queue = session.queue.slice(1);
+            if (queue.length === 0) {
+                return {...advance(state), lastEvent: {type: "drillComplete", label: session.label}};
+            }
+            return {...askQuestion({...state, session: {...session, queue}}, queue[0], now()), lastEvent: null};
+        }
+        return {...advance(state), lastEvent: null};
+    };
+
+    const cancel = (state, action) => {
+        if (state.session?.kind === SESSION_KINDS.test && action.finish) {
+            return finishTest(state, {abandoned: true});
+        }
+        if (isPassAndPlay(state.session) && action.finish) {
+            return finishPassAndPlay(state, {abandoned: true});
+        }
+        return {...advance(state), lastEvent: null};
+    };
+
+    const reduce = (state, action) => {
+        if (isBlitz(state.session) && BLITZ_CLOCKED_ACTIONS.has(action.type) && now() >= state.session.endsAt) {
+            return finishBlitz(state);
+        }
+        switch (action.type) {
+            case "start":
+                return start(state, action);
+            case "answer":
+                if (!state.current || state.revealed) return state;
+                if (isPassAndPlay(state.session)) return answerTurn(state, action.guess);
+                return action.guess === answerOf(state.current)
+                    ? answerCorrectly(state, Boolean(action.timed))
+                    : answerIncorrectly(state, action.guess);
+            case "reveal":
+                if (!state.current || state.revealed) return state;
+                return isPassAndPlay(state.session) ? endTurn(state, "revealed") : reveal(state);
+            case "hint":
+                if (!state.current || state.revealed || state.hintsUsed >= HINT_STEPS.length) return state;
+                if (isPassAndPlay(state.session)) return state;
+                return takeHint(state, action.step ?? HINT_STEPS[state.hintsUsed]);
+            case "next":
+                if (!state.revealed) return state;
+                return nextQuestion(state);
+            case "cancel":
+                return cancel(state, action);
+            case "tick":
+                if (isPassAndPlay(state.session) && !state.revealed && state.session.turnMs
+                    && now() >= state.questionStartedAt + state.session.turnMs) {
+                    return endTurn(state, "timeUp");
+                }
+                return state;
+            case "resume":
+                return {...state, questionStartedAt: now()};
+            case "restore":
+                return {...state, stats: action.stats ?? {}, confusions: action.confusions ?? {}};
+            default:
+                throw new Error(`[quiz-engine] Unknown action: ${action.type}`);
+        }
+    };
+
+    const init = ({pool = items} = {}) => {
+        const state = {
+            stats: storage.load("stats") ?? {},
+            confusions: storage.load("confusions") ?? {},
+            pool,
+            current: null,
+            revealed: false,
+            missed: false,
+            hintsUsed: 0,
+            questionStartedAt: now(),
+            session: null,
+            result: null,
+            lastEvent: null,
+        };
+        return advance(state);
+    };
+
+    const persist = (previous, next) => {
+        if (!previous || previous.stats !== next.stats) {
+            storage.save("stats", next.stats);
+        }
+        if (!previous || previous.confusions !== next.confusions) {
+            storage.save("confusions", next.confusions);
+        }
+    };
+
+    return {init, reduce, persist, shuffle, random, now};
+};
@@ -0,0 +1,418 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {createMemoryStorage, createQuizEngine, recordAnswers, SESSION_KINDS} from "./quizEngine.js";
+
+const ITEMS = ["Avon", "Berkshire", "Cornwall", "Devon", "Essex"];
+
+const sequenceRandom = (values) => {
+    let index = 0;
+    return () => values[index++ % values.length];
+};
+
+const setup = (options = {}) => {
+    const clock = {time: 1_000_000};
+    const storage = options.storage ?? createMemoryStorage();
+    const engine = createQuizEngine({
+        items: ITEMS,
+        random: options.random ?? sequenceRandom([0.1, 0.5, 0.9, 0.3, 0.7]),
+        now: () => clock.time,
+        storage,
+    });
+    const run = (state, ...actions) => actions.reduce((current, action) => engine.reduce(current, action), state);
+    return {clock, storage, engine, run};
+};
+
+const wrongGuess = (state) => ITEMS.find((item) => item !== state.current);
+
+describe("practice flow", () => {
+    it("asks a county from the pool and counts it as seen", () => {
+        const {engine} = setup();
+        const state = engine.init({pool: ["Devon", "Essex"]});
+        assert.ok(["Devon", "Essex"].includes(state.current));
+        assert.equal(state.stats[state.current].seen, 1);
+        assert.equal(state.revealed, false);
+        assert.equal(state.session, null);
+    });
+
+    it("records a correct answer and schedules the county", () => {
+        const {engine, run} = setup();
+        const start = engine.init();
+        const state = run(start, {type: "answer", guess: start.current});
+        const entry = state.stats[start.current];
+        assert.equal(entry.correct, 1);
+        assert.equal(entry.wrong, 0);
+        assert.equal(entry.reps, 1);
+        assert.ok(entry.due > 1_000_000);
+        assert.equal(state.revealed, true);
+        assert.deepEqual(state.lastEvent, {type: "correct", county: start.current});
+    });
+
+    it("records misses and confusions but only reschedules once per question", () => {
+        const {engine, run} = setup();
+        const start = engine.init();
+        const guess = wrongGuess(start);
+        const state = run(
+            start,
+            {type: "answer", guess},
+            {type: "answer", guess},
+            {type: "answer", guess: start.current},
+        );
+        const entry = state.stats[start.current];
+        assert.equal(entry.wrong, 2);
+        assert.equal(entry.correct, 1);
+        assert.equal(entry.reps, 0, "a correct answer after a miss must not promote the county");
+        assert.equal(state.confusions[start.current][guess], 2);
+    });
+
+    it("ignores unknown guesses when recording confusions", () => {
+        const {engine, run} = setup();
+        const start = engine.init();
+        const state = run(start, {type: "answer", guess: "Atlantis"});
+        assert.deepEqual(state.confusions, {});
+        assert.equal(state.lastEvent.type, "incorrect");
+    });
+
+    it("only times answers that ask to be timed", () => {
+        const {engine, clock} = setup();
+        const start = engine.init();
+        clock.time += 2500;
+        const timed = engine.reduce(start, {type: "answer", guess: start.current, timed: true});
+        const untimed = engine.reduce(start, {type: "answer", guess: start.current});
+        assert.deepEqual(timed.stats[start.current].times, [2500]);
+        assert.equal(untimed.stats[start.current].times, undefined);
+    });
+
+    it("restarts the answer timer on resume", () => {
+        const {engine, clock, run} = setup();
+        const start = engine.init();
+        clock.time += 30_000;
+        const resumed = run(start, {type: "resume"});
+        clock.time += 1000;
+        const state = run(resumed, {type: "answer", guess: start.current, timed: true});
+        assert.deepEqual(state.stats[start.current].times, [1000]);
+    });
+
+    it("counts hints and gives less credit for a hinted answer", () => {
+        const {engine, run} = setup();
+        const start = engine.init();
+        const clean = run(start, {type: "answer", guess: start.current, timed: true});
+        const hinted = run(start, {type: "hint"}, {type: "hint"});
+        assert.equal(hinted.hintsUsed, 2);
+        assert.deepEqual(hinted.lastEvent, {type: "hint", county: start.current, step: "neighbour"});
+        const answered = run(hinted, {type: "answer", guess: start.current, timed: true});
+        const entry = answered.stats[start.current];
+        assert.equal(entry.hints, 2);
+        assert.equal(entry.correct, 1);
+        assert.equal(entry.times, undefined, "hinted answers aren't timed");
+        assert.ok(entry.interval < clean.stats[start.current].interval);
+        assert.equal(run(start, ...Array(6).fill({type: "hint"})).hintsUsed, 4);
+    });
+
+    it("accepts the mapped answer when questions and answers differ", () => {
+        const towns = {Exeter: "Devon", Truro: "Cornwall"};
+        const engine = createQuizEngine({items: Object.keys(towns), answerOf: (town) => towns[town]});
+        const start = engine.init();
+        const wrong = engine.reduce(start, {type: "answer", guess: start.current});
+        assert.equal(wrong.lastEvent.type, "incorrect");
+        assert.deepEqual(wrong.confusions, {}, "answers aren't questions, so there's nothing to confuse");
+        const right = engine.reduce(start, {type: "answer", guess: towns[start.current]});
+        assert.equal(right.lastEvent.type, "correct");
+        assert.equal(right.stats[start.current].correct, 1);
+    });
+
+    it("reveals as a miss and ignores answers until next", () => {
+        const {engine, run} = setup();
+        const start = engine.init();
+        const revealed = run(start, {type: "reveal"});
+        assert.equal(revealed.revealed, true);
+        assert.equal(revealed.stats[start.current].wrong, 1);
+        assert.equal(run(revealed, {type: "answer", guess: start.current}), revealed);
+        const next = run(revealed, {type: "next"});
+        assert.notEqual(next.current, start.current);
+        assert.equal(next.revealed, false);
+    });
+
+    it("does not move on before the question is answered", () => {
+        const {engine, run} = setup();
+        const start = engine.init();
+        assert.equal(run(start, {type: "next"}), start);
+    });
+
+    it("switches pool on a practice start", () => {
+        const {engine, run} = setup();
+        const state = run(engine.init(), {type: "start", pool: ["Cornwall"]});
+        assert.equal(state.current, "Cornwall");
+        assert.deepEqual(state.pool, ["Cornwall"]);
+    });
+
+    it("swaps in restored stats without changing the question", () => {
+        const {engine, run} = setup();
+        const start = engine.init();
+        const stats = {Avon: {seen: 9, correct: 9, wrong: 0, reps: 3, interval: 0, ease: 2.5, due: null}};
+        const state = run(start, {type: "restore", stats, confusions: {Avon: {Devon: 2}}});
+        assert.equal(state.stats, stats);
+        assert.deepEqual(state.confusions, {Avon: {Devon: 2}});
+        assert.equal(state.current, start.current);
+    });
+
+    it("rejects unknown actions", () => {
+        const {engine} = setup();
+        assert.throws(() => engine.reduce(engine.init(), {type: "jump"}), /Unknown action/);
+    });
+});
+
+describe("test flow", () => {
+    const startTest = (engine, queue, config = {retryMisses: false}) => {
+        return engine.reduce(engine.init(), {type: "start", mode: SESSION_KINDS.test, queue, config});
+    };
+
+    it("walks the queue and finishes with a result", () => {
+        const {engine, clock, run} = setup();
+        let state = startTest(engine, ["Avon", "Devon", "Essex"]);
+        assert.equal(state.current, "Avon");
+        state = run(state, {type: "answer", guess: "Avon"}, {type: "next"});
+        assert.equal(state.current, "Devon");
+        state = run(state, {type: "answer", guess: "Essex"}, {type: "answer", guess: "Devon"}, {type: "next"});
+        assert.equal(state.current, "Essex");
+        clock.time += 4000;
+        state = run(state, {type: "answer", guess: "Essex"});
+        assert.equal(state.session, null);
+        assert.equal(state.lastEvent.type, "finished");
+        const {result} = state;
+        assert.equal(result.correct, 2);
+        assert.equal(result.total, 3);
+        assert.equal(result.wrong, 1);
+        assert.equal(result.percent, 67);
+        assert.equal(result.durationMs, 4000);
+        assert.deepEqual(result.misses, ["Devon"]);
+        assert.deepEqual(
+            result.questions.map(({county, correct}) => [county, correct]),
+            [["Avon", true], ["Devon", false], ["Essex", true]],
+        );
+    });
+
+    it("finishes immediately when the last question is missed", () => {
+        const {engine, run} = setup();
+        const state = run(startTest(engine, ["Avon"]), {type: "answer", guess: "Devon"});
+        assert.equal(state.result.correct, 0);
+        assert.deepEqual(state.result.misses, ["Avon"]);
+        assert.deepEqual(state.result.questions.map(({correct}) => correct), [false]);
+    });
+
+    it("counts a revealed county as a miss", () => {
+        const {engine, run} = setup();
+        const state = run(startTest(engine, ["Avon", "Devon"]), {type: "reveal"}, {type: "next"});
+        assert.deepEqual(state.session.misses, ["Avon"]);
+        const finished = run(state, {type: "answer", guess: "Devon"});
+        assert.equal(finished.result.correct, 1);
+    });
+
+    it("re-asks misses at the end without changing the score", () => {
+        const {engine, run} = setup();
+        let state = startTest(engine, ["Avon", "Devon"], {retryMisses: true});
+        state = run(state, {type: "reveal"}, {type: "next"}, {type: "answer", guess: "Devon"});
+        assert.equal(state.result, null, "the retry round is still pending");
+        state = run(state, {type: "next"});
+        assert.equal(state.current, "Avon");
+        assert.equal(state.session.retryStarted, true);
+        assert.equal(state.session.questionTotal, 3);
+        state = run(state, {type: "answer", guess: "Avon"});
+        assert.equal(state.result.correct, 1);
+        assert.equal(state.result.total, 2);
+        assert.equal(state.result.questions.length, 2);
+    });
+
+    it("caps the score at total minus misses", () => {
+        const {engine, run} = setup();
+        let state = startTest(engine, ["Avon", "Devon"]);
+        state = run(state, {type: "answer", guess: "Essex"}, {type: "answer", guess: "Avon"});
+        state = run(state, {type: "next"}, {type: "answer", guess: "Devon"});
+        assert.equal(state.result.correct, 1);
+    });
+
+    it("takes hints off the score and reports how many were used", () => {
+        const {engine, run} = setup();
+        let state = startTest(engine, ["Avon", "Devon"]);
+        state = run(state, {type: "hint"}, {type: "answer", guess: "Avon"}, {type: "next"});
+        state = run(state, {type: "hint"}, {type: "reveal"}, {type: "next"});
+        const {result} = state;
+        assert.equal(result.correct, 1);
+        assert.equal(result.score, 0.8);
+        assert.equal(result.percent, 40);
+        assert.equal(result.hintsUsed, 2);
+        assert.deepEqual(result.questions.map(({hints}) => hints), [1, 1]);
+    });
+
+    it("discards a cancelled test unless asked to finish it", () => {
+        const {engine, run} = setup();
+        const running = run(startTest(engine, ["Avon", "Devon"]), {type: "answer", guess: "Avon"});
+        const cancelled = run(running, {type: "cancel"});
+        assert.equal(cancelled.session, null);
+        assert.equal(cancelled.result, null);
+        const abandoned = run(running, {type: "cancel", finish: true});
+        assert.equal(abandoned.result.abandoned, true);
+        assert.equal(abandoned.result.correct, 1);
+        assert.equal(abandoned.result.total, 2);
+    });
+
+    it("ignores an empty queue", () => {
+        const {engine} = setup();
+        const state = engine.init();
+        assert.equal(engine.reduce(state, {type: "start", mode: SESSION_KINDS.test, queue: []}), state);
+    });
+});
+
+describe("drill flow", () => {
+    it("reports completion and returns to practice", () => {
+        const {engine, run} = setup();
+        let state = run(engine.init(), {type: "start", mode: SESSION_KINDS.drill, queue: ["Avon", "Devon"], label: "Pair drill"});
+        assert.equal(state.current, "Avon");
+        state = run(state, {type: "answer", guess: "Avon"}, {type: "next"});
+        assert.equal(state.current, "Devon");
+        state = run(state, {type: "answer", guess: "Devon"}, {type: "next"});
+        assert.equal(state.session, null);
+        assert.deepEqual(state.lastEvent, {type: "drillComplete", label: "Pair drill"});
+    });
+});
+
+describe("blitz flow", () => {
+    const startBlitz = {type: "start", mode: SESSION_KINDS.blitz, queue: ["Avon", "Devon"], durationMs: 60_000, penaltyMs: 5_000};
+
+    it("moves straight on after a correct answer and goes round the queue again", () => {
+        const {engine, run} = setup();
+        let state = run(engine.init(), startBlitz);
+        assert.equal(state.current, "Avon");
+        state = run(state, {type: "answer", guess: "Avon"});
+        assert.equal(state.current, "Devon");
+        assert.equal(state.revealed, false);
+        assert.equal(state.lastEvent.type, "correct");
+        state = run(state, {type: "answer", guess: "Devon"});
+        assert.equal(state.current, "Avon", "the queue is reshuffled without repeating Devon");
+        assert.equal(state.session.correct, 2);
+    });
+
+    it("takes time off for wrong clicks and counts skips", () => {
+        const {clock, engine, run} = setup();
+        let state = run(engine.init(), startBlitz, {type: "answer", guess: "Essex"});
+        assert.equal(state.session.endsAt, clock.time + 55_000);
+        state = run(state, {type: "reveal"}, {type: "next"});
+        assert.equal(state.session.skipped, 1);
+        assert.equal(state.current, "Devon");
+    });
+
+    it("finishes once the clock runs out", () => {
+        const {clock, engine, run} = setup();
+        let state = run(engine.init(), startBlitz, {type: "answer", guess: "Avon"});
+        assert.equal(run(state, {type: "tick"}), state);
+        clock.time += 60_000;
+        state = run(state, {type: "answer", guess: "Devon"});
+        assert.equal(state.session, null);
+        assert.deepEqual(state.lastEvent.result, {
+            id: `${clock.time}`,
+            kind: SESSION_KINDS.blitz,
+            finishedAt: clock.time,
+            durationMs: 60_000,
+            correct: 1,
+            wrong: 0,
+            skipped: 0,
+        });
+    });
+});
+
+describe("pass-and-play flow", () => {
+    const PLAYERS = [{id: "ana", name: "Ana"}, {id: "ben", name: "Ben"}];
+    const startGame = (options = {}) => {
+        const game = setup();
+        const start = game.engine.init();
+        const state = game.run(start, {
+            type: "start",
+            mode: SESSION_KINDS.passAndPlay,
+            queue: ["Avon", "Devon", "Essex", "Cornwall"],
+            players: PLAYERS,
+            ...options,
+        });
+        return {...game, start, state};
+    };
+
+    it("takes turns and scores each player's first answer without touching stats", () => {
+        const {clock, run, start, state} = startGame();
+        clock.time += 2000;
+        let next = run(state, {type: "answer", guess: "Avon"}, {type: "next"});
+        next = run(next, {type: "answer", guess: "Essex"}, {type: "answer", guess: "Devon"}, {type: "next"});
+        assert.deepEqual(
+            next.session.turns.map(({playerId, county, correct}) => [playerId, county, correct]),
+            [["ana", "Avon", true], ["ben", "Devon", false]],
+        );
+        assert.equal(next.session.turns[0].ms, 2000);
+        assert.equal(next.stats, start.stats);
+        assert.equal(next.confusions, start.confusions);
+    });
+
+    it("ends a turn when its time runs out", () => {
+        const {clock, run, state} = startGame({turnMs: 10_000});
+        clock.time += 9_000;
+        assert.equal(run(state, {type: "tick"}), state);
+        clock.time += 1_000;
+        const next = run(state, {type: "tick"});
+        assert.equal(next.revealed, true);
+        assert.deepEqual(next.lastEvent, {type: "timeUp", county: "Avon"});
+        assert.equal(next.session.turns[0].correct, false);
+    });
+
+    it("finishes after the last turn, or early when ended", () => {
+        const {run, state} = startGame();
+        let next = state;
+        for (let turn = 0; turn < 4; turn += 1) {
+            next = run(next, {type: "reveal"}, {type: "next"});
+        }
+        assert.equal(next.session, null);
+        assert.equal(next.lastEvent.result.kind, SESSION_KINDS.passAndPlay);
+        assert.equal(next.lastEvent.result.turns.length, 4);
+
+        const ended = run(state, {type: "cancel", finish: true});
+        assert.equal(ended.lastEvent.result.abandoned, true);
+    });
+
+    it("adds a player's answers to stats when asked to", () => {
+        const stats = recordAnswers({}, [
+            {county: "Avon", correct: true, ms: 1500, at: 1000},
+            {county: "Devon", correct: false, ms: 4000, at: 2000},
+        ]);
+        assert.equal(stats.Avon.seen, 1);
+        assert.equal(stats.Avon.correct, 1);
+        assert.equal(stats.Devon.wrong, 1);
+    });
+});
+
+describe("injected dependencies", () => {
+    it("loads from and persists to the given storage", () => {
+        const storage = createMemoryStorage({stats: {Avon: {seen: 3, correct: 2, wrong: 1, reps: 0, interval: 0, ease: 2.5, due: null}}});
+        const {engine, run} = setup({storage});
+        const start = engine.init({pool: ["Avon"]});
+        assert.equal(start.stats.Avon.seen, 4);
+        engine.persist(null, start);
+        const answered = run(start, {type: "answer", guess: "Avon"});
+        engine.persist(start, answered);
+        assert.equal(storage.load("stats").Avon.correct, 3);
+        assert.deepEqual(storage.load("confusions"), {});
+    });
+
+    it("produces the same questions for the same random sequence", () => {
+        const play = () => {
+            const {engine, run} = setup({random: sequenceRandom([0.42, 0.07, 0.66, 0.93, 0.25])});
+            let state = engine.init();
+            const asked = [state.current];
+            for (let round = 0; round < 6; round += 1) {
+                state = run(state, {type: "answer", guess: state.current}, {type: "next"});
+                asked.push(state.current);
+            }
+            return asked;
+        };
+        assert.deepEqual(play(), play());
+    });
+
+    it("shuffles with the injected random source", () => {
+        const {engine} = setup({random: () => 0});
+        assert.deepEqual(engine.shuffle(["a", "b", "c"]), ["b", "c", "a"]);
+    });
+});
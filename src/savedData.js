@@ -0,0 +1,138 @@
+import {DEFAULT_MAP_PACK_ID} from "./mapPacks";
+import {DEFAULT_PROFILE_ID, isProfileDataKey, sanitizeProfiles} from "./profiles";
+import {defaultTestConfig} from "./testConfig";
+import {DEFAULT_BLITZ_DURATION_MS} from "./blitz";
+import {defaultPassAndPlayConfig, MIN_PLAYERS} from "./passAndPlay";
+import {
+    isPlainObject,
+    repairBlitzBoards,
+    repairConfusions,
+    repairDailyRecords,
+    repairStats,
+    repairTestHistory,
+} from "./schema";
+import {appStorage, STORAGE_KEYS} from "./storage";
+
+// Saved data belongs to a (map pack, profile) pair, and quizzes other than the main one (a
+// `deck`, such as the places quiz) keep their own copy. The default pack and profile keep
+// the original un-suffixed keys, so progress from before packs and profiles existed still loads.
+const storageKeyFor = (key, {pack, profileId, deck = null}) => {
+    const deckSuffix = deck ? `/${deck}` : "";
+    const packSuffix = pack.id === DEFAULT_MAP_PACK_ID && !deck ? "" : `:${pack.id}${deckSuffix}`;
+    const profileSuffix = profileId === DEFAULT_PROFILE_ID ? "" : `@${profileId}`;
+    return `${key}${packSuffix}${profileSuffix}`;
+};
+
+// Malformed values are repaired rather than thrown away, and the repaired copy is saved.
+const loadRepaired = (key, repair, fallback) => {
+    const stored = appStorage.read(key);
+    if (stored == null) return fallback;
+    const repaired = repair(stored);
+    if (repaired !== stored) {
+        appStorage.write(key, repaired);
+    }
+    return repaired;
+};
+
+export const loadStats = (scope) => loadRepaired(storageKeyFor(STORAGE_KEYS.stats, scope), repairStats, {});
+
+export const persistStats = (scope, stats) => {
+    appStorage.write(storageKeyFor(STORAGE_KEYS.stats, scope), stats);
+};
+
+export const loadConfusions = (scope) => {
+    return loadRepaired(storageKeyFor(STORAGE_KEYS.confusions, scope), repairConfusions, {});
+};
+
+export const persistConfusions = (scope, confusions) => {
+    appStorage.write(storageKeyFor(STORAGE_KEYS.confusions, scope), confusions);
+};
+
+export const createScopedStorage = (scope) => {
+    const stores = {
+        stats: {load: loadStats, save: persistStats},
+        confusions: {load: loadConfusions, save: persistConfusions},
+    };
+    return {
+        load: (name) => stores[name].load(scope),
+        save: (name, value) => stores[name].save(scope, value),
+    };
+};
+
+export const loadTestHistory = (scope) => {
+    return loadRepaired(storageKeyFor(STORAGE_KEYS.testHistory, scope), repairTestHistory, []);
+};
+
+export const persistTestHistory = (scope, history) => {
+    appStorage.write(storageKeyFor(STORAGE_KEYS.testHistory, scope), history);
+};
+
+export const loadDailyRecords = (scope) => {
+    return loadRepaired(storageKeyFor(STORAGE_KEYS.daily, scope), repairDailyRecords, {});
+};
+
+export const persistDailyRecords = (scope, records) => {
+    appStorage.write(storageKeyFor(STORAGE_KEYS.daily, scope), records);
+};
+
+export const loadBlitzBoards = (scope) => {
+    return loadRepaired(storageKeyFor(STORAGE_KEYS.blitz, scope), repairBlitzBoards, {});
+};
+
+export const persistBlitzBoards = (scope, boards) => {
+    appStorage.write(storageKeyFor(STORAGE_KEYS.blitz, scope), boards);
+};
+
+const defaultSettings = {
+    areaId: null,
+    directionHints: false,
+    testConfig: defaultTestConfig,
+    blitzDurationMs: DEFAULT_BLITZ_DURATION_MS,
+    passAndPlay: defaultPassAndPlayConfig,
+};
+
+// Settings are shared by every deck.
+export const loadSettings = (scope) => {
+    const stored = appStorage.read(storageKeyFor(STORAGE_KEYS.settings, {...scope, deck: null}));
+    const settings = isPlainObject(stored) ? stored : {};
+    const testConfig = isPlainObject(settings.testConfig) ? settings.testConfig : {};
+    const passAndPlay = isPlainObject(settings.passAndPlay) ? settings.passAndPlay : {};
+    const players = Array.isArray(passAndPlay.players) ? passAndPlay.players.filter(isPlainObject) : [];
+    return {
+        ...defaultSettings,
+        ...settings,
+        testConfig: {...defaultTestConfig, scope: settings.areaId ?? defaultTestConfig.scope, ...testConfig},
+        passAndPlay: {
+            ...defaultPassAndPlayConfig,
+            ...passAndPlay,
+            players: players.length >= MIN_PLAYERS ? players : defaultPassAndPlayConfig.players,
+        },
+    };
+};
+
+export const persistSettings = (scope, settings) => {
+    appStorage.write(storageKeyFor(STORAGE_KEYS.settings, {...scope, deck: null}), settings);
+};
+
+export const loadMapPackId = () => {
+    const stored = appStorage.read(STORAGE_KEYS.mapPack);
+    return typeof stored === "string" ? stored : DEFAULT_MAP_PACK_ID;
+};
+
+export const persistMapPackId = (packId) => {
+    appStorage.write(STORAGE_KEYS.mapPack, packId);
+};
+
+export const loadProfiles = () => sanitizeProfiles(appStorage.read(STORAGE_KEYS.profiles));
+
+export const persistProfiles = (profilesState) => {
+    appStorage.write(STORAGE_KEYS.profiles, profilesState);
+};
+
+export const clearProfileData = (profileId) => {
+    for (const key of appStorage.keys()) {
+        if (isProfileDataKey(key, profileId)) {
+            appStorage.remove(key);
+        }
+    }
+};
@@ -0,0 +1,134 @@
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const RELEARN_INTERVAL = MINUTE;
+const FIRST_INTERVAL = 10 * MINUTE;
+const SECOND_INTERVAL = DAY;
+const NEW_CARD_DUE_THRESHOLD = 3;
+const HARD_EASE_PENALTY = 0.15;
+const HARD_INTERVAL_FACTOR = 0.5;
+
+export const SLOW_ANSWER_MS = 8000;
+export const MAX_RESPONSE_MS = 60000;
+export const MAX_RESPONSE_SAMPLES = 15;
+
+export const recordResponseTime = (entry, responseMs) => {
+    const sample = Math.min(Math.max(0, Math.round(responseMs)), MAX_RESPONSE_MS);
+    return {...entry, times: [...(entry.times ?? []), sample].slice(-MAX_RESPONSE_SAMPLES)};
+};
+
+export const medianResponseMs = (entry) => {
+    const times = entry?.times ?? [];
+    if (times.length === 0) return null;
+    const sorted = [...times].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+export const defaultSchedule = {reps: 0, interval: 0, ease: INITIAL_EASE, due: null};
+
+export const isNew = (entry) => entry?.due == null;
+
+export const scheduleReview = (entry, passed, now, options = {}) => {
+    const {responseMs = null, credit = 1} = options;
+    const ease = entry.ease ?? INITIAL_EASE;
+    if (!passed) {
+        return {
+            ...entry,
+            reps: 0,
+            ease: Math.max(MIN_EASE, ease - 0.2),
+            interval: RELEARN_INTERVAL,
+            due: now + RELEARN_INTERVAL,
+        };
+    }
+    const isHard = responseMs != null && responseMs > SLOW_ANSWER_MS;
+    const reps = (entry.reps ?? 0) + 1;
+    let interval;
+    if (reps === 1) {
+        interval = FIRST_INTERVAL;
+    } else if (reps === 2) {
+        interval = SECOND_INTERVAL;
+    } else {
+        interval = Math.round(Math.max(entry.interval ?? 0, SECOND_INTERVAL) * ease);
+    }
+    // A slow correct answer counts as "hard": it comes back sooner and eases less.
+    if (isHard) {
+        interval = Math.round(interval * HARD_INTERVAL_FACTOR);
+    }
+    // So does one found with hints, scaled by how much credit the hints left.
+    if (credit < 1) {
+        interval = Math.max(RELEARN_INTERVAL, Math.round(interval * credit));
+    }
+    const nextEase = isHard || credit < 1 ? Math.max(MIN_EASE, ease - HARD_EASE_PENALTY) : ease;
+    return {...entry, reps, ease: nextEase, interval, due: now + interval};
+};
+
+const weightedPick = (items, random) => {
+    const total = items.reduce((sum, item) => sum + item.weight, 0);
+    let threshold = random() * total;
+    for (const item of items) {
+        threshold -= item.weight;
+        if (threshold <= 0) {
+            return item.county;
+        }
+    }
+    return items[items.length - 1].county;
+};
+
+export const pickScheduledCounty = (stats, counties, previous, now, random = Math.random) => {
+    const pool = counties.length > 1 ? counties.filter((county) => county !== previous) : counties;
+    const due = [];
+    const fresh = [];
+    let soonest = null;
+    for (const county of pool) {
+        const entry = stats[county];
+        if (isNew(entry)) {
+            fresh.push({county, weight: 1});
+        } else if (entry.due <= now) {
+            const overdue = (now - entry.due) / Math.max(entry.interval, MINUTE);
+            const median = medianResponseMs(entry);
+            const slowness = median == null ? 0 : Math.min(median / SLOW_ANSWER_MS, 2);
+            due.push({county, weight: (1 + Math.min(overdue, 10)) * (1 + slowness * 0.5)});
+        } else if (!soonest || entry.due < stats[soonest].due) {
+            soonest = county;
+        }
+    }
+    const candidates = due.length < NEW_CARD_DUE_THRESHOLD ? [...due, ...fresh] : due;
+    if (candidates.length > 0) {
+        return weightedPick(candidates, random);
+    }
+    return soonest ?? pool[0];
+};
+
+export const migrateLegacyEntry = (entry, now) => {
+    const correct = entry?.correct ?? 0;
+    const wrong = entry?.wrong ?? 0;
+    const base = {seen: entry?.seen ?? 0, correct, wrong};
+    const attempts = correct + wrong;
+    if (attempts === 0) {
+        return {...base, ...defaultSchedule};
+    }
+    const accuracy = correct / attempts;
+    const ease = Math.max(MIN_EASE, MIN_EASE + (INITIAL_EASE - MIN_EASE) * accuracy);
+    const reps = accuracy >= 0.8 ? Math.min(correct, 3) : 0;
+    let interval = 0;
+    if (reps === 1) {
+        interval = FIRST_INTERVAL;
+    } else if (reps === 2) {
+        interval = SECOND_INTERVAL;
+    } else if (reps === 3) {
+        interval = Math.round(SECOND_INTERVAL * ease);
+    }
+    return {...base, reps, ease, interval, due: now + Math.round(interval / 2)};
+};
+
+export const formatDue = (entry, now) => {
+    if (isNew(entry)) return "New";
+    const remaining = entry.due - now;
+    if (remaining <= 0) return "Due now";
+    if (remaining < 60 * MINUTE) return `in ${Math.ceil(remaining / MINUTE)} min`;
+    if (remaining < DAY) return `in ${Math.round(remaining / (60 * MINUTE))} h`;
+    return `in ${Math.round(remaining / DAY)} d`;
+};
@@ -0,0 +1,98 @@
+import {MAX_RECENT_RESULTS} from "./heatmap.js";
+import {defaultSchedule, MAX_RESPONSE_SAMPLES} from "./scheduler.js";
+import {MAX_TEST_HISTORY} from "./testRecords.js";
+
+// Shape checks shared by the storage layer (which repairs what it can) and progress import
+// (which reports problems instead).
+
+export const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+export const isCount = (value) => Number.isInteger(value) && value >= 0;
+export const isTime = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+export const isRecentResult = (result) => isPlainObject(result) && isTime(result.at) && typeof result.correct === "boolean";
+export const isDailyKey = (key) => /^\d{4}-\d{2}-\d{2}$/.test(key);
+
+const toCount = (value) => (Number.isFinite(value) ? Math.max(0, Math.round(value)) : 0);
+
+// Each repair returns its input untouched when nothing was wrong, so callers can tell
+// whether anything changed with a reference check.
+export const repairStatsEntry = (entry) => {
+    if (!isPlainObject(entry)) return null;
+    const fixes = {};
+    for (const field of ["seen", "correct", "wrong", "reps"]) {
+        if (!isCount(entry[field])) fixes[field] = toCount(entry[field] ?? defaultSchedule[field]);
+    }
+    if (entry.hints !== undefined && !isCount(entry.hints)) fixes.hints = toCount(entry.hints);
+    if (!isTime(entry.interval)) fixes.interval = defaultSchedule.interval;
+    if (!(typeof entry.ease === "number" && entry.ease > 0)) fixes.ease = defaultSchedule.ease;
+    if (entry.due !== null && !isTime(entry.due)) fixes.due = null;
+    if (entry.times !== undefined && !(Array.isArray(entry.times) && entry.times.every(isTime))) {
+        fixes.times = (Array.isArray(entry.times) ? entry.times.filter(isTime) : []).slice(-MAX_RESPONSE_SAMPLES);
+    }
+    if (entry.recent !== undefined && !(Array.isArray(entry.recent) && entry.recent.every(isRecentResult))) {
+        fixes.recent = (Array.isArray(entry.recent) ? entry.recent.filter(isRecentResult) : []).slice(-MAX_RECENT_RESULTS);
+    }
+    return Object.keys(fixes).length === 0 ? entry : {...entry, ...fixes};
+};
+
+const repairEntries = (value, repairEntry) => {
+    if (!isPlainObject(value)) return {};
+    let changed = false;
+    const repaired = {};
+    for (const [key, entry] of Object.entries(value)) {
+        const fixed = repairEntry(entry, key);
+        if (fixed !== entry) changed = true;
+        if (fixed != null) repaired[key] = fixed;
+    }
+    return changed ? repaired : value;
+};
+
+export const repairStats = (value) => repairEntries(value, repairStatsEntry);
+
+export const repairConfusions = (value) => repairEntries(value, (row) => {
+    if (!isPlainObject(row)) return null;
+    return Object.values(row).every(isCount)
+        ? row
+        : Object.fromEntries(Object.entries(row).filter(([, count]) => isCount(count)));
+});
+
+export const isTestRecord = (record) => {
+    return isPlainObject(record)
+        && isTime(record.finishedAt)
+        && isTime(record.durationMs)
+        && isCount(record.correct)
+        && isCount(record.total)
+        && record.correct <= record.total;
+};
+
+export const repairTestHistory = (value) => {
+    if (!Array.isArray(value)) return [];
+    return value.every(isTestRecord) && value.length <= MAX_TEST_HISTORY
+        ? value
+        : value.filter(isTestRecord).slice(-MAX_TEST_HISTORY);
+};
+
+export const isDailyRecord = (record, key) => {
+    return isPlainObject(record)
+        && record.date === key
+        && Array.isArray(record.counties)
+        && isPlainObject(record.marks);
+};
+
+export const repairDailyRecords = (value) => repairEntries(value, (record, key) => {
+    return isDailyKey(key) && isDailyRecord(record, key) ? record : null;
+});
+
+export const isBlitzRun = (run) => {
+    return isPlainObject(run)
+        && isTime(run.finishedAt)
+        && isTime(run.durationMs)
+        && isCount(run.correct)
+        && isCount(run.wrong)
+        && isCount(run.skipped);
+};
+
+// Blitz leaderboards are keyed by duration in milliseconds.
+export const repairBlitzBoards = (value) => repairEntries(value, (board, key) => {
+    if (!/^\d+$/.test(key) || !Array.isArray(board)) return null;
+    return board.every(isBlitzRun) ? board : board.filter(isBlitzRun);
+});
@@ -0,0 +1,315 @@
+import {migrateLegacyEntry} from "./scheduler.js";
+import {isPlainObject} from "./schema.js";
+
+export const STORAGE_KEYS = {
+    schema: "county-quiz-schema",
+    stats: "county-quiz-stats-v2",
+    legacyStats: "county-quiz-stats-v1",
+    confusions: "county-quiz-confusions-v1",
+    settings: "county-quiz-settings-v1",
+    mapPack: "county-quiz-map-pack",
+    testHistory: "county-quiz-test-history-v1",
+    daily: "county-quiz-daily-v1",
+    blitz: "county-quiz-blitz-v1",
+    profiles: "county-quiz-profiles-v1",
+};
+
+export const BACKENDS = {
+    localStorage: "localStorage",
+    indexedDB: "indexedDB",
+    memory: "memory",
+};
+
+export const SAVE_ERRORS = {
+    quota: "quota",
+    failed: "failed",
+};
+
+export const WRITE_DELAY_MS = 400;
+
+const KEY_PREFIX = "county-quiz-";
+const DATABASE_NAME = "county-quiz";
+const DATABASE_STORE = "values";
+
+// Each step lifts saved data to its `version` and must be safe to run twice: a tab can be
+// closed between a step's writes and the schema version being saved.
+export const MIGRATIONS = [
+    {
+        version: 2,
+        // v1 only kept counts; v2 added the spaced-repetition schedule.
+        migrate: ({read, readRaw, write}, now) => {
+            if (readRaw(STORAGE_KEYS.stats) != null) return;
+            const legacy = read(STORAGE_KEYS.legacyStats);
+            if (!isPlainObject(legacy)) return;
+            const migrated = {};
+            for (const [county, entry] of Object.entries(legacy)) {
+                migrated[county] = migrateLegacyEntry(entry, now);
+            }
+            write(STORAGE_KEYS.stats, migrated);
+        },
+    },
+    {
+        version: 3,
+        // The map pack id used to be saved as a bare string; from v3 every value is JSON.
+        migrate: ({readRaw, write}) => {
+            const raw = readRaw(STORAGE_KEYS.mapPack);
+            if (raw == null) return;
+            try {
+                JSON.parse(raw);
+            } catch {
+                write(STORAGE_KEYS.mapPack, raw);
+            }
+        },
+    },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const isQuotaError = (error) => {
+    return error?.name === "QuotaExceededError" || error?.name === "NS_ERROR_DOM_QUOTA_REACHED" || error?.code === 22;
+};
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+export const localStorageBackend = {
+    name: BACKENDS.localStorage,
+    open: async () => {
+        const storage = window.localStorage;
+        const probe = `${KEY_PREFIX}probe`;
+        storage.setItem(probe, "1");
+        storage.removeItem(probe);
+        return {
+            readAll: () => {
+                return Array.from({length: storage.length}, (_, index) => storage.key(index))
+                    .filter((key) => key.startsWith(KEY_PREFIX))
+                    .map((key) => [key, storage.getItem(key)]);
+            },
+            write: (batch) => {
+                for (const [key, text] of batch) {
+                    if (text == null) {
+                        storage.removeItem(key);
+                    } else {
+                        storage.setItem(key, text);
+                    }
+                }
+            },
+            subscribe: (onChange) => {
+                window.addEventListener("storage", (event) => {
+                    if (event.storageArea !== storage || !event.key?.startsWith(KEY_PREFIX)) return;
+                    onChange(event.key, event.newValue);
+                });
+            },
+        };
+    },
+};
+
+export const indexedDBBackend = {
+    name: BACKENDS.indexedDB,
+    open: async () => {
+        const request = window.indexedDB.open(DATABASE_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(DATABASE_STORE);
+        const database = await requestResult(request);
+        return {
+            readAll: async () => {
+                const store = database.transaction(DATABASE_STORE).objectStore(DATABASE_STORE);
+                const [keys, values] = await Promise.all([
+                    requestResult(store.getAllKeys()),
+                    requestResult(store.getAll()),
+                ]);
+                return keys.map((key, index) => [key, values[index]]);
+            },
+            write: (batch) => new Promise((resolve, reject) => {
+                const transaction = database.transaction(DATABASE_STORE, "readwrite");
+                const store = transaction.objectStore(DATABASE_STORE);
+                for (const [key, text] of batch) {
+                    if (text == null) {
+                        store.delete(key);
+                    } else {
+                        store.put(text, key);
+                    }
+                }
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            }),
+        };
+    },
+};
+
+export const memoryBackend = {
+    name: BACKENDS.memory,
+    open: async () => ({readAll: () => [], write: () => {}}),
+};
+
+const defaultBackends = () => {
+    if (typeof window === "undefined") return [memoryBackend];
+    return [localStorageBackend, indexedDBBackend, memoryBackend];
+};
+
+// Reads are served from an in-memory copy loaded by open(); writes land in that copy at
+// once and reach the backend in debounced batches. The first backend that opens wins,
+// so private modes without localStorage still get IndexedDB or, failing that, a
+// session that works but forgets everything on reload.
+export const createPersistentStorage = (options = {}) => {
+    const {
+        backends = defaultBackends(),
+        migrations = MIGRATIONS,
+        schemaKey = STORAGE_KEYS.schema,
+        delayMs = WRITE_DELAY_MS,
+        now = Date.now,
+        setTimer = (callback, ms) => setTimeout(callback, ms),
+        clearTimer = (id) => clearTimeout(id),
+    } = options;
+    const values = new Map();
+    const pending = new Map();
+    const listeners = new Set();
+    let backend = null;
+    let opening = null;
+    let timer = null;
+    let status = {backend: null, saveError: null};
+
+    const setStatus = (changes) => {
+        status = {...status, ...changes};
+        listeners.forEach((listener) => listener());
+    };
+
+    const ensureOpen = () => {
+        if (!backend) {
+            throw new Error("[storage] Used before open() finished");
+        }
+    };
+
+    const readRaw = (key) => {
+        ensureOpen();
+        return values.get(key) ?? null;
+    };
+
+    const read = (key) => {
+        const text = readRaw(key);
+        if (text == null) return null;
+        try {
+            return JSON.parse(text);
+        } catch {
+            return null;
+        }
+    };
+
+    const keys = () => {
+        ensureOpen();
+        return [...values.keys()];
+    };
+
+    const flush = async () => {
+        if (timer != null) {
+            clearTimer(timer);
+            timer = null;
+        }
+        if (!backend || pending.size === 0) return;
+        const batch = [...pending];
+        pending.clear();
+        try {
+            await backend.write(batch);
+            if (status.saveError) setStatus({saveError: null});
+        } catch (error) {
+            // Keep the batch for the next attempt unless something newer replaced it.
+            for (const [key, text] of batch) {
+                if (!pending.has(key)) pending.set(key, text);
+            }
+            setStatus({saveError: isQuotaError(error) ? SAVE_ERRORS.quota : SAVE_ERRORS.failed});
+        }
+    };
+
+    const stage = (key, text) => {
+        ensureOpen();
+        if (text == null) {
+            values.delete(key);
+        } else {
+            values.set(key, text);
+        }
+        pending.set(key, text);
+        if (timer == null) {
+            timer = setTimer(() => {
+                timer = null;
+                flush();
+            }, delayMs);
+        }
+    };
+
+    const write = (key, value) => stage(key, JSON.stringify(value));
+
+    const remove = (key) => stage(key, null);
+
+    const migrate = () => {
+        const stored = read(schemaKey);
+        let version = Number.isInteger(stored) ? stored : 1;
+        if (version >= SCHEMA_VERSION) return;
+        const context = {read, readRaw, write, remove, keys};
+        for (const step of migrations) {
+            if (step.version <= version) continue;
+            step.migrate(context, now());
+            version = step.version;
+        }
+        write(schemaKey, version);
+    };
+
+    const connect = async () => {
+        for (const candidate of backends) {
+            try {
+                const opened = await candidate.open();
+                const entries = await opened.readAll();
+                for (const [key, text] of entries) {
+                    values.set(key, text);
+                }
+                opened.subscribe?.((key, text) => {
+                    if (pending.has(key)) return;
+                    if (text == null) {
+                        values.delete(key);
+                    } else {
+                        values.set(key, text);
+                    }
+                });
+                return {opened, name: candidate.name};
+            } catch {
+                values.clear();
+            }
+        }
+        return {opened: await memoryBackend.open(), name: BACKENDS.memory};
+    };
+
+    const open = () => {
+        opening ??= connect().then(({opened, name}) => {
+            backend = opened;
+            migrate();
+            setStatus({backend: name});
+            return status;
+        });
+        return opening;
+    };
+
+    return {
+        open,
+        read,
+        readRaw,
+        write,
+        remove,
+        keys,
+        flush,
+        getStatus: () => status,
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+};
+
+export const appStorage = createPersistentStorage();
+
+export const watchPageHide = (storage) => {
+    window.addEventListener("pagehide", () => storage.flush());
+    document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "hidden") storage.flush();
+    });
+};
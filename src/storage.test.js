@@ -0,0 +1,162 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {BACKENDS, createPersistentStorage, SAVE_ERRORS, SCHEMA_VERSION, STORAGE_KEYS} from "./storage.js";
+import {repairStats, repairTestHistory} from "./schema.js";
+
+const createFakeBackend = (name, initial = {}) => {
+    const saved = new Map(Object.entries(initial));
+    const backend = {
+        saved,
+        writes: 0,
+        failWith: null,
+        name,
+        open: async () => ({
+            readAll: () => [...saved],
+            write: (batch) => {
+                if (backend.failWith) throw backend.failWith;
+                backend.writes += 1;
+                for (const [key, text] of batch) {
+                    if (text == null) {
+                        saved.delete(key);
+                    } else {
+                        saved.set(key, text);
+                    }
+                }
+            },
+        }),
+    };
+    return backend;
+};
+
+const brokenBackend = (name) => ({name, open: async () => { throw new Error("unavailable"); }});
+
+const setup = (backends) => {
+    const timers = [];
+    const storage = createPersistentStorage({
+        backends,
+        now: () => 1_000,
+        setTimer: (callback) => timers.push(callback),
+        clearTimer: () => {},
+    });
+    const runTimers = async () => {
+        const due = timers.splice(0);
+        due.forEach((callback) => callback());
+        await Promise.resolve();
+    };
+    return {storage, runTimers};
+};
+
+describe("persistent storage", () => {
+    it("refuses to be used before it has opened", () => {
+        const {storage} = setup([createFakeBackend("fake")]);
+        assert.throws(() => storage.read("county-quiz-x"), /before open/);
+    });
+
+    it("serves writes immediately but batches them to the backend", async () => {
+        const backend = createFakeBackend("fake", {[STORAGE_KEYS.schema]: `${SCHEMA_VERSION}`});
+        const {storage, runTimers} = setup([backend]);
+        await storage.open();
+        storage.write("county-quiz-a", {n: 1});
+        storage.write("county-quiz-a", {n: 2});
+        storage.write("county-quiz-b", [1]);
+        assert.deepEqual(storage.read("county-quiz-a"), {n: 2});
+        assert.equal(backend.writes, 0);
+        await runTimers();
+        assert.equal(backend.writes, 1);
+        assert.equal(backend.saved.get("county-quiz-a"), "{\"n\":2}");
+        storage.remove("county-quiz-b");
+        await storage.flush();
+        assert.equal(backend.saved.has("county-quiz-b"), false);
+    });
+
+    it("falls back to the next backend, ending in memory", async () => {
+        const fallback = createFakeBackend("second");
+        const {storage} = setup([brokenBackend("first"), fallback]);
+        assert.equal((await storage.open()).backend, "second");
+        const {storage: lastResort} = setup([brokenBackend("first")]);
+        assert.equal((await lastResort.open()).backend, BACKENDS.memory);
+        lastResort.write("county-quiz-a", 1);
+        assert.equal(lastResort.read("county-quiz-a"), 1);
+    });
+
+    it("reports failed saves and retries them with the next write", async () => {
+        const backend = createFakeBackend("fake", {[STORAGE_KEYS.schema]: `${SCHEMA_VERSION}`});
+        const {storage} = setup([backend]);
+        await storage.open();
+        const changes = [];
+        storage.subscribe(() => changes.push(storage.getStatus().saveError));
+        backend.failWith = Object.assign(new Error("full"), {name: "QuotaExceededError"});
+        storage.write("county-quiz-a", 1);
+        await storage.flush();
+        assert.equal(storage.getStatus().saveError, SAVE_ERRORS.quota);
+        backend.failWith = null;
+        storage.write("county-quiz-b", 2);
+        await storage.flush();
+        assert.equal(storage.getStatus().saveError, null);
+        assert.equal(backend.saved.get("county-quiz-a"), "1");
+        assert.deepEqual(changes, [SAVE_ERRORS.quota, null]);
+    });
+});
+
+describe("migrations", () => {
+    it("upgrades v1 stats and the bare map pack id step by step", async () => {
+        const backend = createFakeBackend("fake", {
+            [STORAGE_KEYS.legacyStats]: JSON.stringify({Devon: {seen: 2, correct: 0, wrong: 2}}),
+            [STORAGE_KEYS.mapPack]: "english-counties",
+        });
+        const {storage} = setup([backend]);
+        await storage.open();
+        const devon = storage.read(STORAGE_KEYS.stats).Devon;
+        assert.equal(devon.wrong, 2);
+        assert.equal(devon.reps, 0);
+        assert.equal(storage.read(STORAGE_KEYS.mapPack), "english-counties");
+        assert.equal(storage.read(STORAGE_KEYS.schema), SCHEMA_VERSION);
+        await storage.flush();
+        assert.equal(backend.saved.get(STORAGE_KEYS.mapPack), "\"english-counties\"");
+    });
+
+    it("leaves newer stats alone when legacy data is still around", async () => {
+        const current = JSON.stringify({Avon: {seen: 1, correct: 1, wrong: 0}});
+        const backend = createFakeBackend("fake", {
+            [STORAGE_KEYS.legacyStats]: JSON.stringify({Devon: {seen: 2, correct: 0, wrong: 2}}),
+            [STORAGE_KEYS.stats]: current,
+        });
+        const {storage} = setup([backend]);
+        await storage.open();
+        assert.equal(storage.readRaw(STORAGE_KEYS.stats), current);
+    });
+
+    it("skips data that is already up to date", async () => {
+        const backend = createFakeBackend("fake", {
+            [STORAGE_KEYS.schema]: `${SCHEMA_VERSION}`,
+            [STORAGE_KEYS.mapPack]: "not json",
+        });
+        const {storage} = setup([backend]);
+        await storage.open();
+        assert.equal(storage.readRaw(STORAGE_KEYS.mapPack), "not json");
+    });
+});
+
+describe("repair", () => {
+    it("keeps well-formed stats untouched", () => {
+        const stats = {Avon: {seen: 1, correct: 1, wrong: 0, reps: 1, interval: 600000, ease: 2.5, due: 5}};
+        assert.equal(repairStats(stats), stats);
+    });
+
+    it("fixes malformed entries and drops unusable ones", () => {
+        const repaired = repairStats({
+            Avon: {seen: "3", correct: 2.4, wrong: -1, ease: 0, due: "soon", times: [100, "x"], recent: null},
+            Devon: "oops",
+        });
+        assert.deepEqual(repaired, {
+            Avon: {seen: 0, correct: 2, wrong: 0, reps: 0, interval: 0, ease: 2.5, due: null, times: [100], recent: []},
+        });
+        assert.deepEqual(repairStats([1, 2]), {});
+    });
+
+    it("drops test records it can't read", () => {
+        const good = {finishedAt: 1, durationMs: 2, correct: 1, total: 2};
+        assert.deepEqual(repairTestHistory([good, {finishedAt: "x"}, null]), [good]);
+        assert.deepEqual(repairTestHistory({}), []);
+    });
+});
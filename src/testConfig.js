@@ -0,0 +1,34 @@
+export const TEST_LENGTHS = [10, 20, "all"];
+
+export const TEST_SCOPES = {
+    all: "all",
+    weakest: "weakest",
+};
+
+export const defaultTestConfig = {length: "all", scope: TEST_SCOPES.all, retryMisses: false};
+
+const weaknessScore = (entry) => {
+    const correct = entry?.correct ?? 0;
+    const wrong = entry?.wrong ?? 0;
+    return (correct + 1) / (correct + wrong + 2);
+};
+
+export const buildTestOrder = (pack, stats, config, shuffle) => {
+    const limit = config.length === "all" ? Infinity : config.length;
+    if (config.scope === TEST_SCOPES.weakest) {
+        const weakest = shuffle(pack.itemIds)
+            .sort((a, b) => weaknessScore(stats[a]) - weaknessScore(stats[b]))
+            .slice(0, limit);
+        return shuffle(weakest);
+    }
+    const area = pack.practiceAreas.find(({id}) => id === config.scope);
+    const pool = area ? area.counties : pack.itemIds;
+    return shuffle(pool).slice(0, limit);
+};
+
+export const describeTestScope = (pack, config) => {
+    if (config.scope === TEST_SCOPES.weakest) {
+        return `Weakest ${pack.labels.items}`;
+    }
+    return pack.practiceAreas.find(({id}) => id === config.scope)?.name ?? null;
+};
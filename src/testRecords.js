@@ -0,0 +1,39 @@
+export const MAX_TEST_HISTORY = 200;
+
+export const formatDuration = (ms) => {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    if (minutes === 0) {
+        return `${seconds}s`;
+    }
+    return `${minutes}m ${seconds.toString().padStart(2, "0")}s`;
+};
+
+// Only runs over the same scope and length are compared for personal bests.
+export const comparisonKey = (record) => `${record.config?.scope ?? "all"}|${record.total}`;
+
+// A run that needed hints isn't perfect, however many it got right.
+const isPerfectRun = (record) => record.correct === record.total && !record.hintsUsed;
+
+export const detectPersonalBests = (history, record) => {
+    const key = comparisonKey(record);
+    const previous = history.filter((entry) => comparisonKey(entry) === key);
+    if (previous.length === 0) return [];
+    const bests = [];
+    const isPerfect = isPerfectRun(record);
+    const previousPerfect = previous.filter(isPerfectRun);
+    if (isPerfect && previousPerfect.length === 0) {
+        bests.push("First perfect run!");
+    } else if (isPerfect && record.durationMs < Math.min(...previousPerfect.map((entry) => entry.durationMs))) {
+        bests.push("New fastest perfect run!");
+    }
+    if (!isPerfect && record.percent > Math.max(...previous.map((entry) => entry.percent))) {
+        bests.push("New best score!");
+    }
+    return bests;
+};
+
+export const appendTestRecord = (history, record) => {
+    return [...history, record].slice(-MAX_TEST_HISTORY);
+};
@@ -0,0 +1,79 @@
+import {useCallback, useEffect, useRef, useState} from "react";
+import {CLASSROOM_PATH} from "./classroom";
+
+const RECONNECT_MS = 2000;
+
+export const CONNECTION_STATUS = {
+    connecting: "connecting",
+    open: "open",
+    lost: "lost",
+};
+
+// The session server is the one the app was loaded from (or proxied by the dev server).
+const classroomUrl = () => {
+    const {protocol, host} = window.location;
+    return `${protocol === "https:" ? "wss:" : "ws:"}//${host}${CLASSROOM_PATH}`;
+};
+
+// Keeps a connection to the classroom server open while `isActive`, reconnecting after a
+// drop. `greet()` is sent first on every connection, so a reconnect can carry the ids from
+// earlier replies; everything the server sends goes to `onMessage`.
+export const useClassroomSocket = ({isActive, greet, onMessage}) => {
+    const socketRef = useRef(null);
+    const greetRef = useRef(greet);
+    const onMessageRef = useRef(onMessage);
+    const [status, setStatus] = useState(CONNECTION_STATUS.connecting);
+
+    useEffect(() => {
+        greetRef.current = greet;
+        onMessageRef.current = onMessage;
+    });
+
+    useEffect(() => {
+        if (!isActive) return undefined;
+        let isStopped = false;
+        let retryTimer = null;
+        const connect = () => {
+            setStatus(CONNECTION_STATUS.connecting);
+            const socket = new WebSocket(classroomUrl());
+            socketRef.current = socket;
+            socket.addEventListener("open", () => {
+                setStatus(CONNECTION_STATUS.open);
+                socket.send(JSON.stringify(greetRef.current()));
+            });
+            socket.addEventListener("message", (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch {
+                    return;
+                }
+                onMessageRef.current(message);
+            });
+            socket.addEventListener("close", () => {
+                if (socketRef.current === socket) {
+                    socketRef.current = null;
+                }
+                if (isStopped) return;
+                setStatus(CONNECTION_STATUS.lost);
+                retryTimer = setTimeout(connect, RECONNECT_MS);
+            });
+        };
+        connect();
+        return () => {
+            isStopped = true;
+            clearTimeout(retryTimer);
+            socketRef.current?.close();
+            socketRef.current = null;
+        };
+    }, [isActive]);
+
+    const send = useCallback((message) => {
+        const socket = socketRef.current;
+        if (socket?.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }, []);
+
+    return {status, send};
+};
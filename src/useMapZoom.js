@@ -0,0 +1,244 @@
+import {useCallback, useEffect, useRef, useState} from "react";
+import {
+    clampView,
+    clientToMap,
+    fitBounds,
+    formatViewBox,
+    interpolateView,
+    MAX_ZOOM,
+    panBy,
+    pixelsPerUnit,
+    zoomAround,
+    zoomAt,
+    zoomLevel,
+} from "./mapViewport";
+
+const WHEEL_ZOOM_SPEED = 0.0015;
+const WHEEL_LINE_HEIGHT = 16;
+const DRAG_THRESHOLD_PX = 6;
+const ANIMATION_MS = 320;
+// Auto-zoom only when it would make a real difference.
+const MIN_FOCUS_GAIN = 1.25;
+
+const prefersReducedMotion = () => {
+    return typeof window === "undefined" || window.matchMedia?.("(prefers-reduced-motion: reduce)").matches === true;
+};
+
+const midpointOf = ([a, b]) => ({x: (a.x + b.x) / 2, y: (a.y + b.y) / 2});
+const spreadOf = ([a, b]) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Zoom and pan for the map inside `containerRef`. The view lives in a ref and is written
+// straight to the SVG's viewBox, so gestures don't re-render the quiz on every frame;
+// only the rounded zoom level is React state.
+export const useMapZoom = (containerRef, baseView) => {
+    const viewRef = useRef(baseView);
+    const frameRef = useRef(null);
+    const pointersRef = useRef(new Map());
+    const gestureRef = useRef(null);
+    const suppressClickRef = useRef(false);
+    // Where the user was before an automatic zoom, so releaseFocus() can go back there.
+    const restoreViewRef = useRef(null);
+    const [zoom, setZoom] = useState(1);
+
+    const getSvg = useCallback(() => containerRef.current?.querySelector("svg") ?? null, [containerRef]);
+
+    const applyView = useCallback((view) => {
+        viewRef.current = view;
+        const level = zoomLevel(view, baseView);
+        getSvg()?.setAttribute("viewBox", formatViewBox(view));
+        containerRef.current?.style.setProperty("--map-zoom", `${level}`);
+        setZoom(Math.round(level * 100) / 100);
+    }, [baseView, containerRef, getSvg]);
+
+    const stopAnimation = useCallback(() => {
+        if (frameRef.current != null) {
+            cancelAnimationFrame(frameRef.current);
+            frameRef.current = null;
+        }
+    }, []);
+
+    const animateTo = useCallback((target) => {
+        stopAnimation();
+        if (prefersReducedMotion()) {
+            applyView(target);
+            return;
+        }
+        const from = viewRef.current;
+        let start = null;
+        const step = (time) => {
+            start ??= time;
+            const progress = Math.min(1, (time - start) / ANIMATION_MS);
+            applyView(interpolateView(from, target, 1 - (1 - progress) ** 3));
+            frameRef.current = progress < 1 ? requestAnimationFrame(step) : null;
+        };
+        frameRef.current = requestAnimationFrame(step);
+    }, [applyView, stopAnimation]);
+
+    // Both return null while the map has no size on screen (e.g. before layout).
+    const toMapPoint = useCallback((clientX, clientY) => {
+        const rect = getSvg()?.getBoundingClientRect();
+        if (!rect || rect.width === 0) return null;
+        return clientToMap(rect, viewRef.current, clientX, clientY);
+    }, [getSvg]);
+
+    const pixelScale = useCallback(() => {
+        const rect = getSvg()?.getBoundingClientRect();
+        if (!rect || rect.width === 0) return null;
+        return pixelsPerUnit(rect, viewRef.current);
+    }, [getSvg]);
+
+    const zoomBy = useCallback((factor) => {
+        restoreViewRef.current = null;
+        const view = viewRef.current;
+        const centre = {x: view.x + view.width / 2, y: view.y + view.height / 2};
+        animateTo(zoomAt(view, baseView, factor, centre));
+    }, [animateTo, baseView]);
+
+    const zoomInAround = useCallback((point, factor) => {
+        restoreViewRef.current = null;
+        animateTo(zoomAround(viewRef.current, baseView, factor, point));
+    }, [animateTo, baseView]);
+
+    const reset = useCallback(() => {
+        restoreViewRef.current = null;
+        animateTo(baseView);
+    }, [animateTo, baseView]);
+
+    const focusOn = useCallback((bounds) => {
+        const target = fitBounds(baseView, bounds);
+        if (viewRef.current.width / target.width < MIN_FOCUS_GAIN) return;
+        restoreViewRef.current ??= viewRef.current;
+        animateTo(target);
+    }, [animateTo, baseView]);
+
+    // Pans (without zooming) just enough to bring `bounds` on screen.
+    const keepInView = useCallback((bounds) => {
+        const view = viewRef.current;
+        const isVisible = bounds.minX >= view.x
+            && bounds.minY >= view.y
+            && bounds.maxX <= view.x + view.width
+            && bounds.maxY <= view.y + view.height;
+        if (isVisible) return;
+        const x = (bounds.minX + bounds.maxX) / 2 - view.width / 2;
+        const y = (bounds.minY + bounds.maxY) / 2 - view.height / 2;
+        animateTo(clampView({...view, x, y}, baseView));
+    }, [animateTo, baseView]);
+
+    const releaseFocus = useCallback(() => {
+        const previous = restoreViewRef.current;
+        if (!previous) return;
+        restoreViewRef.current = null;
+        animateTo(previous);
+    }, [animateTo]);
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return undefined;
+        const pointers = pointersRef.current;
+
+        const takeControl = () => {
+            stopAnimation();
+            restoreViewRef.current = null;
+        };
+
+        const handleWheel = (event) => {
+            const point = toMapPoint(event.clientX, event.clientY);
+            if (!point) return;
+            event.preventDefault();
+            takeControl();
+            const delta = event.deltaMode === 1 ? event.deltaY * WHEEL_LINE_HEIGHT : event.deltaY;
+            applyView(zoomAt(viewRef.current, baseView, Math.exp(-delta * WHEEL_ZOOM_SPEED), point));
+        };
+
+        const handlePointerDown = (event) => {
+            if (event.pointerType === "mouse" && event.button !== 0) return;
+            suppressClickRef.current = false;
+            pointers.set(event.pointerId, {x: event.clientX, y: event.clientY});
+            if (pointers.size === 1) {
+                gestureRef.current = {startX: event.clientX, startY: event.clientY, moved: false};
+            } else if (gestureRef.current) {
+                // A second finger makes this a pinch, never a tap.
+                gestureRef.current.moved = true;
+                takeControl();
+            }
+        };
+
+        const handlePointerMove = (event) => {
+            const previous = pointers.get(event.pointerId);
+            const gesture = gestureRef.current;
+            const scale = pixelScale();
+            if (!previous || !gesture || !scale) return;
+            const position = {x: event.clientX, y: event.clientY};
+            if (pointers.size >= 2) {
+                const before = [...pointers.values()].slice(0, 2);
+                pointers.set(event.pointerId, position);
+                const after = [...pointers.values()].slice(0, 2);
+                const anchor = toMapPoint(midpointOf(before).x, midpointOf(before).y);
+                const spread = spreadOf(before);
+                if (!anchor || spread === 0) return;
+                const zoomed = zoomAt(viewRef.current, baseView, spreadOf(after) / spread, anchor);
+                const shiftX = midpointOf(after).x - midpointOf(before).x;
+                const shiftY = midpointOf(after).y - midpointOf(before).y;
+                const nextScale = scale * (viewRef.current.width / zoomed.width);
+                applyView(panBy(zoomed, baseView, -shiftX / nextScale, -shiftY / nextScale));
+                return;
+            }
+            if (!gesture.moved) {
+                if (Math.hypot(position.x - gesture.startX, position.y - gesture.startY) < DRAG_THRESHOLD_PX) return;
+                gesture.moved = true;
+                takeControl();
+                container.setPointerCapture?.(event.pointerId);
+                container.classList.add("map--dragging");
+            }
+            pointers.set(event.pointerId, position);
+            applyView(panBy(viewRef.current, baseView, -(position.x - previous.x) / scale, -(position.y - previous.y) / scale));
+        };
+
+        const handlePointerEnd = (event) => {
+            if (!pointers.delete(event.pointerId) || pointers.size > 0) return;
+            if (gestureRef.current?.moved) {
+                suppressClickRef.current = true;
+            }
+            gestureRef.current = null;
+            container.classList.remove("map--dragging");
+        };
+
+        // A drag or pinch ends with a click on whatever is under the finger; that isn't an answer.
+        const handleClickCapture = (event) => {
+            if (!suppressClickRef.current) return;
+            suppressClickRef.current = false;
+            event.stopPropagation();
+            event.preventDefault();
+        };
+
+        container.addEventListener("wheel", handleWheel, {passive: false});
+        container.addEventListener("pointerdown", handlePointerDown);
+        container.addEventListener("pointermove", handlePointerMove);
+        container.addEventListener("pointerup", handlePointerEnd);
+        container.addEventListener("pointercancel", handlePointerEnd);
+        container.addEventListener("click", handleClickCapture, true);
+        return () => {
+            stopAnimation();
+            container.removeEventListener("wheel", handleWheel);
+            container.removeEventListener("pointerdown", handlePointerDown);
+            container.removeEventListener("pointermove", handlePointerMove);
+            container.removeEventListener("pointerup", handlePointerEnd);
+            container.removeEventListener("pointercancel", handlePointerEnd);
+            container.removeEventListener("click", handleClickCapture, true);
+        };
+    }, [applyView, baseView, containerRef, pixelScale, stopAnimation, toMapPoint]);
+
+    return {
+        zoom,
+        isZoomed: zoom > 1,
+        canZoomIn: zoom < MAX_ZOOM,
+        zoomBy,
+        zoomInAround,
+        reset,
+        focusOn,
+        keepInView,
+        releaseFocus,
+        toMapPoint,
+        pixelScale,
+    };
+};
@@ -0,0 +1,45 @@
+import {shuffleWith} from "./quizEngine.js";
+import {buildTestOrder} from "./testConfig.js";
+
+const DEFAULT_FONT_SIZE = 32;
+// Rough box of a bold digit, as a share of the font size, for centring the labels.
+const DIGIT_WIDTH = 0.7;
+const DIGIT_MIDLINE = 0.36;
+
+const attributeOf = (tag, name) => {
+    const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+    return match ? match[1] : null;
+};
+
+// Finds where the numbers sit in a numbered map: `<text>` elements whose content is just a
+// number, with `order[n - 1]` the item labelled n. Anchors are the centres of the labels.
+export const readNumberAnchors = (svg, order) => {
+    const anchors = {};
+    for (const [element] of String(svg).matchAll(/<text\b[\s\S]*?<\/text>/g)) {
+        const label = element.replace(/<[^>]*>/g, "").trim();
+        const itemId = /^\d+$/.test(label) ? order[Number(label) - 1] : null;
+        const placed = /<tspan\b[^>]*>/.exec(element)?.[0] ?? element;
+        const x = Number(attributeOf(placed, "x") ?? attributeOf(element, "x"));
+        const y = Number(attributeOf(placed, "y") ?? attributeOf(element, "y"));
+        if (!itemId || !Number.isFinite(x) || !Number.isFinite(y)) continue;
+        const fontSize = Number(/font-size:\s*([\d.]+)px/.exec(element)?.[1] ?? DEFAULT_FONT_SIZE);
+        anchors[itemId] = {
+            x: x + (label.length * DIGIT_WIDTH * fontSize) / 2,
+            y: y - DIGIT_MIDLINE * fontSize,
+        };
+    }
+    return anchors;
+};
+
+// Picks the items for a worksheet the same way a test does (`config` is a test config) and
+// numbers them 1..n: in the numbered map's order, or shuffled so copies differ.
+export const buildWorksheet = (pack, stats, config, {order = pack.itemIds, randomNumbers = false, random = Math.random} = {}) => {
+    const shuffle = shuffleWith(random);
+    const chosen = buildTestOrder(pack, stats, config, shuffle);
+    const rank = (itemId) => {
+        const index = order.indexOf(itemId);
+        return index === -1 ? order.length + pack.itemIds.indexOf(itemId) : index;
+    };
+    const numbered = randomNumbers ? chosen : [...chosen].sort((a, b) => rank(a) - rank(b));
+    return numbered.map((itemId, index) => ({number: index + 1, itemId}));
+};
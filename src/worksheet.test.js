@@ -0,0 +1,54 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {readFileSync} from "node:fs";
+import {NUMBERED_MAP_ORDER} from "./counties.js";
+import {buildWorksheet, readNumberAnchors} from "./worksheet.js";
+
+const pack = {
+    itemIds: ["a", "b", "c", "d"],
+    practiceAreas: [{id: "north", name: "North", counties: ["a", "c"]}],
+};
+
+const numbersOf = (entries) => entries.map(({itemId}) => itemId);
+
+describe("worksheet", () => {
+    it("centres each number on its label", () => {
+        const svg = `<svg>
+            <text style="font-size:20px"><tspan x="100" y="200">1</tspan></text>
+            <text x="10" y="40" style="font-size:20px">12</text>
+            <text x="0" y="0">Key</text>
+        </svg>`;
+        const order = ["first", ...Array.from({length: 10}, (_, index) => `item-${index}`), "twelfth"];
+        const anchors = readNumberAnchors(svg, order);
+        assert.deepEqual(Object.keys(anchors).sort(), ["first", "twelfth"]);
+        assert.ok(anchors.first.x > 100 && anchors.first.x < 110 && anchors.first.y < 200);
+        assert.ok(anchors.twelfth.x - 10 > anchors.first.x - 100);
+    });
+
+    it("reads every county from the numbered map", () => {
+        const svg = readFileSync(new URL("../English_ceremonial_counties_1998_(numbered) - original.svg", import.meta.url), "utf8");
+        const anchors = readNumberAnchors(svg, NUMBERED_MAP_ORDER);
+        assert.equal(Object.keys(anchors).length, NUMBERED_MAP_ORDER.length);
+        // Northumberland is at the top of the map, Cornwall at the bottom left.
+        assert.ok(anchors.Northumberland.y < anchors.Cornwall.y);
+        assert.ok(anchors.Cornwall.x < anchors.Kent.x);
+    });
+
+    it("numbers items in the map's order unless asked to shuffle", () => {
+        const config = {length: "all", scope: "all"};
+        const ordered = buildWorksheet(pack, {}, config, {order: ["d", "c", "b", "a"]});
+        assert.deepEqual(numbersOf(ordered), ["d", "c", "b", "a"]);
+        assert.deepEqual(ordered.map(({number}) => number), [1, 2, 3, 4]);
+        const shuffled = buildWorksheet(pack, {}, config, {randomNumbers: true, random: () => 0});
+        assert.deepEqual([...numbersOf(shuffled)].sort(), ["a", "b", "c", "d"]);
+        assert.notDeepEqual(numbersOf(shuffled), ["a", "b", "c", "d"]);
+    });
+
+    it("limits the sheet to an area or the weakest items", () => {
+        const area = buildWorksheet(pack, {}, {length: "all", scope: "north"});
+        assert.deepEqual(numbersOf(area), ["a", "c"]);
+        const stats = {a: {correct: 9, wrong: 0}, b: {correct: 0, wrong: 4}, c: {correct: 5, wrong: 1}, d: {correct: 1, wrong: 3}};
+        const weakest = buildWorksheet(pack, stats, {length: 2, scope: "weakest"});
+        assert.deepEqual(numbersOf(weakest), ["b", "d"]);
+    });
+});
@@ -7,5 +7,9 @@ export default defineConfig({
   server: {
     port: 8086,
     strictPort: true,
+    // Classroom sessions go to `npm run classroom` while developing.
+    proxy: {
+      '/classroom': { target: 'ws://localhost:8787', ws: true },
+    },
   },
 })